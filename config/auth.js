@@ -0,0 +1,27 @@
+/**
+ * Authentication configuration
+ *
+ * AUTH_PROVIDER selects how ID tokens are verified:
+ *   firebase - Firebase Auth (default)
+ *   emulator - Firebase Auth emulator at FIREBASE_AUTH_EMULATOR_HOST
+ *   local    - HS256 JWTs signed with AUTH_LOCAL_JWT_SECRET, for offline development
+ */
+
+require('dotenv').config();
+
+module.exports = {
+  provider: process.env.AUTH_PROVIDER || 'firebase',
+  emulatorHost: process.env.FIREBASE_AUTH_EMULATOR_HOST || 'localhost:9099',
+  local: {
+    // No default: a secret from the repo would let anyone mint admin tokens
+    secret: process.env.AUTH_LOCAL_JWT_SECRET,
+    issuer: process.env.AUTH_LOCAL_JWT_ISSUER || 'klinik-local',
+    // Lifetime of tokens issued by scripts/dev-token.js
+    tokenTtl: process.env.AUTH_LOCAL_TOKEN_TTL || '12h'
+  },
+  // Also reject ID tokens whose refresh tokens were revoked (one Firebase round trip per check)
+  checkRevoked: process.env.AUTH_CHECK_REVOKED === 'true',
+  // Keep verified tokens in memory for this long; 0 disables the cache
+  tokenCacheTtlMs: Number(process.env.AUTH_TOKEN_CACHE_TTL_MS || 0),
+  tokenCacheMaxEntries: Number(process.env.AUTH_TOKEN_CACHE_MAX_ENTRIES || 1000)
+};
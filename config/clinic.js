@@ -0,0 +1,60 @@
+/**
+ * Clinic configuration
+ */
+
+require('dotenv').config();
+
+module.exports = {
+  // Appointment dates and times are stored in clinic local time
+  timezoneOffset: process.env.CLINIC_UTC_OFFSET || '+07:00', // WIB
+
+  // Clinic details printed on receipts
+  profile: {
+    name: process.env.CLINIC_NAME || 'Klinik Gigi',
+    address: process.env.CLINIC_ADDRESS || '',
+    phone: process.env.CLINIC_PHONE || '',
+    email: process.env.CLINIC_EMAIL || '',
+    taxId: process.env.CLINIC_NPWP || '', // NPWP
+    brandColor: process.env.CLINIC_BRAND_COLOR || '#0f766e'
+  },
+
+  // Invoice numbers look like INV/202501/0001, sequential per month
+  invoice: {
+    prefix: process.env.INVOICE_PREFIX || 'INV'
+  },
+
+  // Doctor schedule defaults
+  schedule: {
+    slotInterval: 30, // minutes between candidate slot start times
+    defaultSlotDuration: 30, // minutes, used when a service type has no explicit length
+    maxAvailabilityDays: 31 // widest from/to range accepted by the availability endpoint
+  },
+
+  // Booking change policy
+  bookingPolicy: {
+    cancelCutoffHours: Number(process.env.BOOKING_CANCEL_CUTOFF_HOURS || 24),
+    rescheduleCutoffHours: Number(process.env.BOOKING_RESCHEDULE_CUTOFF_HOURS || 24),
+    maxReschedules: Number(process.env.BOOKING_MAX_RESCHEDULES || 2),
+    // Cutoff and reschedule limits only bind patients; staff may override them
+    staffBypassLimits: process.env.BOOKING_STAFF_BYPASS_LIMITS !== 'false',
+    // Roles allowed to perform each booking action ('system' = payment webhook and jobs)
+    permissions: {
+      confirm: ['admin', 'doctor', 'system'],
+      check_in: ['admin', 'doctor'],
+      complete: ['admin', 'doctor'],
+      no_show: ['admin', 'doctor'],
+      cancel: ['patient', 'admin', 'doctor', 'system'],
+      reschedule: ['patient', 'admin', 'doctor']
+    }
+  },
+
+  // Refunds issued when a paid booking is cancelled
+  refundPolicy: {
+    // Patients cancelling at least this long before the appointment get a full refund
+    fullRefundHours: Number(process.env.REFUND_FULL_HOURS || 24),
+    // Share of the paid amount refunded for later patient cancellations
+    lateCancelRefundPercent: Number(process.env.REFUND_LATE_CANCEL_PERCENT || 50),
+    // Cancellations by clinic staff or the system are always refunded in full
+    staffCancelFullRefund: process.env.REFUND_STAFF_CANCEL_FULL !== 'false'
+  }
+};
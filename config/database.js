@@ -0,0 +1,13 @@
+/**
+ * Data store configuration
+ *
+ * DATA_STORE selects where data lives:
+ *   firestore - Cloud Firestore, or the emulator at FIRESTORE_EMULATOR_HOST (default)
+ *   memory    - in-process store that is lost on restart, for offline development
+ */
+
+require('dotenv').config();
+
+module.exports = {
+  store: process.env.DATA_STORE || 'firestore'
+};
@@ -0,0 +1,54 @@
+/**
+ * Email notifications
+ *
+ * EMAIL_TRANSPORT selects how queued emails are delivered:
+ *   smtp    - SMTP_* settings (default when SMTP_HOST is set)
+ *   file    - .eml files in EMAIL_FILE_DIR, for development
+ *   console - logged to the console (default otherwise)
+ */
+
+require('dotenv').config();
+
+const TRANSPORTS = ['smtp', 'file', 'console'];
+const LOCALES = ['id', 'en'];
+
+const transport = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+if (!TRANSPORTS.includes(transport)) {
+  throw new Error(`Unknown EMAIL_TRANSPORT: ${transport}`);
+}
+
+if (transport !== 'smtp' && process.env.NODE_ENV === 'production') {
+  console.warn(`⚠️  EMAIL_TRANSPORT=${transport} in production: emails will not reach patients`);
+}
+
+const defaultLocale = process.env.EMAIL_DEFAULT_LOCALE || 'id';
+
+if (!LOCALES.includes(defaultLocale)) {
+  throw new Error(`Unknown EMAIL_DEFAULT_LOCALE: ${defaultLocale}`);
+}
+
+module.exports = {
+  // EMAIL_ENABLED=false stops queueing emails altogether
+  enabled: process.env.EMAIL_ENABLED !== 'false',
+  transport,
+  locales: LOCALES,
+  defaultLocale,
+  from: process.env.EMAIL_FROM || 'Klinik Gigi <no-reply@klinik.local>',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true', // true for port 465
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  },
+  fileDir: process.env.EMAIL_FILE_DIR || 'tmp/emails',
+  queue: {
+    // How often the server sends due emails; 0 leaves it to `npm run send-emails`
+    intervalMs: Number(process.env.EMAIL_QUEUE_INTERVAL_MS || 10000),
+    batchSize: Number(process.env.EMAIL_QUEUE_BATCH_SIZE || 20),
+    maxAttempts: Number(process.env.EMAIL_MAX_ATTEMPTS || 5),
+    retryDelayMs: Number(process.env.EMAIL_RETRY_DELAY_MS || 60000), // doubled after each failed attempt
+    // An email being sent is retried after this long if the sender never finishes
+    leaseMs: Number(process.env.EMAIL_SEND_LEASE_MS || 5 * 60 * 1000)
+  }
+};
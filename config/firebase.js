@@ -1,23 +1,43 @@
 const admin = require('firebase-admin');
 require('dotenv').config();
+const authConfig = require('./auth');
 
-const serviceAccount = {
-  type: "service_account",
-  project_id: process.env.FIREBASE_PROJECT_ID,
-  private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-  private_key: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-  client_email: process.env.FIREBASE_CLIENT_EMAIL,
-  client_id: process.env.FIREBASE_CLIENT_ID,
-  auth_uri: process.env.FIREBASE_AUTH_URI,
-  token_uri: process.env.FIREBASE_TOKEN_URI,
-  auth_provider_x509_cert_url: process.env.FIREBASE_AUTH_PROVIDER_X509_CERT_URL,
-  client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL
-};
+// firebase-admin sends Auth calls to the emulator when this variable is set
+if (authConfig.provider === 'emulator' && !process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+  process.env.FIREBASE_AUTH_EMULATOR_HOST = authConfig.emulatorHost;
+}
 
-// Initialize Firebase Admin
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-  storageBucket: process.env.FIREBASE_STORAGE_BUCKET
-});
+const hasServiceAccount = Boolean(process.env.FIREBASE_PRIVATE_KEY);
 
-module.exports = admin; 
\ No newline at end of file
+if (hasServiceAccount) {
+  const serviceAccount = {
+    type: "service_account",
+    project_id: process.env.FIREBASE_PROJECT_ID,
+    private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
+    private_key: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+    client_email: process.env.FIREBASE_CLIENT_EMAIL,
+    client_id: process.env.FIREBASE_CLIENT_ID,
+    auth_uri: process.env.FIREBASE_AUTH_URI,
+    token_uri: process.env.FIREBASE_TOKEN_URI,
+    auth_provider_x509_cert_url: process.env.FIREBASE_AUTH_PROVIDER_X509_CERT_URL,
+    client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL
+  };
+
+  // Initialize Firebase Admin
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET
+  });
+} else if (process.env.NODE_ENV === 'production') {
+  throw new Error('FIREBASE_PRIVATE_KEY is required in production');
+} else {
+  // Without credentials the app can only reach the emulators, but it starts
+  // and serves everything that doesn't touch Firebase
+  console.warn('⚠️  No Firebase service account configured; using project id only (emulator/local mode)');
+  admin.initializeApp({
+    projectId: process.env.FIREBASE_PROJECT_ID || 'demo-klinik',
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET
+  });
+}
+
+module.exports = admin;
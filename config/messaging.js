@@ -0,0 +1,54 @@
+/**
+ * WhatsApp/SMS notifications
+ *
+ * MESSAGING_PROVIDER selects how queued text messages are delivered:
+ *   whatsapp - WhatsApp Business Cloud API, with pre-approved templates
+ *   sms      - an HTTP SMS gateway (SMS_GATEWAY_URL)
+ *   mock     - JSON files in MESSAGING_MOCK_DIR, for development (default)
+ */
+
+require('dotenv').config();
+
+const PROVIDERS = ['whatsapp', 'sms', 'mock'];
+
+const provider = process.env.MESSAGING_PROVIDER || 'mock';
+
+if (!PROVIDERS.includes(provider)) {
+  throw new Error(`Unknown MESSAGING_PROVIDER: ${provider}`);
+}
+
+if (provider === 'mock' && process.env.NODE_ENV === 'production') {
+  console.warn('⚠️  MESSAGING_PROVIDER=mock in production: WhatsApp/SMS messages will not reach patients');
+}
+
+module.exports = {
+  // MESSAGING_ENABLED=false stops queueing messages altogether
+  enabled: process.env.MESSAGING_ENABLED !== 'false',
+  provider,
+  whatsapp: {
+    apiUrl: process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v20.0',
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+    accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+    // Signs inbound webhooks (X-Hub-Signature-256)
+    appSecret: process.env.WHATSAPP_APP_SECRET,
+    // Echoed back when Meta verifies the webhook URL
+    verifyToken: process.env.WHATSAPP_VERIFY_TOKEN
+  },
+  sms: {
+    url: process.env.SMS_GATEWAY_URL,
+    apiKey: process.env.SMS_GATEWAY_API_KEY,
+    sender: process.env.SMS_SENDER_ID || 'KLINIK'
+  },
+  mockDir: process.env.MESSAGING_MOCK_DIR || 'tmp/messages',
+  // Replies that opt a number out of (or back into) messages, case-insensitive
+  optOutKeywords: ['STOP', 'BERHENTI', 'UNSUBSCRIBE'],
+  optInKeywords: ['START', 'MULAI'],
+  queue: {
+    // How often the server sends due messages; 0 leaves it to `npm run send-messages`
+    intervalMs: Number(process.env.MESSAGING_QUEUE_INTERVAL_MS || 10000),
+    batchSize: Number(process.env.MESSAGING_QUEUE_BATCH_SIZE || 20),
+    maxAttempts: Number(process.env.MESSAGING_MAX_ATTEMPTS || 5),
+    retryDelayMs: Number(process.env.MESSAGING_RETRY_DELAY_MS || 60000), // doubled after each failed attempt
+    leaseMs: Number(process.env.MESSAGING_SEND_LEASE_MS || 5 * 60 * 1000)
+  }
+};
@@ -1,12 +1,39 @@
 require('dotenv').config();
 const midtransClient = require('midtrans-client');
 
+/**
+ * MIDTRANS_MODE selects the payment backend:
+ *   production - Midtrans production (default)
+ *   sandbox    - Midtrans sandbox
+ *   simulator  - in-process simulator, no network (see services/midtransSimulator.js)
+ */
+const MODES = ['production', 'sandbox', 'simulator'];
+const PORT = process.env.PORT || 3001;
+
+const mode = process.env.MIDTRANS_MODE || 'production';
+
+if (!MODES.includes(mode)) {
+  throw new Error(`Unknown MIDTRANS_MODE: ${mode}`);
+}
+if (mode === 'simulator' && process.env.NODE_ENV === 'production') {
+  throw new Error('The Midtrans simulator cannot be used in production');
+}
+
+const isSimulator = mode === 'simulator';
+
 // Initialize Midtrans configuration
 const midtransConfig = {
-  isProduction: true, // Production mode
-  serverKey: process.env.MIDTRANS_SERVER_KEY,
-  clientKey: process.env.MIDTRANS_CLIENT_KEY,
-  merchantId: process.env.MIDTRANS_MERCHANT_ID,
+  mode,
+  isProduction: mode === 'production',
+  serverKey: process.env.MIDTRANS_SERVER_KEY || (isSimulator ? 'SIMULATOR-server-key' : undefined),
+  clientKey: process.env.MIDTRANS_CLIENT_KEY || (isSimulator ? 'SIMULATOR-client-key' : undefined),
+  merchantId: process.env.MIDTRANS_MERCHANT_ID || (isSimulator ? 'SIMULATOR' : undefined),
+  simulator: {
+    // Where the fake Snap payment page is served
+    baseUrl: process.env.MIDTRANS_SIMULATOR_BASE_URL || `http://localhost:${PORT}/simulator`,
+    // Where simulated notifications are posted
+    webhookUrl: process.env.MIDTRANS_SIMULATOR_WEBHOOK_URL || `http://localhost:${PORT}/api/notification`
+  }
 };
 
 // Validate required configuration
@@ -17,36 +44,48 @@ for (const config of requiredConfig) {
   }
 }
 
-// Initialize Midtrans Snap client with proper error handling
 let snap;
-try {
-  snap = new midtransClient.Snap({
-    isProduction: midtransConfig.isProduction,
-    serverKey: midtransConfig.serverKey,
-    clientKey: midtransConfig.clientKey
-  });
-  console.log('Midtrans Snap client initialized successfully');
-} catch (error) {
-  console.error('Failed to initialize Midtrans Snap client:', error);
-  throw error;
-}
-
-// Initialize Midtrans Core API client with proper error handling
 let core;
-try {
-  core = new midtransClient.CoreApi({
-    isProduction: midtransConfig.isProduction,
-    serverKey: midtransConfig.serverKey,
-    clientKey: midtransConfig.clientKey
-  });
-  console.log('Midtrans Core API client initialized successfully');
-} catch (error) {
-  console.error('Failed to initialize Midtrans Core API client:', error);
-  throw error;
+let simulator = null;
+
+if (isSimulator) {
+  const { createMidtransSimulator } = require('../services/midtransSimulator');
+  simulator = createMidtransSimulator(midtransConfig);
+  snap = simulator.snap;
+  core = simulator.core;
+  console.log('Midtrans simulator enabled; no requests will reach Midtrans');
+} else {
+  // Initialize Midtrans Snap client with proper error handling
+  try {
+    snap = new midtransClient.Snap({
+      isProduction: midtransConfig.isProduction,
+      serverKey: midtransConfig.serverKey,
+      clientKey: midtransConfig.clientKey
+    });
+    console.log(`Midtrans Snap client initialized successfully (${mode})`);
+  } catch (error) {
+    console.error('Failed to initialize Midtrans Snap client:', error);
+    throw error;
+  }
+
+  // Initialize Midtrans Core API client with proper error handling
+  try {
+    core = new midtransClient.CoreApi({
+      isProduction: midtransConfig.isProduction,
+      serverKey: midtransConfig.serverKey,
+      clientKey: midtransConfig.clientKey
+    });
+    console.log(`Midtrans Core API client initialized successfully (${mode})`);
+  } catch (error) {
+    console.error('Failed to initialize Midtrans Core API client:', error);
+    throw error;
+  }
 }
 
-// Test Midtrans connection on startup
+// Check the Midtrans credentials with a status call; run by server.js on startup
 async function testMidtransConnection() {
+  if (isSimulator) return;
+
   try {
     // Try a simple API call to verify connection
     await core.transaction.status('test-connection-' + Date.now());
@@ -61,11 +100,10 @@ async function testMidtransConnection() {
   }
 }
 
-// Run connection test
-testMidtransConnection();
-
 module.exports = {
   midtransConfig,
   snap,
-  core
-}; 
\ No newline at end of file
+  core,
+  simulator,
+  testMidtransConnection
+};
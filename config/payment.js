@@ -0,0 +1,21 @@
+/**
+ * Payment expiry, payment link resends and the expired-payment reaper
+ */
+
+require('dotenv').config();
+
+module.exports = {
+  // Snap payments expire this many minutes after creation (Midtrans `expiry`)
+  expiryMinutes: Number(process.env.PAYMENT_EXPIRY_MINUTES || 60),
+  // Minimum seconds between two resends of a tagihan's payment link
+  resendCooldownSeconds: Number(process.env.PAYMENT_LINK_RESEND_COOLDOWN_SECONDS || 60),
+  reaper: {
+    // Run the reaper inside the server every N ms; 0 = only via `npm run reap-payments`
+    intervalMs: Number(process.env.PAYMENT_REAPER_INTERVAL_MS || 0),
+    // Wait this long past expiry so Midtrans' own expire notification usually arrives first
+    graceMinutes: Number(process.env.PAYMENT_REAPER_GRACE_MINUTES || 5),
+    batchSize: Number(process.env.PAYMENT_REAPER_BATCH_SIZE || 50),
+    // Ask Midtrans again about a payment it still reported as pending only after this long
+    recheckMinutes: Number(process.env.PAYMENT_REAPER_RECHECK_MINUTES || 60)
+  }
+};
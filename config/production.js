@@ -70,7 +70,7 @@ module.exports = {
   // Payment configuration
   payment: {
     midtrans: {
-      isProduction: process.env.MIDTRANS_IS_PRODUCTION === 'true',
+      isProduction: (process.env.MIDTRANS_MODE || 'production') === 'production',
       serverKey: process.env.MIDTRANS_SERVER_KEY,
       clientKey: process.env.MIDTRANS_CLIENT_KEY,
       timeout: 30000, // 30 seconds
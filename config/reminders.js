@@ -0,0 +1,49 @@
+/**
+ * Appointment reminders
+ *
+ * REMINDER_OFFSETS lists when to remind before an appointment, e.g. '24h,2h'
+ * or '90m'. REMINDER_CHANNELS lists how: 'email', 'push' (FCM) and/or
+ * 'message' (WhatsApp/SMS through MESSAGING_PROVIDER).
+ * PUSH_PROVIDER=console logs push notifications instead of calling FCM.
+ */
+
+require('dotenv').config();
+
+const CHANNELS = ['email', 'push', 'message'];
+const PUSH_PROVIDERS = ['fcm', 'console'];
+
+// '24h' -> { label: '24h', minutes: 1440 }
+const parseOffset = (value) => {
+  const match = /^(\d+)([hm])$/.exec(value);
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid reminder offset: ${value} (expected e.g. 24h or 90m)`);
+  }
+  return { label: value, minutes: Number(match[1]) * (match[2] === 'h' ? 60 : 1) };
+};
+
+const parseList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const offsets = parseList(process.env.REMINDER_OFFSETS || '24h,2h').map(parseOffset);
+
+const channels = parseList(process.env.REMINDER_CHANNELS || 'email,push,message');
+for (const channel of channels) {
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(`Unknown reminder channel: ${channel}`);
+  }
+}
+
+const pushProvider = process.env.PUSH_PROVIDER || 'fcm';
+if (!PUSH_PROVIDERS.includes(pushProvider)) {
+  throw new Error(`Unknown PUSH_PROVIDER: ${pushProvider}`);
+}
+
+module.exports = {
+  offsets,
+  channels,
+  pushProvider,
+  // How often the server sends due reminders; 0 leaves it to `npm run send-reminders`
+  intervalMs: Number(process.env.REMINDER_INTERVAL_MS || 60000),
+  batchSize: Number(process.env.REMINDER_BATCH_SIZE || 50),
+  // Reminders found this late (e.g. after downtime) are skipped rather than sent
+  maxLateMinutes: Number(process.env.REMINDER_MAX_LATE_MINUTES || 60)
+};
@@ -0,0 +1,21 @@
+/**
+ * Payment notification routing
+ *
+ * Notifications are always processed in-process. Optionally they are also
+ * fanned out to other environments (e.g. staging) listed in
+ * NOTIFICATION_FORWARD_URLS as a comma-separated list.
+ */
+
+require('dotenv').config();
+
+module.exports = {
+  forwardUrls: (process.env.NOTIFICATION_FORWARD_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean),
+  forwardRetries: Number(process.env.NOTIFICATION_FORWARD_RETRIES || 3),
+  forwardRetryDelay: Number(process.env.NOTIFICATION_FORWARD_RETRY_DELAY_MS || 1000), // doubled after each attempt
+  forwardTimeout: Number(process.env.NOTIFICATION_FORWARD_TIMEOUT_MS || 10000),
+  // Header marking forwarded requests so they are never forwarded again
+  forwardedHeader: 'x-notification-forwarded'
+};
@@ -1,6 +1,39 @@
-const admin = require('../config/firebase');
+const authConfig = require('../config/auth');
+const { getAuthProvider } = require('../services/authProvider');
 
-// Verify Firebase auth token
+// Verified tokens: token -> { decodedToken, expiresAt }. Map order doubles as insertion order for eviction.
+const tokenCache = new Map();
+
+const getCachedToken = (token) => {
+  const entry = tokenCache.get(token);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    tokenCache.delete(token);
+    return null;
+  }
+  return entry.decodedToken;
+};
+
+const cacheToken = (token, decodedToken) => {
+  if (authConfig.tokenCacheTtlMs <= 0) return;
+
+  // Never cache past the token's own expiry
+  const expiresAt = Math.min(Date.now() + authConfig.tokenCacheTtlMs, decodedToken.exp * 1000);
+  tokenCache.set(token, { decodedToken, expiresAt });
+
+  while (tokenCache.size > authConfig.tokenCacheMaxEntries) {
+    tokenCache.delete(tokenCache.keys().next().value);
+  }
+};
+
+// Drop cached tokens of a user, e.g. after their roles change
+const clearTokenCache = (uid) => {
+  for (const [token, entry] of tokenCache) {
+    if (!uid || entry.decodedToken.uid === uid) tokenCache.delete(token);
+  }
+};
+
+// Verify the ID token with the configured auth provider
 const verifyToken = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split('Bearer ')[1];
@@ -9,7 +42,12 @@ const verifyToken = async (req, res, next) => {
       return res.status(401).json({ error: 'No token provided' });
     }
 
-    const decodedToken = await admin.auth().verifyIdToken(token);
+    let decodedToken = getCachedToken(token);
+    if (!decodedToken) {
+      decodedToken = await getAuthProvider().verifyIdToken(token, { checkRevoked: authConfig.checkRevoked });
+      cacheToken(token, decodedToken);
+    }
+
     req.user = decodedToken;
     next();
   } catch (error) {
@@ -18,37 +56,30 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+// Role checks read the custom claims carried in the verified ID token
 const verifyRole = (allowedRoles) => {
-  return async (req, res, next) => {
-    try {
-      const user = req.user;
-      if (!user) {
-        return res.status(401).json({ error: 'User not authenticated' });
-      }
-
-      // Get user's custom claims
-      const userRecord = await admin.auth().getUser(user.uid);
-      const customClaims = userRecord.customClaims || {};
-      
-      // Check if user has any of the allowed roles
-      const hasAllowedRole = allowedRoles.some(role => customClaims[role] === true);
-      
-      if (!hasAllowedRole) {
-        return res.status(403).json({ error: 'Insufficient permissions' });
-      }
-
-      next();
-    } catch (error) {
-      console.error('Error verifying role:', error);
-      return res.status(500).json({ error: 'Internal server error' });
+  return (req, res, next) => {
+    const user = req.user;
+    if (!user) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    // Check if user has any of the allowed roles
+    const hasAllowedRole = allowedRoles.some(role => user[role] === true);
+    
+    if (!hasAllowedRole) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
     }
+
+    next();
   };
 };
 
 module.exports = {
   verifyToken,
   verifyRole,
+  clearTokenCache,
   isAdmin: verifyRole(['admin']),
   isDoctor: verifyRole(['doctor']),
   isPatient: verifyRole(['patient'])
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,85 @@
+/**
+ * Verification of Midtrans payment notifications
+ *
+ * Checks the notification's fields and its `signature_key` against the
+ * server key before the webhook handles it. Rejected signatures are audited.
+ */
+
+const { midtransConfig } = require('../config/midtrans');
+const { recordAudit } = require('../services/audit');
+const { isValidMidtransSignature, isValidStatusCode, sanitizeInput } = require('../utils/validation');
+
+// Midtrans notification signature validation
+const validateMidtransSignature = async (req, res, next) => {
+  try {
+    const { signature_key, order_id, status_code, gross_amount } = req.body;
+    
+    if (!signature_key) {
+      return res.status(400).json({
+        success: false,
+        message: 'signature_key is required for notification verification'
+      });
+    }
+
+    if (!order_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'order_id is required for notification verification'
+      });
+    }
+
+    // Validate status_code
+    if (!status_code || !isValidStatusCode(status_code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status_code in notification'
+      });
+    }
+
+    // Validate gross_amount (Midtrans sends e.g. "150000.00")
+    if (!gross_amount || typeof gross_amount !== 'string' || !/^\d+(\.\d{1,2})?$/.test(gross_amount)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid gross_amount in notification'
+      });
+    }
+
+    if (!isValidMidtransSignature(req.body, midtransConfig.serverKey)) {
+      await recordAudit({
+        action: 'notification.signature_rejected',
+        target: { orderId: sanitizeInput(order_id) },
+        details: {
+          status_code,
+          gross_amount,
+          transaction_status: req.body.transaction_status || null
+        },
+        req
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid notification signature'
+      });
+    }
+
+    // Sanitize the notification data
+    req.sanitizedNotification = {
+      ...req.body,
+      signature_key: sanitizeInput(signature_key),
+      order_id: sanitizeInput(order_id),
+      status_code: sanitizeInput(status_code),
+      gross_amount: sanitizeInput(gross_amount)
+    };
+
+    next();
+  } catch (error) {
+    console.error('Signature validation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal validation error'
+    });
+  }
+};
+
+module.exports = {
+  validateMidtransSignature
+};
@@ -0,0 +1,55 @@
+/**
+ * Bookings repository (`bookings/{bookingId}`)
+ */
+
+const { createCollectionRepository } = require('./collection');
+
+const createBookingRepository = (db) => {
+  const repository = createCollectionRepository(db, 'bookings');
+
+  // A patient's bookings, newest first
+  const listForPatient = (pasienId) => {
+    return repository.findBy('pasienId', pasienId, { orderBy: 'createdAt', direction: 'desc' });
+  };
+
+  /**
+   * One page of bookings matching the filters. `cursor` is the id of the
+   * last booking of the previous page and must exist. Fetches one extra
+   * document to know whether another page follows.
+   */
+  const list = async ({ doctorId, status, paymentStatus, from, to, sortBy, order, limit, cursor }) => {
+    let query = db.collection('bookings');
+    if (doctorId) query = query.where('doctorId', '==', doctorId);
+    if (status) query = query.where('status', '==', status);
+    if (paymentStatus) query = query.where('paymentStatus', '==', paymentStatus);
+    if (from) query = query.where('appointmentDate', '>=', from);
+    if (to) query = query.where('appointmentDate', '<=', to);
+
+    query = query.orderBy(sortBy, order);
+    if (sortBy === 'appointmentDate') {
+      query = query.orderBy('appointmentTime', order);
+    }
+
+    if (cursor) {
+      query = query.startAfter(await repository.ref(cursor).get());
+    }
+
+    const snapshot = await query.limit(limit + 1).get();
+    const bookings = repository.toItems(snapshot).slice(0, limit);
+
+    return {
+      bookings,
+      nextCursor: snapshot.docs.length > limit ? bookings[bookings.length - 1].id : null
+    };
+  };
+
+  return {
+    ...repository,
+    listForPatient,
+    list
+  };
+};
+
+module.exports = {
+  createBookingRepository
+};
@@ -0,0 +1,79 @@
+/**
+ * Generic repository over one collection
+ *
+ * Reads resolve with plain data: `get` with the document's data (or null),
+ * list methods with `{ id, ...data }` items. Every method takes an optional
+ * `{ transaction }`; inside a transaction all reads must come before writes.
+ */
+
+const createCollectionRepository = (db, name) => {
+  const ref = (id) => db.collection(name).doc(id);
+
+  const get = async (id, { transaction } = {}) => {
+    const doc = transaction ? await transaction.get(ref(id)) : await ref(id).get();
+    return doc.exists ? doc.data() : null;
+  };
+
+  // Replace the whole document
+  const create = async (id, data, { transaction } = {}) => {
+    if (transaction) {
+      transaction.set(ref(id), data);
+      return;
+    }
+    await ref(id).set(data);
+  };
+
+  // Merge fields into the document, creating it if needed
+  const save = async (id, data, { transaction } = {}) => {
+    if (transaction) {
+      transaction.set(ref(id), data, { merge: true });
+      return;
+    }
+    await ref(id).set(data, { merge: true });
+  };
+
+  // Update fields of an existing document; fails if it doesn't exist
+  const update = async (id, data, { transaction } = {}) => {
+    if (transaction) {
+      transaction.update(ref(id), data);
+      return;
+    }
+    await ref(id).update(data);
+  };
+
+  const remove = async (id, { transaction } = {}) => {
+    if (transaction) {
+      transaction.delete(ref(id));
+      return;
+    }
+    await ref(id).delete();
+  };
+
+  const toItems = (snapshot) => snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+  // Documents whose `field` equals `value`
+  const findBy = async (field, value, { orderBy, direction = 'asc', limit, transaction } = {}) => {
+    let query = db.collection(name).where(field, '==', value);
+    if (orderBy) query = query.orderBy(orderBy, direction);
+    if (limit) query = query.limit(limit);
+
+    const snapshot = transaction ? await transaction.get(query) : await query.get();
+    return toItems(snapshot);
+  };
+
+  return {
+    name,
+    ref,
+    get,
+    create,
+    save,
+    update,
+    remove,
+    findBy,
+    toItems
+  };
+};
+
+module.exports = {
+  createCollectionRepository
+};
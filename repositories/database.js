@@ -0,0 +1,33 @@
+/**
+ * Database handle for the configured data store
+ *
+ * Exports `{ db, FieldValue, Timestamp }`. Modules use these instead of
+ * `admin.firestore()` so DATA_STORE=memory can swap in the in-memory store.
+ */
+
+const databaseConfig = require('../config/database');
+
+const createDatabase = () => {
+  switch (databaseConfig.store) {
+    case 'firestore': {
+      const admin = require('../config/firebase');
+      return {
+        db: admin.firestore(),
+        FieldValue: admin.firestore.FieldValue,
+        Timestamp: admin.firestore.Timestamp
+      };
+    }
+    case 'memory': {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('DATA_STORE=memory cannot be used in production');
+      }
+      const { createMemoryFirestore, FieldValue, Timestamp } = require('./memoryFirestore');
+      console.warn('⚠️  Using the in-memory data store; data is lost when the server stops');
+      return { db: createMemoryFirestore(), FieldValue, Timestamp };
+    }
+    default:
+      throw new Error(`Unknown DATA_STORE: ${databaseConfig.store}`);
+  }
+};
+
+module.exports = createDatabase();
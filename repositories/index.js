@@ -0,0 +1,31 @@
+/**
+ * Repositories for bookings, orders, tagihan, payment transactions and
+ * treatment plans
+ *
+ * `createRepositories(db)` builds them over Cloud Firestore or the in-memory
+ * store from ./memoryFirestore; both expose the same API. The module itself
+ * exports repositories over the store selected by DATA_STORE.
+ */
+
+const { db } = require('./database');
+const { createCollectionRepository } = require('./collection');
+const { createBookingRepository } = require('./bookings');
+const { createTagihanRepository } = require('./tagihan');
+const { createTransactionRepository } = require('./transactions');
+
+const createRepositories = (database) => {
+  return {
+    bookings: createBookingRepository(database),
+    orders: createCollectionRepository(database, 'orders'),
+    tagihan: createTagihanRepository(database),
+    transactions: createTransactionRepository(database),
+    treatmentPlans: createCollectionRepository(database, 'treatment_plans'),
+    // Run `updateFunction(transaction)` in a transaction; pass it to repository calls as `{ transaction }`
+    runTransaction: (updateFunction) => database.runTransaction(updateFunction)
+  };
+};
+
+module.exports = {
+  createRepositories,
+  ...createRepositories(db)
+};
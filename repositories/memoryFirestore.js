@@ -0,0 +1,512 @@
+/**
+ * In-memory stand-in for the part of the Firestore API this app uses
+ *
+ * Supports document get/set(merge)/update/delete, collection add, queries
+ * with where/orderBy/limit/startAfter/select, and transactions with get/getAll and
+ * buffered writes. Transactions run one at a time instead of retrying on
+ * contention, and like Firestore they reject reads after the first write.
+ * Data lives only as long as the process: use it with DATA_STORE=memory for
+ * offline development and in tests, never in production.
+ */
+
+const crypto = require('crypto');
+
+class Timestamp {
+  constructor(seconds, nanoseconds) {
+    this._seconds = seconds;
+    this._nanoseconds = nanoseconds;
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  static fromMillis(millis) {
+    const seconds = Math.floor(millis / 1000);
+    return new Timestamp(seconds, Math.round((millis - seconds * 1000) * 1e6));
+  }
+
+  get seconds() {
+    return this._seconds;
+  }
+
+  get nanoseconds() {
+    return this._nanoseconds;
+  }
+
+  toMillis() {
+    return this._seconds * 1000 + Math.floor(this._nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return other instanceof Timestamp && other.toMillis() === this.toMillis();
+  }
+}
+
+// Sentinel values resolved when a write is applied
+class FieldTransform {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new FieldTransform('serverTimestamp'),
+  increment: (n) => new FieldTransform('increment', n),
+  arrayUnion: (...elements) => new FieldTransform('arrayUnion', elements),
+  arrayRemove: (...elements) => new FieldTransform('arrayRemove', elements),
+  delete: () => new FieldTransform('delete')
+};
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+// Deep copy so callers can never mutate stored data through a snapshot
+const cloneValue = (value) => {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneValue(item)]));
+  }
+  return value;
+};
+
+const TYPE_ORDER = ['null', 'boolean', 'number', 'timestamp', 'string', 'array', 'object'];
+
+const typeOf = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Timestamp) return 'timestamp';
+  if (Array.isArray(value)) return 'array';
+  return typeof value === 'object' ? 'object' : typeof value;
+};
+
+// Firestore-like ordering: by type first, then by value
+const compareValues = (a, b) => {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+  if (typeA !== typeB) return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+
+  switch (typeA) {
+    case 'null':
+      return 0;
+    case 'timestamp':
+      return a.toMillis() - b.toMillis();
+    case 'array':
+    case 'object': {
+      const jsonA = JSON.stringify(a);
+      const jsonB = JSON.stringify(b);
+      return jsonA < jsonB ? -1 : jsonA > jsonB ? 1 : 0;
+    }
+    default:
+      return a < b ? -1 : a > b ? 1 : 0;
+  }
+};
+
+const isEqualValue = (a, b) => typeOf(a) === typeOf(b) && compareValues(a, b) === 0;
+
+const getField = (data, path) => {
+  return path.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), data);
+};
+
+const resolveTransform = (transform, current) => {
+  switch (transform.kind) {
+    case 'serverTimestamp':
+      return Timestamp.now();
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + transform.operand;
+    case 'arrayUnion': {
+      const result = Array.isArray(current) ? [...current] : [];
+      transform.operand.forEach((element) => {
+        if (!result.some(item => isEqualValue(item, element))) result.push(cloneValue(element));
+      });
+      return result;
+    }
+    case 'arrayRemove':
+      return (Array.isArray(current) ? current : [])
+        .filter(item => !transform.operand.some(element => isEqualValue(item, element)));
+    default:
+      throw new Error(`Unsupported field transform: ${transform.kind}`);
+  }
+};
+
+// Write `value` at a field path (list of keys), resolving transforms against the current value
+const setPath = (target, keys, value) => {
+  const parents = keys.slice(0, -1);
+  const last = keys[keys.length - 1];
+  let node = target;
+  for (const key of parents) {
+    if (!isPlainObject(node[key])) node[key] = {};
+    node = node[key];
+  }
+
+  if (value instanceof FieldTransform) {
+    if (value.kind === 'delete') {
+      delete node[last];
+    } else {
+      node[last] = resolveTransform(value, node[last]);
+    }
+  } else if (isPlainObject(value)) {
+    node[last] = {};
+    Object.entries(value).forEach(([key, item]) => setPath(node[last], [key], item));
+  } else {
+    node[last] = cloneValue(value);
+  }
+};
+
+// Merge maps field by field, like set(data, { merge: true })
+const mergeFields = (target, data) => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeFields(target[key], value);
+    } else {
+      setPath(target, [key], value);
+    }
+  });
+};
+
+// Apply one buffered write to a document's current data (undefined = missing).
+// set() takes keys literally; update() reads dots as nested field paths.
+const applyWrite = (current, write) => {
+  switch (write.type) {
+    case 'set': {
+      if (write.options.merge && current) {
+        const next = cloneValue(current);
+        mergeFields(next, write.data);
+        return next;
+      }
+      const next = {};
+      Object.entries(write.data).forEach(([key, value]) => setPath(next, [key], value));
+      return next;
+    }
+    case 'update': {
+      if (current === undefined) {
+        throw new Error(`No document to update: ${write.ref.path}`);
+      }
+      const next = cloneValue(current);
+      Object.entries(write.data).forEach(([path, value]) => setPath(next, path.split('.'), value));
+      return next;
+    }
+    case 'delete':
+      return undefined;
+    default:
+      throw new Error(`Unsupported write: ${write.type}`);
+  }
+};
+
+const FILTERS = {
+  '==': (value, operand) => isEqualValue(value, operand),
+  '!=': (value, operand) => value !== undefined && !isEqualValue(value, operand),
+  '<': (value, operand) => typeOf(value) === typeOf(operand) && compareValues(value, operand) < 0,
+  '<=': (value, operand) => typeOf(value) === typeOf(operand) && compareValues(value, operand) <= 0,
+  '>': (value, operand) => typeOf(value) === typeOf(operand) && compareValues(value, operand) > 0,
+  '>=': (value, operand) => typeOf(value) === typeOf(operand) && compareValues(value, operand) >= 0,
+  in: (value, operand) => operand.some(item => isEqualValue(value, item)),
+  'not-in': (value, operand) => value !== undefined && !operand.some(item => isEqualValue(value, item)),
+  'array-contains': (value, operand) => Array.isArray(value) && value.some(item => isEqualValue(item, operand)),
+  'array-contains-any': (value, operand) => Array.isArray(value) && value.some(item => operand.some(o => isEqualValue(item, o)))
+};
+
+const RANGE_OPERATORS = ['<', '<=', '>', '>=', '!=', 'not-in'];
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this._data === undefined ? undefined : cloneValue(this._data);
+  }
+
+  get(field) {
+    return cloneValue(getField(this._data, field));
+  }
+}
+
+class DocumentReference {
+  constructor(db, collectionName, id) {
+    this._db = db;
+    this.id = id;
+    this.path = `${collectionName}/${id}`;
+    this._collectionName = collectionName;
+  }
+
+  _read() {
+    return this._db._store(this._collectionName).get(this.id);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, this._read());
+  }
+
+  async set(data, options = {}) {
+    this._db._commit([{ type: 'set', ref: this, data, options }]);
+  }
+
+  async update(data) {
+    this._db._commit([{ type: 'update', ref: this, data }]);
+  }
+
+  async delete() {
+    this._db._commit([{ type: 'delete', ref: this }]);
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class Query {
+  constructor(db, collectionName, options = {}) {
+    this._db = db;
+    this._collectionName = collectionName;
+    this._filters = options.filters || [];
+    this._orders = options.orders || [];
+    this._limit = options.limit;
+    this._startAfter = options.startAfter;
+    this._select = options.select;
+  }
+
+  _with(options) {
+    return new Query(this._db, this._collectionName, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      startAfter: this._startAfter,
+      select: this._select,
+      ...options
+    });
+  }
+
+  where(field, operator, value) {
+    if (!FILTERS[operator]) {
+      throw new Error(`Unsupported query operator: ${operator}`);
+    }
+    return this._with({ filters: [...this._filters, { field, operator, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  // Accepts a document snapshot or the values of the orderBy fields
+  startAfter(...cursor) {
+    return this._with({ startAfter: cursor });
+  }
+
+  // Return only these fields of each document
+  select(...fields) {
+    return this._with({ select: fields });
+  }
+
+  _project(data) {
+    if (!this._select) return data;
+    const projected = {};
+    for (const field of this._select) {
+      const value = getField(data, field);
+      if (value !== undefined) setPath(projected, field.split('.'), value);
+    }
+    return projected;
+  }
+
+  // Explicit orders, then (like Firestore) the first range field, then the document id
+  _effectiveOrders() {
+    const orders = [...this._orders];
+    const range = this._filters.find(filter => RANGE_OPERATORS.includes(filter.operator));
+    if (orders.length === 0 && range) {
+      orders.push({ field: range.field, direction: 'asc' });
+    }
+    return orders;
+  }
+
+  _compare(orders, a, b) {
+    for (const { field, direction } of orders) {
+      const result = compareValues(getField(a.data, field), getField(b.data, field));
+      if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    const lastDirection = orders.length ? orders[orders.length - 1].direction : 'asc';
+    const byId = a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    return lastDirection === 'desc' ? -byId : byId;
+  }
+
+  _cursorEntry(orders) {
+    const [first] = this._startAfter;
+    if (first instanceof DocumentSnapshot) {
+      return { id: first.id, data: first._data || {} };
+    }
+    const data = {};
+    orders.forEach(({ field }, index) => setPath(data, field.split('.'), this._startAfter[index]));
+    return { id: this._startAfter.length > orders.length ? this._startAfter[orders.length] : '', data };
+  }
+
+  async get() {
+    const orders = this._effectiveOrders();
+    let entries = [...this._db._store(this._collectionName).entries()]
+      .map(([id, data]) => ({ id, data }))
+      .filter(({ data }) => this._filters.every(({ field, operator, value }) => FILTERS[operator](getField(data, field), value)))
+      // Documents without an orderBy field are left out, as in Firestore
+      .filter(({ data }) => orders.every(({ field }) => getField(data, field) !== undefined))
+      .sort((a, b) => this._compare(orders, a, b));
+
+    if (this._startAfter) {
+      const cursor = this._cursorEntry(orders);
+      entries = entries.filter(entry => this._compare(orders, entry, cursor) > 0);
+    }
+    if (this._limit !== undefined) {
+      entries = entries.slice(0, this._limit);
+    }
+
+    return new QuerySnapshot(entries.map(({ id, data }) => {
+      return new DocumentSnapshot(new DocumentReference(this._db, this._collectionName, id), this._project(data));
+    }));
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, name) {
+    super(db, name);
+    this.id = name;
+  }
+
+  doc(id = crypto.randomBytes(10).toString('hex')) {
+    return new DocumentReference(this._db, this.id, String(id));
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class Transaction {
+  constructor(db) {
+    this._db = db;
+    this._writes = [];
+  }
+
+  _assertNoWrites() {
+    if (this._writes.length > 0) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+  }
+
+  async get(refOrQuery) {
+    this._assertNoWrites();
+    return refOrQuery.get();
+  }
+
+  async getAll(...refs) {
+    this._assertNoWrites();
+    return Promise.all(refs.map(ref => ref.get()));
+  }
+
+  set(ref, data, options = {}) {
+    this._writes.push({ type: 'set', ref, data, options });
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push({ type: 'delete', ref });
+    return this;
+  }
+}
+
+class MemoryFirestore {
+  constructor() {
+    this._collections = new Map();
+    this._queue = Promise.resolve();
+  }
+
+  _store(name) {
+    if (!this._collections.has(name)) this._collections.set(name, new Map());
+    return this._collections.get(name);
+  }
+
+  // Apply writes atomically: all are computed first, so one failure applies none
+  _commit(writes) {
+    const staged = new Map();
+    for (const write of writes) {
+      const current = staged.has(write.ref.path) ? staged.get(write.ref.path).data : write.ref._read();
+      staged.set(write.ref.path, { ref: write.ref, data: applyWrite(current, write) });
+    }
+
+    for (const { ref, data } of staged.values()) {
+      const store = this._store(ref._collectionName);
+      if (data === undefined) {
+        store.delete(ref.id);
+      } else {
+        store.set(ref.id, data);
+      }
+    }
+  }
+
+  collection(name) {
+    return new CollectionReference(this, name);
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => ref.get()));
+  }
+
+  // Transactions are queued so each sees the previous one's writes
+  runTransaction(updateFunction) {
+    const run = async () => {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      this._commit(transaction._writes);
+      return result;
+    };
+
+    const result = this._queue.then(run);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  // Test helper: raw contents of a collection keyed by document id
+  dump(name) {
+    return Object.fromEntries([...this._store(name)].map(([id, data]) => [id, cloneValue(data)]));
+  }
+
+  // Test helper: drop every collection
+  reset() {
+    this._collections.clear();
+  }
+}
+
+const createMemoryFirestore = () => new MemoryFirestore();
+
+module.exports = {
+  Timestamp,
+  FieldValue,
+  createMemoryFirestore
+};
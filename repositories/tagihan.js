@@ -0,0 +1,56 @@
+/**
+ * Tagihan (bills) repository (`tagihan/{orderId}`)
+ */
+
+const { createCollectionRepository } = require('./collection');
+
+const createTagihanRepository = (db) => {
+  const repository = createCollectionRepository(db, 'tagihan');
+
+  // Tagihan matching the filters; `from`/`to` are Timestamps bounding created_at as [from, to)
+  const filteredQuery = ({ userId, statuses, from, to }) => {
+    let query = db.collection('tagihan');
+    if (userId) query = query.where('userId', '==', userId);
+    if (statuses) query = query.where('status', 'in', statuses);
+    if (from) query = query.where('created_at', '>=', from);
+    if (to) query = query.where('created_at', '<', to);
+    return query;
+  };
+
+  /**
+   * One page of tagihan by creation time. `cursor` is the orderId of the
+   * last tagihan of the previous page and must exist. Fetches one extra
+   * document to know whether another page follows.
+   */
+  const list = async ({ userId, statuses, from, to, order, limit, cursor }) => {
+    let query = filteredQuery({ userId, statuses, from, to }).orderBy('created_at', order);
+
+    if (cursor) {
+      query = query.startAfter(await repository.ref(cursor).get());
+    }
+
+    const snapshot = await query.limit(limit + 1).get();
+    const tagihan = repository.toItems(snapshot).slice(0, limit);
+
+    return {
+      tagihan,
+      nextCursor: snapshot.docs.length > limit ? tagihan[tagihan.length - 1].id : null
+    };
+  };
+
+  // Status and amount of every tagihan matching the filters, for totals
+  const listAmounts = async (filters) => {
+    const snapshot = await filteredQuery(filters).select('status', 'amount').get();
+    return snapshot.docs.map(doc => doc.data());
+  };
+
+  return {
+    ...repository,
+    list,
+    listAmounts
+  };
+};
+
+module.exports = {
+  createTagihanRepository
+};
@@ -0,0 +1,54 @@
+/**
+ * Payment transactions repository (`transactions/{orderId}`)
+ */
+
+const { createCollectionRepository } = require('./collection');
+
+const createTransactionRepository = (db) => {
+  const repository = createCollectionRepository(db, 'transactions');
+
+  const findByBookingId = (bookingId) => repository.findBy('bookingId', bookingId);
+
+  // Payment attempts of a tagihan, first attempt first
+  const findByTagihanId = (tagihanId) => repository.findBy('tagihanId', tagihanId, { orderBy: 'attempt' });
+
+  // Pending transactions whose `expires_at` is at or before `before` (a Timestamp), oldest first,
+  // after the transaction with orderId `after` when given
+  const findExpiredPending = async (before, limit, after = null) => {
+    let query = db.collection('transactions')
+      .where('status', '==', 'pending')
+      .where('expires_at', '<=', before)
+      .orderBy('expires_at');
+
+    if (after) {
+      query = query.startAfter(await repository.ref(after).get());
+    }
+
+    const snapshot = await query.limit(limit).get();
+    return repository.toItems(snapshot);
+  };
+
+  // Transactions in `statuses` created in [from, to) (Timestamps), oldest first
+  const findCreatedBetween = async ({ statuses, from, to, limit }) => {
+    const snapshot = await db.collection('transactions')
+      .where('status', 'in', statuses)
+      .where('created_at', '>=', from)
+      .where('created_at', '<', to)
+      .orderBy('created_at')
+      .limit(limit)
+      .get();
+    return repository.toItems(snapshot);
+  };
+
+  return {
+    ...repository,
+    findByBookingId,
+    findByTagihanId,
+    findExpiredPending,
+    findCreatedBetween
+  };
+};
+
+module.exports = {
+  createTransactionRepository
+};
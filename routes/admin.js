@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const bookingService = require('../services/booking');
+const roleService = require('../services/roles');
+const reconciliationService = require('../services/reconciliation');
+const { isValidEmail, sanitizeInput } = require('../utils/validation');
+
+const sendAdminError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+// List all bookings with filters, sorting and cursor pagination
+router.get('/admin/bookings', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { from, to, doctorId, status, paymentStatus, sortBy, order, limit, cursor } = req.query;
+
+    const result = await bookingService.listBookings({
+      from,
+      to,
+      doctorId,
+      status,
+      paymentStatus,
+      sortBy,
+      order,
+      limit,
+      cursor
+    });
+
+    res.json({ success: true, data: result.bookings, nextCursor: result.nextCursor });
+  } catch (error) {
+    console.error('Error listing bookings:', error);
+    sendAdminError(res, error, 'Failed to list bookings');
+  }
+});
+
+// List users with their roles
+router.get('/admin/users', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { limit, pageToken } = req.query;
+    const result = await roleService.listUsers({ limit, pageToken });
+
+    res.json({ success: true, data: result.users, nextPageToken: result.nextPageToken });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    sendAdminError(res, error, 'Failed to list users');
+  }
+});
+
+// Grant a role
+router.post('/admin/users/:uid/roles', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const user = await roleService.setRole(req.params.uid, req.body.role, true, { actor: req.user, req });
+
+    res.json({ success: true, data: user });
+  } catch (error) {
+    console.error('Error granting role:', error);
+    sendAdminError(res, error, 'Failed to grant role');
+  }
+});
+
+// Revoke a role
+router.delete('/admin/users/:uid/roles/:role', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const user = await roleService.setRole(req.params.uid, req.params.role, false, { actor: req.user, req });
+
+    res.json({ success: true, data: user });
+  } catch (error) {
+    console.error('Error revoking role:', error);
+    sendAdminError(res, error, 'Failed to revoke role');
+  }
+});
+
+// Invite a doctor by email
+router.post('/admin/doctors/invite', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { email, displayName } = req.body;
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({ success: false, error: 'A valid email is required' });
+    }
+
+    const result = await roleService.inviteDoctor({
+      email: sanitizeInput(email.toLowerCase()),
+      displayName: displayName ? sanitizeInput(displayName) : undefined
+    }, { actor: req.user, req });
+
+    res.status(result.created ? 201 : 200).json({ success: true, data: { uid: result.uid, invited: result.invited } });
+  } catch (error) {
+    console.error('Error inviting doctor:', error);
+    sendAdminError(res, error, 'Failed to invite doctor');
+  }
+});
+
+// Compare transactions with Midtrans and apply missed notifications.
+// Body: { from, to, dryRun, limit }; ?format=csv downloads the discrepancies.
+router.post('/admin/reconciliation', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be json or csv' });
+    }
+
+    const { from, to, dryRun, limit } = req.body;
+    const report = await reconciliationService.reconcileTransactions({
+      from,
+      to,
+      dryRun: dryRun === true || dryRun === 'true',
+      limit,
+      actor: req.user,
+      req
+    });
+
+    if (format === 'csv') {
+      res.attachment(`reconciliation-${report.from}-${report.to}.csv`);
+      return res.type('text/csv').send(reconciliationService.reportToCsv(report));
+    }
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error reconciling transactions:', error);
+    sendAdminError(res, error, 'Failed to reconcile transactions');
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const admin = require('../config/firebase');
+const { FieldValue } = require('../repositories/database');
+const repositories = require('../repositories');
 const { verifyToken } = require('../middleware/auth');
-
-// Initialize Firestore
-const db = admin.firestore();
+const bookingService = require('../services/booking');
+const emailService = require('../services/email');
+const reminderService = require('../services/reminders');
 
 // Create new booking
 router.post('/bookings', verifyToken, async (req, res) => {
@@ -15,35 +16,23 @@ router.post('/bookings', verifyToken, async (req, res) => {
       appointmentDate, 
       appointmentTime,
       serviceType,
-      notes 
+      notes,
+      patientEmail,
+      patientName,
+      patientPhone
     } = req.body;
 
-    // Validate required fields
-    if (!doctorId || !appointmentDate || !appointmentTime || !serviceType) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing required fields' 
-      });
-    }
-
-    // Generate unique booking ID
-    const bookingId = `BOOK-${Date.now()}-${Math.random().toString(36).substring(7)}`;
-
-    const booking = {
-      bookingId,
+    const booking = await bookingService.createBooking({
       doctorId,
-      pasienId: patientId || req.user.uid,
+      patientId,
       appointmentDate,
       appointmentTime,
       serviceType,
       notes,
-      status: 'pending', // pending, confirmed, cancelled, completed
-      paymentStatus: 'unpaid', // unpaid, paid, refunded
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
-
-    await db.collection('bookings').doc(bookingId).set(booking);
+      patientEmail,
+      patientName,
+      patientPhone
+    }, { user: req.user, locale: emailService.localeFromRequest(req) });
 
     res.status(201).json({ 
       success: true, 
@@ -51,24 +40,17 @@ router.post('/bookings', verifyToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating booking:', error);
-    res.status(500).json({ success: false, error: 'Failed to create booking' });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to create booking'
+    });
   }
 });
 
 // Get all bookings for a user
 router.get('/bookings', verifyToken, async (req, res) => {
   try {
-    const userId = req.user.uid;
-    const bookingsRef = db.collection('bookings');
-    const snapshot = await bookingsRef
-      .where('pasienId', '==', userId)
-      .orderBy('createdAt', 'desc')
-      .get();
-    
-    const bookings = [];
-    snapshot.forEach(doc => {
-      bookings.push({ id: doc.id, ...doc.data() });
-    });
+    const bookings = await repositories.bookings.listForPatient(req.user.uid);
 
     res.json({ success: true, data: bookings });
   } catch (error) {
@@ -80,71 +62,160 @@ router.get('/bookings', verifyToken, async (req, res) => {
 // Get booking by ID
 router.get('/bookings/:id', verifyToken, async (req, res) => {
   try {
-    const bookingDoc = await db.collection('bookings').doc(req.params.id).get();
-    
-    if (!bookingDoc.exists) {
+    const booking = await repositories.bookings.get(req.params.id);
+
+    if (!booking) {
       return res.status(404).json({ success: false, error: 'Booking not found' });
     }
 
-    // Check if user has access to this booking
-    const booking = bookingDoc.data();
-    if (booking.pasienId !== req.user.uid) {
+    // Patient, assigned doctor and admins may view the booking
+    if (bookingService.getActorRoles(req.user, booking).length === 0) {
       return res.status(403).json({ success: false, error: 'Access denied' });
     }
 
-    res.json({ success: true, data: { id: bookingDoc.id, ...booking } });
+    res.json({ success: true, data: { id: req.params.id, ...booking } });
   } catch (error) {
     console.error('Error getting booking:', error);
     res.status(500).json({ success: false, error: 'Failed to get booking' });
   }
 });
 
-// Update booking status
-router.patch('/bookings/:id/status', verifyToken, async (req, res) => {
+// Reminders of a booking and their delivery state per channel
+router.get('/bookings/:id/reminders', verifyToken, async (req, res) => {
   try {
-    const { status, paymentStatus } = req.body;
-    const bookingRef = db.collection('bookings').doc(req.params.id);
-    const bookingDoc = await bookingRef.get();
+    const booking = await repositories.bookings.get(req.params.id);
 
-    if (!bookingDoc.exists) {
+    if (!booking) {
       return res.status(404).json({ success: false, error: 'Booking not found' });
     }
 
-    // Check if user has access to this booking
-    const booking = bookingDoc.data();
-    if (booking.pasienId !== req.user.uid) {
+    if (bookingService.getActorRoles(req.user, booking).length === 0) {
       return res.status(403).json({ success: false, error: 'Access denied' });
     }
 
-    const updateData = {
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
+    const reminders = await reminderService.listBookingReminders(req.params.id);
+    res.json({ success: true, data: reminders });
+  } catch (error) {
+    console.error('Error listing booking reminders:', error);
+    res.status(500).json({ success: false, error: 'Failed to list reminders' });
+  }
+});
 
-    if (status) {
-      if (!['pending', 'confirmed', 'cancelled', 'completed'].includes(status)) {
-        return res.status(400).json({ success: false, error: 'Invalid status' });
-      }
-      updateData.status = status;
+// Update booking status through the booking state machine
+router.patch('/bookings/:id/status', verifyToken, async (req, res) => {
+  try {
+    const { status, paymentStatus, reason } = req.body;
+
+    if (!status && !paymentStatus) {
+      return res.status(400).json({ success: false, error: 'status or paymentStatus is required' });
     }
 
+    // Payment status is owned by the payment flow; only admins may correct it by hand
     if (paymentStatus) {
+      if (req.user.admin !== true) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
       if (!['unpaid', 'Berhasil', 'refunded'].includes(paymentStatus)) {
         return res.status(400).json({ success: false, error: 'Invalid payment status' });
       }
-      updateData.paymentStatus = paymentStatus;
     }
 
-    await bookingRef.update(updateData);
-    const updatedBooking = await bookingRef.get();
+    if (status) {
+      const action = bookingService.actionForStatus(status);
+      if (!action) {
+        return res.status(400).json({ success: false, error: 'Invalid status' });
+      }
+      await bookingService.transitionBooking(req.params.id, action, { actor: req.user, reason });
+    }
+
+    if (paymentStatus) {
+      await repositories.bookings.update(req.params.id, {
+        paymentStatus,
+        updatedAt: FieldValue.serverTimestamp()
+      });
+    }
+
+    const updatedBooking = await repositories.bookings.get(req.params.id);
 
     res.json({ 
       success: true, 
-      data: { id: updatedBooking.id, ...updatedBooking.data() } 
+      data: { id: req.params.id, ...updatedBooking } 
     });
   } catch (error) {
     console.error('Error updating booking status:', error);
-    res.status(500).json({ success: false, error: 'Failed to update booking status' });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update booking status'
+    });
+  }
+});
+
+// Cancel a booking and release its slot
+router.post('/bookings/:id/cancel', verifyToken, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    await bookingService.transitionBooking(req.params.id, 'cancel', { actor: req.user, reason });
+    const booking = await repositories.bookings.get(req.params.id);
+
+    res.json({ success: true, data: { id: req.params.id, ...booking } });
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to cancel booking'
+    });
+  }
+});
+
+// Move a booking to another slot
+router.post('/bookings/:id/reschedule', verifyToken, async (req, res) => {
+  try {
+    const { appointmentDate, appointmentTime, reason } = req.body;
+
+    await bookingService.rescheduleBooking(req.params.id, {
+      actor: req.user,
+      reason,
+      appointmentDate,
+      appointmentTime
+    });
+    const booking = await repositories.bookings.get(req.params.id);
+
+    res.json({ success: true, data: { id: req.params.id, ...booking } });
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to reschedule booking'
+    });
   }
 });
 
+// Staff transitions: confirm, check-in, no-show and complete
+const STAFF_ACTIONS = {
+  confirm: 'confirm',
+  'check-in': 'check_in',
+  'no-show': 'no_show',
+  complete: 'complete'
+};
+
+Object.entries(STAFF_ACTIONS).forEach(([path, action]) => {
+  router.post(`/bookings/:id/${path}`, verifyToken, async (req, res) => {
+    try {
+      const { reason } = req.body;
+
+      await bookingService.transitionBooking(req.params.id, action, { actor: req.user, reason });
+      const booking = await repositories.bookings.get(req.params.id);
+
+      res.json({ success: true, data: { id: req.params.id, ...booking } });
+    } catch (error) {
+      console.error(`Error applying ${action} to booking:`, error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : 'Failed to update booking'
+      });
+    }
+  });
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const catalogService = require('../services/catalog');
+
+const sendCatalogError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+// List offered services (admins may pass ?includeInactive=true)
+router.get('/services', verifyToken, async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && req.user.admin === true;
+    const services = await catalogService.listServices({ includeInactive });
+
+    res.json({ success: true, data: services });
+  } catch (error) {
+    console.error('Error listing services:', error);
+    sendCatalogError(res, error, 'Failed to list services');
+  }
+});
+
+// Get a single service by code
+router.get('/services/:code', verifyToken, async (req, res) => {
+  try {
+    const service = await catalogService.getService(req.params.code);
+
+    if (!service) {
+      return res.status(404).json({ success: false, error: 'Service not found' });
+    }
+
+    res.json({ success: true, data: service });
+  } catch (error) {
+    console.error('Error getting service:', error);
+    sendCatalogError(res, error, 'Failed to get service');
+  }
+});
+
+// Add a service to the catalog
+router.post('/services', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const service = await catalogService.createService(req.body);
+
+    res.status(201).json({ success: true, data: service });
+  } catch (error) {
+    console.error('Error creating service:', error);
+    sendCatalogError(res, error, 'Failed to create service');
+  }
+});
+
+// Update price, duration, tax or status of a service
+router.put('/services/:code', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const service = await catalogService.updateService(req.params.code, req.body);
+
+    res.json({ success: true, data: service });
+  } catch (error) {
+    console.error('Error updating service:', error);
+    sendCatalogError(res, error, 'Failed to update service');
+  }
+});
+
+// Deactivate a service
+router.delete('/services/:code', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const service = await catalogService.deactivateService(req.params.code);
+
+    res.json({ success: true, data: service });
+  } catch (error) {
+    console.error('Error deactivating service:', error);
+    sendCatalogError(res, error, 'Failed to deactivate service');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const deviceService = require('../services/devices');
+
+const sendDeviceError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+// Register the caller's FCM token for push reminders
+router.post('/devices', verifyToken, async (req, res) => {
+  try {
+    const { token, platform } = req.body;
+    const device = await deviceService.registerDevice(req.user.uid, { token, platform });
+    res.status(201).json({ success: true, data: { token: device.token, platform: device.platform } });
+  } catch (error) {
+    console.error('Error registering device:', error);
+    sendDeviceError(res, error, 'Failed to register device');
+  }
+});
+
+// Unregister one of the caller's tokens, e.g. on sign-out
+router.delete('/devices/:token', verifyToken, async (req, res) => {
+  try {
+    await deviceService.unregisterDevice(req.user.uid, req.params.token);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unregistering device:', error);
+    sendDeviceError(res, error, 'Failed to unregister device');
+  }
+});
+
+module.exports = router;
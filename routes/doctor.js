@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, isAdmin, isDoctor } = require('../middleware/auth');
+const scheduleService = require('../services/schedule');
+const catalogService = require('../services/catalog');
+const bookingService = require('../services/booking');
+const { clinicNow } = require('../utils/time');
+
+// Get free appointment slots for a doctor
+router.get('/doctors/:id/availability', verifyToken, async (req, res) => {
+  try {
+    const { from, to, serviceType } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to query parameters are required'
+      });
+    }
+
+    const service = await catalogService.getService(serviceType);
+    const availability = await scheduleService.getAvailability(req.params.id, {
+      from,
+      to,
+      serviceType: service ? service.code : serviceType,
+      catalogDuration: service?.duration
+    });
+
+    res.json({ success: true, data: availability });
+  } catch (error) {
+    console.error('Error getting availability:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to get availability'
+    });
+  }
+});
+
+// Get a doctor's working schedule
+router.get('/doctors/:id/schedule', verifyToken, async (req, res) => {
+  try {
+    const schedule = await scheduleService.getSchedule(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Doctor schedule not found' });
+    }
+
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    console.error('Error getting schedule:', error);
+    res.status(500).json({ success: false, error: 'Failed to get schedule' });
+  }
+});
+
+// Create or replace a doctor's working schedule
+router.put('/doctors/:id/schedule', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const schedule = await scheduleService.saveSchedule(req.params.id, req.body);
+
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    console.error('Error saving schedule:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to save schedule'
+    });
+  }
+});
+
+// Logged-in doctor's upcoming appointments (from today unless `from` is given)
+router.get('/doctor/bookings', verifyToken, isDoctor, async (req, res) => {
+  try {
+    const { from, to, status, limit, cursor } = req.query;
+
+    const result = await bookingService.listBookings({
+      doctorId: req.user.uid,
+      from: from || clinicNow().date,
+      to,
+      status,
+      sortBy: 'appointmentDate',
+      order: 'asc',
+      limit,
+      cursor
+    });
+
+    res.json({ success: true, data: result.bookings, nextCursor: result.nextCursor });
+  } catch (error) {
+    console.error('Error listing doctor bookings:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to list bookings'
+    });
+  }
+});
+
+module.exports = router;
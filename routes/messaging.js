@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const messagingConfig = require('../config/messaging');
+const { recordAudit } = require('../services/audit');
+const messagingService = require('../services/messaging');
+const { normalizePhone } = require('../utils/validation');
+
+const sendMessagingError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+// Whether a normalized number is the verified one in the caller's token; numbers typed
+// into bookings prove nothing
+const isOwnNumber = (user, phone) => Boolean(phone) && phone === normalizePhone(user.phone_number);
+
+const auditOptOut = (req, record) => recordAudit({
+  action: record.optedOut ? 'messaging.opted_out' : 'messaging.opted_in',
+  actor: { uid: req.user.uid, email: req.user.email || null },
+  target: { phone: record.phone },
+  details: { source: record.source },
+  req
+});
+
+// Stop WhatsApp/SMS messages to a number; only admins or the number's owner (phone in their token) may opt it out
+router.post('/messaging/opt-out', verifyToken, async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    const isAdmin = req.user.admin === true;
+    if (phone && !isAdmin && !isOwnNumber(req.user, phone)) {
+      return res.status(403).json({ success: false, error: 'Only the owner of this number can opt it out; reply STOP on WhatsApp instead' });
+    }
+
+    const record = await messagingService.setOptOut(req.body.phone, true, isAdmin ? 'admin' : 'patient');
+    await auditOptOut(req, record);
+    res.json({ success: true, data: { phone: record.phone, optedOut: true } });
+  } catch (error) {
+    console.error('Error opting out of messages:', error);
+    sendMessagingError(res, error, 'Failed to opt out');
+  }
+});
+
+// Resume messages; only admins or the number's owner (phone in their token) may opt back in
+router.post('/messaging/opt-in', verifyToken, async (req, res) => {
+  try {
+    const isOwner = isOwnNumber(req.user, normalizePhone(req.body.phone));
+    if (req.user.admin !== true && !isOwner) {
+      return res.status(403).json({ success: false, error: 'Only the owner of this number can opt back in; reply START on WhatsApp instead' });
+    }
+
+    const record = await messagingService.setOptOut(req.body.phone, false, isOwner ? 'patient' : 'admin');
+    await auditOptOut(req, record);
+    res.json({ success: true, data: { phone: record.phone, optedOut: false } });
+  } catch (error) {
+    console.error('Error opting in to messages:', error);
+    sendMessagingError(res, error, 'Failed to opt in');
+  }
+});
+
+// WhatsApp Cloud API webhook verification handshake
+router.get('/messaging/webhook', (req, res) => {
+  const { verifyToken: expected } = messagingConfig.whatsapp;
+  if (expected && req.query['hub.mode'] === 'subscribe' && req.query['hub.verify_token'] === expected) {
+    return res.type('text/plain').send(req.query['hub.challenge']);
+  }
+  res.status(403).json({ success: false, error: 'Webhook verification failed' });
+});
+
+// Inbound WhatsApp messages: STOP/START replies opt the sender out or back in
+router.post('/messaging/webhook', async (req, res) => {
+  try {
+    if (!messagingService.isValidWebhookSignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+      return res.status(403).json({ success: false, error: 'Invalid webhook signature' });
+    }
+
+    const result = await messagingService.handleInboundWhatsApp(req.body);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error handling WhatsApp webhook:', error);
+    sendMessagingError(res, error, 'Failed to handle webhook');
+  }
+});
+
+module.exports = router;
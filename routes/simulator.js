@@ -0,0 +1,89 @@
+/**
+ * Midtrans simulator endpoints, mounted at /simulator only when
+ * MIDTRANS_MODE=simulator. Unauthenticated: never enable in production.
+ *
+ *   GET  /simulator/snap/:token                     fake Snap payment page
+ *   GET  /simulator/transactions                    simulated transactions
+ *   POST /simulator/transactions/:orderId/:status   fire a signed notification
+ */
+
+const express = require('express');
+const router = express.Router();
+const { simulator } = require('../config/midtrans');
+
+const escapeHtml = (value) => {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+};
+
+const renderSnapPage = (transaction, message) => {
+  const buttons = ['settlement', 'pending', 'deny', 'expire', 'cancel'].map(status => `
+      <form method="post" action="/simulator/snap/${escapeHtml(transaction.token)}/${status}">
+        <button type="submit">${status}</button>
+      </form>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head><title>Midtrans simulator</title></head>
+  <body>
+    <h1>Midtrans simulator</h1>
+    <p>Order <strong>${escapeHtml(transaction.order_id)}</strong>, IDR ${escapeHtml(transaction.gross_amount)}</p>
+    <p>Status: <strong>${escapeHtml(transaction.transaction_status || 'awaiting payment')}</strong></p>
+    ${message ? `<p>${escapeHtml(message)}</p>` : ''}
+    ${buttons}
+  </body>
+</html>`;
+};
+
+const sendSimulatorError = (res, error, fallbackMessage) => {
+  const statusCode = Number(error.httpStatusCode) || 500;
+  res.status(statusCode).json({
+    success: false,
+    error: error.httpStatusCode ? error.message : fallbackMessage
+  });
+};
+
+// Fake Snap page: shows the order and lets QA pick the payment outcome
+router.get('/snap/:token', (req, res) => {
+  const transaction = simulator.findByToken(req.params.token);
+  if (!transaction) {
+    return res.status(404).send('Unknown Snap token');
+  }
+  res.send(renderSnapPage(transaction, req.query.message));
+});
+
+router.post('/snap/:token/:status', async (req, res) => {
+  const transaction = simulator.findByToken(req.params.token);
+  if (!transaction) {
+    return res.status(404).send('Unknown Snap token');
+  }
+
+  let message;
+  try {
+    const result = await simulator.fireNotification(transaction.order_id, req.params.status);
+    message = `Webhook answered ${result.webhook.status}`;
+  } catch (error) {
+    console.error('Simulator failed to fire notification:', error);
+    message = `Failed: ${error.message}`;
+  }
+  res.redirect(303, `/simulator/snap/${encodeURIComponent(req.params.token)}?message=${encodeURIComponent(message)}`);
+});
+
+router.get('/transactions', (req, res) => {
+  res.json({ success: true, data: simulator.listTransactions() });
+});
+
+// Move a transaction to a status and post the signed notification to our webhook
+router.post('/transactions/:orderId/:status', async (req, res) => {
+  try {
+    const result = await simulator.fireNotification(req.params.orderId, req.params.status);
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Simulator failed to fire notification:', error);
+    sendSimulatorError(res, error, 'Failed to send notification');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const paymentService = require('../services/payment');
+const receiptService = require('../services/receipt');
+const tagihanService = require('../services/tagihan');
+
+const sendTagihanError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+// Billing history: the caller's tagihan (any patient's for admins), with totals on request
+router.get('/tagihan', verifyToken, async (req, res) => {
+  try {
+    const { userId, status, from, to, order, limit, cursor, view, totals } = req.query;
+
+    const result = await tagihanService.listTagihan({
+      user: req.user,
+      userId,
+      status,
+      from,
+      to,
+      order,
+      limit,
+      cursor,
+      view,
+      withTotals: totals === 'true'
+    });
+
+    res.json({ success: true, data: result.tagihan, totals: result.totals, nextCursor: result.nextCursor });
+  } catch (error) {
+    console.error('Error listing tagihan:', error);
+    sendTagihanError(res, error, 'Failed to list tagihan');
+  }
+});
+
+// Receipt of a paid tagihan, for the patient who paid it or an admin
+router.get('/tagihan/:orderId/receipt.pdf', verifyToken, async (req, res) => {
+  try {
+    const receipt = await receiptService.getReceipt(req.params.orderId, req.user);
+    const pdf = await receiptService.renderReceiptPdf(receipt);
+
+    const filename = `receipt-${receipt.orderId.replace(/[^A-Za-z0-9_-]/g, '_')}.pdf`;
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.type('application/pdf').send(pdf);
+  } catch (error) {
+    console.error('Error generating receipt:', error);
+    sendTagihanError(res, error, 'Failed to generate receipt');
+  }
+});
+
+// Payment attempts of a tagihan with their status timelines and notifications
+router.get('/tagihan/:orderId/attempts', verifyToken, async (req, res) => {
+  try {
+    const result = await tagihanService.listAttempts(req.params.orderId, req.user);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error listing payment attempts:', error);
+    sendTagihanError(res, error, 'Failed to list payment attempts');
+  }
+});
+
+// Send the patient the payment link again, renewing it if it expired
+router.post('/tagihan/:orderId/resend-link', verifyToken, async (req, res) => {
+  try {
+    const result = await paymentService.resendPaymentLink(req.params.orderId, req.user);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error resending payment link:', error);
+    sendTagihanError(res, error, 'Failed to resend payment link');
+  }
+});
+
+module.exports = router;
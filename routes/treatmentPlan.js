@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const bookingService = require('../services/booking');
+const emailService = require('../services/email');
+const paymentService = require('../services/payment');
+const treatmentPlanService = require('../services/treatmentPlan');
+
+const sendPlanError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+// Plan a treatment of several visits (admin or the treating doctor)
+router.post('/treatment-plans', verifyToken, async (req, res) => {
+  try {
+    const plan = await treatmentPlanService.createPlan(req.body, req.user);
+    res.status(201).json({ success: true, data: plan });
+  } catch (error) {
+    console.error('Error creating treatment plan:', error);
+    sendPlanError(res, error, 'Failed to create treatment plan');
+  }
+});
+
+// The caller's plans; admins filter by patientId or doctorId
+router.get('/treatment-plans', verifyToken, async (req, res) => {
+  try {
+    const { patientId, doctorId } = req.query;
+    const plans = await treatmentPlanService.listPlans(req.user, { patientId, doctorId });
+    res.json({ success: true, data: plans });
+  } catch (error) {
+    console.error('Error listing treatment plans:', error);
+    sendPlanError(res, error, 'Failed to list treatment plans');
+  }
+});
+
+// A plan with the visit and status of every step
+router.get('/treatment-plans/:id', verifyToken, async (req, res) => {
+  try {
+    const plan = await treatmentPlanService.getPlan(req.params.id, req.user);
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    console.error('Error getting treatment plan:', error);
+    sendPlanError(res, error, 'Failed to get treatment plan');
+  }
+});
+
+// Book the visit for a step, with the plan's doctor and the step's service
+router.post('/treatment-plans/:id/steps/:step/booking', verifyToken, async (req, res) => {
+  try {
+    const { appointmentDate, appointmentTime, notes } = req.body;
+    const plan = await treatmentPlanService.getPlan(req.params.id, req.user);
+
+    const planStep = Number(req.params.step);
+    const step = plan.steps.find(item => item.step === planStep);
+    if (!step) {
+      return res.status(404).json({ success: false, error: 'Treatment plan step not found' });
+    }
+
+    // Staff booking for the patient use the contact details stored with the plan
+    const booking = await bookingService.createBooking({
+      doctorId: plan.doctorId,
+      patientId: plan.pasienId,
+      appointmentDate,
+      appointmentTime,
+      serviceType: step.serviceType,
+      notes,
+      patientEmail: plan.patientEmail,
+      patientName: plan.patientName,
+      patientPhone: plan.patientPhone,
+      planId: plan.planId,
+      planStep
+    }, { user: req.user, locale: emailService.localeFromRequest(req) });
+
+    res.status(201).json({ success: true, data: booking });
+  } catch (error) {
+    console.error('Error booking treatment plan step:', error);
+    sendPlanError(res, error, 'Failed to book treatment plan step');
+  }
+});
+
+// Pay a consolidated plan's tagihan, whose order id is the plan id
+router.post('/treatment-plans/:id/payment', verifyToken, async (req, res) => {
+  try {
+    const { customer_details, payment_type, payment_amount } = req.body;
+
+    const result = await paymentService.createPayment({
+      orderId: req.params.id,
+      planId: req.params.id,
+      customerDetails: customer_details,
+      paymentType: payment_type,
+      paymentAmount: payment_amount,
+      userId: req.user.uid
+    });
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      data: paymentService.formatPaymentResponse(result)
+    });
+  } catch (error) {
+    console.error('Error paying treatment plan:', error);
+    sendPlanError(res, error, 'Failed to create treatment plan payment');
+  }
+});
+
+module.exports = router;
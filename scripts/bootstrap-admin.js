@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Grant the admin role to an existing Firebase Auth user.
+ * Meant for creating the first admin; later admins are granted through
+ * POST /api/admin/users/:uid/roles.
+ *
+ * Usage: node scripts/bootstrap-admin.js <email> [--force]
+ */
+
+require('dotenv').config();
+const admin = require('../config/firebase');
+const roleService = require('../services/roles');
+
+const CLI_ACTOR = { uid: 'cli', email: process.env.USER || null };
+
+const hasExistingAdmin = async () => {
+  let pageToken;
+  do {
+    const page = await roleService.listUsers({ limit: 1000, pageToken });
+    if (page.users.some(user => user.roles.includes('admin'))) return true;
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  return false;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const email = args.find(arg => !arg.startsWith('--'));
+  const force = args.includes('--force');
+
+  if (!email) {
+    console.error('Usage: node scripts/bootstrap-admin.js <email> [--force]');
+    process.exit(1);
+  }
+
+  if (!force && await hasExistingAdmin()) {
+    console.error('❌ An admin already exists. Use the admin API, or pass --force to add another admin.');
+    process.exit(1);
+  }
+
+  const userRecord = await admin.auth().getUserByEmail(email);
+  const user = await roleService.setRole(userRecord.uid, 'admin', true, { actor: CLI_ACTOR });
+
+  console.log(`✅ ${user.email} (${user.uid}) now has roles: ${user.roles.join(', ')}`);
+  console.log('ℹ️  The user must sign in again (or refresh their ID token) to use the new role.');
+  process.exit(0);
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to bootstrap admin:', error.message);
+  process.exit(1);
+});
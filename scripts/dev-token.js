@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Print an ID token for a dev user, for use with AUTH_PROVIDER=local.
+ *
+ * Usage: node scripts/dev-token.js <uid> [--role admin] [--role doctor] [--email user@example.com] [--phone +6281234567890] [--expires 1h]
+ */
+
+require('dotenv').config();
+const authConfig = require('../config/auth');
+const { createLocalProvider } = require('../services/authProvider');
+
+const readOptions = (args) => {
+  const options = { roles: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--role') options.roles.push(args[++i]);
+    else if (arg === '--email') options.email = args[++i];
+    else if (arg === '--name') options.name = args[++i];
+    else if (arg === '--phone') options.phone = args[++i];
+    else if (arg === '--expires') options.expiresIn = args[++i];
+    else if (!arg.startsWith('--')) options.uid = arg;
+  }
+  return options;
+};
+
+const main = () => {
+  const { uid, roles, email, name, phone, expiresIn } = readOptions(process.argv.slice(2));
+
+  if (!uid) {
+    console.error('Usage: node scripts/dev-token.js <uid> [--role admin] [--email user@example.com] [--expires 1h]');
+    process.exit(1);
+  }
+
+  if (authConfig.provider !== 'local') {
+    console.warn(`⚠️  AUTH_PROVIDER is '${authConfig.provider}'; the server will only accept this token with AUTH_PROVIDER=local`);
+  }
+
+  const provider = createLocalProvider();
+  console.log(provider.signToken({ uid, email, name, phone, roles }, expiresIn ? { expiresIn } : undefined));
+};
+
+try {
+  main();
+} catch (error) {
+  console.error('❌ Failed to create token:', error.message);
+  process.exit(1);
+}
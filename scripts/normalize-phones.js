@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+/**
+ * Rewrite the customer phone numbers stored on orders and transactions in
+ * E.164 (+62...), as new ones are stored.
+ *
+ * Usage: node scripts/normalize-phones.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { normalizeStoredPhones } = require('../services/messaging');
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const summary = await normalizeStoredPhones({ dryRun });
+
+  console.log(`✅ Phone numbers normalized${dryRun ? ' (dry run)' : ''}:`, summary);
+  process.exit(0);
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to normalize phone numbers:', error.message);
+  process.exit(1);
+});
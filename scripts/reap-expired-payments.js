@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * Expire payments past their Snap expiry and free their appointment slots.
+ * Meant for cron; set PAYMENT_REAPER_INTERVAL_MS to run it inside the server instead.
+ *
+ * Usage: node scripts/reap-expired-payments.js [--limit 50]
+ */
+
+require('dotenv').config();
+const { reapExpiredPayments } = require('../services/paymentReaper');
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const limitIndex = args.indexOf('--limit');
+  const limit = limitIndex >= 0 ? parseInt(args[limitIndex + 1]) : undefined;
+
+  if (limitIndex >= 0 && !(limit > 0)) {
+    console.error('Usage: node scripts/reap-expired-payments.js [--limit 50]');
+    process.exit(1);
+  }
+
+  const summary = await reapExpiredPayments(limit ? { limit } : {});
+
+  console.log(`✅ Checked ${summary.checked} expired payment(s):`, summary);
+  process.exit(summary.errors.length > 0 ? 1 : 0);
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to reap expired payments:', error.message);
+  process.exit(1);
+});
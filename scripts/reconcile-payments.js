@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Reconcile transactions with Midtrans and write the discrepancy report.
+ * Also available as POST /api/admin/reconciliation.
+ *
+ * Usage: node scripts/reconcile-payments.js [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *          [--dry-run] [--limit 500] [--format json|csv] [--output <file>]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const reconciliationService = require('../services/reconciliation');
+
+const CLI_ACTOR = { uid: 'cli', email: process.env.USER || null };
+const USAGE = 'Usage: node scripts/reconcile-payments.js [--from YYYY-MM-DD] [--to YYYY-MM-DD] ' +
+  '[--dry-run] [--limit 500] [--format json|csv] [--output <file>]';
+
+const optionValue = (args, name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const format = optionValue(args, '--format') || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const report = await reconciliationService.reconcileTransactions({
+    from: optionValue(args, '--from'),
+    to: optionValue(args, '--to'),
+    dryRun: args.includes('--dry-run'),
+    limit: optionValue(args, '--limit'),
+    actor: CLI_ACTOR
+  });
+
+  const output = optionValue(args, '--output') || `reconciliation-${report.from}-${report.to}.${format}`;
+  const content = format === 'csv'
+    ? reconciliationService.reportToCsv(report)
+    : `${JSON.stringify(report, null, 2)}\n`;
+  fs.writeFileSync(output, content);
+
+  const { checked, matched, fixed, failed, truncated } = report;
+  console.log(`✅ Reconciled ${report.from} to ${report.to}${report.dryRun ? ' (dry run)' : ''}:`, {
+    checked,
+    matched,
+    fixed,
+    discrepancies: report.discrepancies.length,
+    failed
+  });
+  if (truncated) {
+    console.warn('⚠️  More transactions in range than --limit; run again with a narrower range');
+  }
+  console.log(`📄 Report written to ${output}`);
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+main().catch((error) => {
+  console.error('❌ Reconciliation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * Send the queued emails that are due. For cron setups; the server does
+ * the same every EMAIL_QUEUE_INTERVAL_MS.
+ *
+ * Usage: node scripts/send-emails.js [--limit 20]
+ */
+
+require('dotenv').config();
+const { processEmailQueue } = require('../services/email');
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const limitIndex = args.indexOf('--limit');
+  const limit = limitIndex >= 0 ? parseInt(args[limitIndex + 1]) : undefined;
+
+  if (limitIndex >= 0 && !(limit > 0)) {
+    console.error('Usage: node scripts/send-emails.js [--limit 20]');
+    process.exit(1);
+  }
+
+  const summary = await processEmailQueue(limit ? { limit } : {});
+
+  console.log('✅ Email queue processed:', summary);
+  process.exit(0);
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to process the email queue:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * Send the queued WhatsApp/SMS messages that are due. For cron setups; the
+ * server does the same every MESSAGING_QUEUE_INTERVAL_MS.
+ *
+ * Usage: node scripts/send-messages.js [--limit 20]
+ */
+
+require('dotenv').config();
+const { processMessageQueue } = require('../services/messaging');
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const limitIndex = args.indexOf('--limit');
+  const limit = limitIndex >= 0 ? parseInt(args[limitIndex + 1]) : undefined;
+
+  if (limitIndex >= 0 && !(limit > 0)) {
+    console.error('Usage: node scripts/send-messages.js [--limit 20]');
+    process.exit(1);
+  }
+
+  const summary = await processMessageQueue(limit ? { limit } : {});
+
+  console.log('✅ Message queue processed:', summary);
+  process.exit(0);
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to process the message queue:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * Send the appointment reminders that are due. For cron setups; the server
+ * does the same every REMINDER_INTERVAL_MS.
+ *
+ * Usage: node scripts/send-reminders.js [--limit 50]
+ */
+
+require('dotenv').config();
+const { processDueReminders } = require('../services/reminders');
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const limitIndex = args.indexOf('--limit');
+  const limit = limitIndex >= 0 ? parseInt(args[limitIndex + 1]) : undefined;
+
+  if (limitIndex >= 0 && !(limit > 0)) {
+    console.error('Usage: node scripts/send-reminders.js [--limit 50]');
+    process.exit(1);
+  }
+
+  const summary = await processDueReminders(limit ? { limit } : {});
+
+  console.log('✅ Reminders processed:', summary);
+  process.exit(0);
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to send reminders:', error.message);
+  process.exit(1);
+});
@@ -8,6 +8,22 @@ require('dotenv').config();
 // Import routes
 const transactionRoutes = require('./routes/transaction');
 const bookingRoutes = require('./routes/booking');
+const doctorRoutes = require('./routes/doctor');
+const catalogRoutes = require('./routes/catalog');
+const adminRoutes = require('./routes/admin');
+const tagihanRoutes = require('./routes/tagihan');
+const deviceRoutes = require('./routes/devices');
+const messagingRoutes = require('./routes/messaging');
+const treatmentPlanRoutes = require('./routes/treatmentPlan');
+const { simulator, testMidtransConnection } = require('./config/midtrans');
+const paymentConfig = require('./config/payment');
+const { startPaymentReaper } = require('./services/paymentReaper');
+const emailConfig = require('./config/email');
+const { startEmailSender } = require('./services/email');
+const remindersConfig = require('./config/reminders');
+const { startReminderScheduler } = require('./services/reminders');
+const messagingConfig = require('./config/messaging');
+const { startMessageSender } = require('./services/messaging');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -21,56 +37,27 @@ const limiter = rateLimit({
 // Middleware
 app.use(cors());
 app.use(helmet());
-app.use(morgan('dev'));
-app.use(express.json());
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('dev'));
+}
+// Keep the raw body for webhook signatures computed over the exact bytes (WhatsApp)
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 app.use(limiter);
 
 // Routes
-app.use('/api', [transactionRoutes, bookingRoutes]);
+app.use('/api', [transactionRoutes, bookingRoutes, doctorRoutes, catalogRoutes, adminRoutes, tagihanRoutes, deviceRoutes, messagingRoutes, treatmentPlanRoutes]);
+
+// Fake Snap page and notification triggers (MIDTRANS_MODE=simulator only)
+if (simulator) {
+  app.use('/simulator', require('./routes/simulator'));
+}
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
 });
 
-// Midtrans notification webhook
-app.post('/api/notification/midtrans', async (req, res) => {
-  try {
-    const notification = req.body;
-    const orderId = notification.order_id;
-    const transactionStatus = notification.transaction_status;
-    const fraudStatus = notification.fraud_status;
-
-    console.log('Received Midtrans notification:', {
-      orderId,
-      transactionStatus,
-      fraudStatus,
-    });
-
-// Forward to transaction handler
-const response = await fetch(`https://be-klinik.onrender.com/api/notification`, {
-//const response = await fetch(`http://172.20.10.3:3001/api/notification`, {
-
-
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(notification),
-    });
-
-    if (!response.ok) {
-      throw new Error('Failed to process notification');
-    }
-
-    res.status(200).json({ status: 'OK' });
-  } catch (error) {
-    console.error('Error processing Midtrans notification:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -80,8 +67,26 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📝 Environment: ${process.env.NODE_ENV}`);
-}); 
\ No newline at end of file
+// Start server when run directly; tests import the app instead
+if (require.main === module) {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📝 Environment: ${process.env.NODE_ENV}`);
+    testMidtransConnection();
+
+    if (paymentConfig.reaper.intervalMs > 0) {
+      startPaymentReaper();
+    }
+    if (emailConfig.enabled && emailConfig.queue.intervalMs > 0) {
+      startEmailSender();
+    }
+    if (messagingConfig.enabled && messagingConfig.queue.intervalMs > 0) {
+      startMessageSender();
+    }
+    if (remindersConfig.intervalMs > 0) {
+      startReminderScheduler();
+    }
+  });
+}
+
+module.exports = app; 
\ No newline at end of file
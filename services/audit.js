@@ -0,0 +1,32 @@
+/**
+ * Audit log
+ * Security-relevant events are appended to the `audit_logs` collection
+ */
+
+const { db, FieldValue } = require('../repositories/database');
+
+/**
+ * Record an audit entry. Never throws, so a logging failure cannot change
+ * the outcome of the request being audited.
+ */
+const recordAudit = async ({ action, actor = null, target = null, details = {}, req = null }) => {
+  const entry = {
+    action,
+    actor,
+    target,
+    details,
+    ip: req?.ip || null,
+    userAgent: req?.get?.('User-Agent') || null,
+    created_at: FieldValue.serverTimestamp()
+  };
+
+  try {
+    await db.collection('audit_logs').add(entry);
+  } catch (error) {
+    console.error('Failed to write audit log:', { action, target }, error);
+  }
+};
+
+module.exports = {
+  recordAudit
+};
@@ -0,0 +1,91 @@
+/**
+ * ID token verification behind a small provider interface
+ *
+ * Each provider exposes `verifyIdToken(token, { checkRevoked })` resolving
+ * with a decoded token shaped like Firebase's: `uid`, `email`, `exp` and the
+ * role claims (`admin`, `doctor`, `patient`) that `verifyRole` checks.
+ * The provider is picked by AUTH_PROVIDER (see config/auth.js).
+ */
+
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+
+const ROLE_CLAIMS = ['admin', 'doctor', 'patient'];
+
+// Firebase Auth, or the Auth emulator when FIREBASE_AUTH_EMULATOR_HOST is set
+const createFirebaseProvider = () => {
+  const admin = require('../config/firebase');
+
+  return {
+    name: 'firebase',
+    verifyIdToken: (token, { checkRevoked = false } = {}) => {
+      return admin.auth().verifyIdToken(token, checkRevoked);
+    }
+  };
+};
+
+// HS256 JWTs signed with a shared dev secret; revocation is not supported
+const createLocalProvider = ({ secret, issuer, tokenTtl } = authConfig.local) => {
+  if (!secret) {
+    throw new Error('AUTH_LOCAL_JWT_SECRET is required for the local auth provider');
+  }
+
+  const verifyIdToken = async (token) => {
+    const payload = jwt.verify(token, secret, { algorithms: ['HS256'], issuer });
+    if (!payload.sub) {
+      throw new Error('Token has no subject');
+    }
+    return { ...payload, uid: payload.sub };
+  };
+
+  // Token for a dev user; `roles` become boolean claims like Firebase custom claims and
+  // `phone` the verified `phone_number` Firebase phone sign-in puts in the token
+  const signToken = ({ uid, email, name, phone, roles = [] }, { expiresIn = tokenTtl } = {}) => {
+    const claims = { email: email || null, name: name || null, phone_number: phone || null };
+    roles.forEach((role) => {
+      if (!ROLE_CLAIMS.includes(role)) {
+        throw new Error(`Unknown role: ${role}`);
+      }
+      claims[role] = true;
+    });
+    return jwt.sign(claims, secret, { algorithm: 'HS256', subject: uid, issuer, expiresIn });
+  };
+
+  return {
+    name: 'local',
+    verifyIdToken,
+    signToken
+  };
+};
+
+const createAuthProvider = (name = authConfig.provider) => {
+  switch (name) {
+    case 'firebase':
+    case 'emulator':
+      return createFirebaseProvider();
+    case 'local':
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('The local auth provider cannot be used in production');
+      }
+      return createLocalProvider();
+    default:
+      throw new Error(`Unknown AUTH_PROVIDER: ${name}`);
+  }
+};
+
+let provider = null;
+
+// Provider configured for this process, created on first use
+const getAuthProvider = () => {
+  if (!provider) {
+    provider = createAuthProvider();
+  }
+  return provider;
+};
+
+module.exports = {
+  createFirebaseProvider,
+  createLocalProvider,
+  createAuthProvider,
+  getAuthProvider
+};
@@ -0,0 +1,547 @@
+/**
+ * Booking lifecycle: creation, status state machine, cancellation and
+ * rescheduling
+ *
+ * Every change runs in a Firestore transaction and appends an entry to the
+ * booking's `history` with the action, reason and acting user. Bookings that
+ * are visits of a treatment plan keep their plan step in step (see
+ * services/treatmentPlan).
+ */
+
+const { FieldValue, Timestamp } = require('../repositories/database');
+const repositories = require('../repositories');
+const clinicConfig = require('../config/clinic');
+const { ApiError } = require('../middleware/errorHandler');
+const scheduleService = require('./schedule');
+const catalogService = require('./catalog');
+const treatmentPlanService = require('./treatmentPlan');
+const refundService = require('./refund');
+const emailService = require('./email');
+const reminderService = require('./reminders');
+const messagingService = require('./messaging');
+const { toClinicDate, isValidDate } = require('../utils/time');
+const { isValidEmail, normalizePhone } = require('../utils/validation');
+
+const BOOKING_STATUSES = ['pending', 'confirmed', 'checked_in', 'completed', 'no_show', 'cancelled'];
+
+// Allowed status transitions, keyed by action
+const ACTIONS = {
+  confirm: { from: ['pending'], to: 'confirmed' },
+  check_in: { from: ['confirmed'], to: 'checked_in' },
+  complete: { from: ['confirmed', 'checked_in'], to: 'completed' },
+  no_show: { from: ['confirmed'], to: 'no_show' },
+  cancel: { from: ['pending', 'confirmed'], to: 'cancelled' }
+};
+
+// Statuses in which the appointment can still be moved
+const RESCHEDULABLE_STATUSES = ['pending', 'confirmed'];
+
+// Actor used for changes made by the payment webhook and background jobs
+const SYSTEM_ACTOR = { uid: 'system', roles: ['system'] };
+
+// statusReason of bookings cancelled because their payment expired
+const PAYMENT_EXPIRED_REASON = 'Payment expired';
+
+const PAYMENT_STATUSES = ['unpaid', 'partially_paid', 'Berhasil', 'failed', 'expired', 'refunded'];
+
+// Payment statuses of bookings with money to refund when they are cancelled
+const REFUNDABLE_PAYMENT_STATUSES = ['partially_paid', 'Berhasil'];
+const SORT_FIELDS = ['appointmentDate', 'createdAt'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Whether cancelling the booking refunds its payments; a visit paid through its plan's tagihan has none of its own
+const isRefundable = (booking) => {
+  return REFUNDABLE_PAYMENT_STATUSES.includes(booking.paymentStatus) && booking.planBilling !== 'consolidated';
+};
+
+// Action that moves a booking into the given status
+const actionForStatus = (status) => {
+  return Object.keys(ACTIONS).find(action => ACTIONS[action].to === status);
+};
+
+// Roles the user holds with respect to a particular booking
+const getActorRoles = (user, booking) => {
+  if (user.roles) return user.roles;
+
+  const roles = [];
+  if (user.admin === true) roles.push('admin');
+  if (user.doctor === true && booking.doctorId === user.uid) roles.push('doctor');
+  if (booking.pasienId === user.uid) roles.push('patient');
+  return roles;
+};
+
+// First of the actor's roles that the policy permits for an action
+const authorize = (action, roles) => {
+  const allowed = clinicConfig.bookingPolicy.permissions[action] || [];
+  const role = roles.find(r => allowed.includes(r));
+  if (!role) {
+    throw new ApiError(`Not allowed to ${action} this booking`, 403);
+  }
+  return role;
+};
+
+// Cutoff and reschedule limits apply to patients unless staff act for them
+const isBoundByLimits = (role) => {
+  return role === 'patient' || !clinicConfig.bookingPolicy.staffBypassLimits;
+};
+
+const assertBeforeCutoff = (booking, cutoffHours, action) => {
+  const appointmentAt = toClinicDate(booking.appointmentDate, booking.appointmentTime);
+  const cutoffAt = appointmentAt.getTime() - cutoffHours * 60 * 60 * 1000;
+  if (Date.now() > cutoffAt) {
+    throw new ApiError(`Bookings can only be ${action} up to ${cutoffHours} hours before the appointment`, 400);
+  }
+};
+
+const normalizeReason = (reason, required) => {
+  if (reason === undefined || reason === null || reason === '') {
+    if (required) throw new ApiError('reason is required', 400);
+    return null;
+  }
+  if (typeof reason !== 'string' || reason.trim().length > 500) {
+    throw new ApiError('reason must be a string of at most 500 characters', 400);
+  }
+  return reason.trim();
+};
+
+// Entry appended to a booking's `history` for every change
+const historyEntry = (action, { from, to, reason, actor, role, ...details }) => {
+  return {
+    action,
+    fromStatus: from,
+    toStatus: to,
+    reason,
+    actor: { uid: actor.uid, role },
+    ...details,
+    at: Timestamp.now()
+  };
+};
+
+const loadBooking = async (transaction, bookingId) => {
+  const booking = await repositories.bookings.get(bookingId, { transaction });
+  if (!booking) {
+    throw new ApiError('Booking not found', 404);
+  }
+  return booking;
+};
+
+/**
+ * Apply a status action (see ACTIONS) to a booking.
+ * `actor` is the decoded token of the caller, or SYSTEM_ACTOR.
+ * Cancelling a paid booking also requests a Midtrans refund of every
+ * payment made for it.
+ */
+const transitionBooking = async (bookingId, action, { actor, reason, extra = {} }) => {
+  const rule = ACTIONS[action];
+  if (!rule) {
+    throw new ApiError(`Unknown booking action: ${action}`, 400);
+  }
+
+  let role;
+
+  const result = await repositories.runTransaction(async (transaction) => {
+    const booking = await loadBooking(transaction, bookingId);
+    role = authorize(action, getActorRoles(actor, booking));
+    const cleanReason = normalizeReason(reason, action === 'cancel' && role !== 'system');
+
+    if (!rule.from.includes(booking.status)) {
+      throw new ApiError(`Cannot ${action} a booking that is ${booking.status}`, 409);
+    }
+
+    if (action === 'cancel' && isBoundByLimits(role)) {
+      assertBeforeCutoff(booking, clinicConfig.bookingPolicy.cancelCutoffHours, 'cancelled');
+    }
+
+    // Leaving 'confirmed' cancels the reminders still to be sent
+    const reminders = booking.status === 'confirmed'
+      ? await reminderService.loadReminders(transaction, bookingId)
+      : [];
+    const plan = await treatmentPlanService.loadPlan(transaction, booking.planId);
+
+    const entry = historyEntry(action, {
+      from: booking.status,
+      to: rule.to,
+      reason: cleanReason,
+      actor,
+      role
+    });
+
+    const updateData = {
+      ...extra,
+      status: rule.to,
+      statusReason: cleanReason,
+      history: [...(booking.history || []), entry],
+      updatedAt: FieldValue.serverTimestamp()
+    };
+
+    if (action === 'cancel') {
+      scheduleService.releaseSlots(transaction, booking);
+      updateData.slotIds = [];
+      updateData.cancelledAt = FieldValue.serverTimestamp();
+      updateData.cancelledBy = entry.actor;
+    }
+
+    await repositories.bookings.update(bookingId, updateData, { transaction });
+    await treatmentPlanService.recordVisitStatus(transaction, plan, booking, rule.to);
+
+    if (rule.to === 'confirmed') {
+      reminderService.scheduleReminders(transaction, { ...booking, ...updateData });
+      await messagingService.enqueueMessage({
+        template: 'booking_confirmed',
+        to: booking.patientPhone,
+        locale: booking.locale,
+        data: emailService.bookingEmailData(booking)
+      }, { transaction });
+    } else {
+      reminderService.cancelReminders(transaction, reminders, `Booking ${rule.to}`);
+    }
+
+    if (action === 'cancel') {
+      await emailService.enqueueEmail({
+        template: 'booking_cancelled',
+        to: booking.patientEmail,
+        locale: booking.locale,
+        data: {
+          ...emailService.bookingEmailData(booking),
+          reason: cleanReason,
+          refundRequested: isRefundable(booking)
+        }
+      }, { transaction });
+    }
+
+    return { ...booking, ...updateData };
+  });
+
+  if (action === 'cancel' && isRefundable(result)) {
+    result.refunds = await refundService.refundCancelledBooking(result, { role, reason: result.statusReason });
+    // The first payment's refund, as before part payments
+    result.refund = result.refunds[0] || null;
+  }
+
+  return result;
+};
+
+/**
+ * Create a booking, reserving the doctor's slot and writing the booking
+ * atomically. `user` books for themselves, or staff for `patientId` with
+ * the patient's contact details. With `planId` and `planStep` the booking
+ * is the visit for that step of a treatment plan. A visit of a plan whose
+ * consolidated tagihan is already paid, at least its deposit, is confirmed
+ * right away.
+ */
+const createBooking = async (input, { user, locale }) => {
+  const {
+    doctorId,
+    patientId,
+    appointmentDate,
+    appointmentTime,
+    serviceType,
+    notes,
+    patientEmail,
+    patientName,
+    patientPhone,
+    planId,
+    planStep
+  } = input;
+
+  if (!doctorId || !appointmentDate || !appointmentTime || !serviceType) {
+    throw new ApiError('Missing required fields', 400);
+  }
+
+  // serviceType must be an active code from the pricing catalog
+  const service = await catalogService.getActiveService(serviceType);
+
+  const bookingId = `BOOK-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+
+  // Only staff book for someone else; the body's contact details apply only then
+  const forSelf = !patientId || patientId === user.uid;
+  if (!forSelf && user.admin !== true && user.doctor !== true) {
+    throw new ApiError('Only admins and doctors may book for another patient', 403);
+  }
+
+  // Contact for notifications: the caller's own, or given by staff booking for a patient
+  const contactEmail = forSelf ? user.email : patientEmail;
+
+  // WhatsApp/SMS number, stored in E.164
+  const contactPhone = patientPhone || (forSelf ? user.phone_number : null);
+  const normalizedPhone = normalizePhone(contactPhone);
+  if (patientPhone && !normalizedPhone) {
+    throw new ApiError('patientPhone must be a valid Indonesian phone number', 400);
+  }
+
+  const booking = {
+    bookingId,
+    doctorId,
+    pasienId: patientId || user.uid,
+    appointmentDate,
+    appointmentTime,
+    serviceType: service.code,
+    serviceName: service.name,
+    notes,
+    patientEmail: contactEmail && isValidEmail(contactEmail) ? contactEmail : null,
+    patientName: (forSelf ? user.name : patientName) || null,
+    patientPhone: normalizedPhone,
+    locale,
+    status: 'pending', // see BOOKING_STATUSES
+    paymentStatus: 'unpaid', // see PAYMENT_STATUSES
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp()
+  };
+
+  let depositPaid = false;
+  await repositories.runTransaction(async (transaction) => {
+    const plan = await treatmentPlanService.loadPlan(transaction, planId);
+    if (plan) {
+      await treatmentPlanService.assertStepBookable(transaction, plan, planStep, booking);
+      booking.planId = planId;
+      booking.planStep = planStep;
+      booking.planBilling = plan.billing;
+
+      if (plan.billing === 'consolidated') {
+        const tagihan = await repositories.tagihan.get(planId, { transaction });
+        const payment = treatmentPlanService.planPaymentOf(tagihan);
+        booking.paymentStatus = payment.paymentStatus;
+        booking.tagihanStatus = payment.tagihanStatus;
+        depositPaid = payment.depositPaid;
+      }
+    }
+
+    const reservation = await scheduleService.reserveSlot(transaction, {
+      doctorId,
+      date: appointmentDate,
+      time: appointmentTime,
+      serviceType: service.code,
+      catalogDuration: service.duration,
+      bookingId
+    });
+
+    booking.durationMinutes = reservation.duration;
+    booking.slotIds = reservation.slotIds;
+    await repositories.bookings.create(bookingId, booking, { transaction });
+    if (plan) {
+      await treatmentPlanService.linkVisit(transaction, plan, planStep, bookingId);
+    }
+    await emailService.enqueueEmail({
+      template: 'booking_created',
+      to: booking.patientEmail,
+      locale: booking.locale,
+      data: emailService.bookingEmailData(booking)
+    }, { transaction });
+  });
+
+  if (depositPaid) {
+    return transitionBooking(bookingId, 'confirm', { actor: SYSTEM_ACTOR, reason: 'Paid through treatment plan' });
+  }
+  return booking;
+};
+
+// Move a booking to a new date/time, holding the new slot before releasing the old one
+const rescheduleBooking = async (bookingId, { actor, reason, appointmentDate, appointmentTime }) => {
+  if (!appointmentDate || !appointmentTime) {
+    throw new ApiError('appointmentDate and appointmentTime are required', 400);
+  }
+
+  return repositories.runTransaction(async (transaction) => {
+    const booking = await loadBooking(transaction, bookingId);
+    const role = authorize('reschedule', getActorRoles(actor, booking));
+    const cleanReason = normalizeReason(reason, true);
+
+    if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+      throw new ApiError(`Cannot reschedule a booking that is ${booking.status}`, 409);
+    }
+
+    if (booking.appointmentDate === appointmentDate && booking.appointmentTime === appointmentTime) {
+      throw new ApiError('Booking is already scheduled at that time', 400);
+    }
+
+    const rescheduleCount = booking.rescheduleCount || 0;
+    if (isBoundByLimits(role)) {
+      assertBeforeCutoff(booking, clinicConfig.bookingPolicy.rescheduleCutoffHours, 'rescheduled');
+      if (rescheduleCount >= clinicConfig.bookingPolicy.maxReschedules) {
+        throw new ApiError(`Bookings can be rescheduled at most ${clinicConfig.bookingPolicy.maxReschedules} times`, 400);
+      }
+    }
+
+    const reminders = await reminderService.loadReminders(transaction, bookingId);
+
+    const reservation = await scheduleService.reserveSlot(transaction, {
+      doctorId: booking.doctorId,
+      date: appointmentDate,
+      time: appointmentTime,
+      serviceType: booking.serviceType,
+      catalogDuration: booking.durationMinutes,
+      bookingId
+    });
+    scheduleService.releaseSlots(transaction, booking, reservation.slotIds);
+
+    const entry = historyEntry('reschedule', {
+      from: booking.status,
+      to: booking.status,
+      reason: cleanReason,
+      actor,
+      role,
+      previousAppointment: { date: booking.appointmentDate, time: booking.appointmentTime },
+      newAppointment: { date: appointmentDate, time: appointmentTime }
+    });
+
+    const updateData = {
+      appointmentDate,
+      appointmentTime,
+      durationMinutes: reservation.duration,
+      slotIds: reservation.slotIds,
+      rescheduleCount: rescheduleCount + 1,
+      history: [...(booking.history || []), entry],
+      updatedAt: FieldValue.serverTimestamp()
+    };
+
+    await repositories.bookings.update(bookingId, updateData, { transaction });
+
+    // Replace the reminders for the old time with ones for the new time
+    reminderService.cancelReminders(transaction, reminders, 'Booking rescheduled');
+    if (booking.status === 'confirmed') {
+      reminderService.scheduleReminders(transaction, { ...booking, ...updateData });
+    }
+
+    await emailService.enqueueEmail({
+      template: 'booking_rescheduled',
+      to: booking.patientEmail,
+      locale: booking.locale,
+      data: {
+        ...emailService.bookingEmailData({ ...booking, appointmentDate, appointmentTime }),
+        previousDate: booking.appointmentDate,
+        previousTime: booking.appointmentTime,
+        reason: cleanReason
+      }
+    }, { transaction });
+
+    return { ...booking, ...updateData };
+  });
+};
+
+// Cancelled by the system only because its payment expired or failed, so a new payment attempt may bring it back
+const isReopenable = (booking) => {
+  const last = booking.history?.[booking.history.length - 1];
+  return booking.status === 'cancelled' &&
+    ['expired', 'failed'].includes(booking.paymentStatus) &&
+    last?.action === 'cancel' &&
+    last.actor?.role === 'system';
+};
+
+/**
+ * Put a booking cancelled by an expired or failed payment back to 'pending'
+ * when a new payment attempt starts, holding its slot again. Runs inside `transaction` and
+ * reads the schedule, so call it after the caller's reads and before its
+ * writes. Fails if the slot was taken or the appointment has passed.
+ */
+const reopenBooking = async (transaction, booking, { reason }) => {
+  if (!isReopenable(booking)) {
+    throw new ApiError(`Cannot reopen a booking that is ${booking.status}`, 409);
+  }
+
+  const reservation = await scheduleService.reserveSlot(transaction, {
+    doctorId: booking.doctorId,
+    date: booking.appointmentDate,
+    time: booking.appointmentTime,
+    serviceType: booking.serviceType,
+    catalogDuration: booking.durationMinutes,
+    bookingId: booking.bookingId
+  });
+
+  const entry = historyEntry('reopen', {
+    from: booking.status,
+    to: 'pending',
+    reason,
+    actor: SYSTEM_ACTOR,
+    role: 'system'
+  });
+
+  const updateData = {
+    status: 'pending',
+    statusReason: reason,
+    paymentStatus: 'unpaid',
+    tagihanStatus: 'unpaid',
+    durationMinutes: reservation.duration,
+    slotIds: reservation.slotIds,
+    cancelledAt: null,
+    cancelledBy: null,
+    history: [...(booking.history || []), entry],
+    updatedAt: FieldValue.serverTimestamp()
+  };
+
+  await repositories.bookings.update(booking.bookingId, updateData, { transaction });
+  return { ...booking, ...updateData };
+};
+
+/**
+ * List bookings for staff with filters, sorting and cursor pagination.
+ * The cursor is the id of the last booking of the previous page.
+ * Filtering by date range requires sorting by appointmentDate (Firestore
+ * orders by the range field first); each filter/sort combination needs a
+ * composite index.
+ */
+const listBookings = async ({
+  from,
+  to,
+  doctorId,
+  status,
+  paymentStatus,
+  sortBy = 'appointmentDate',
+  order = 'asc',
+  limit = DEFAULT_PAGE_SIZE,
+  cursor
+} = {}) => {
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    throw new ApiError('from and to must be dates in YYYY-MM-DD format', 400);
+  }
+  if (status && !BOOKING_STATUSES.includes(status)) {
+    throw new ApiError(`status must be one of: ${BOOKING_STATUSES.join(', ')}`, 400);
+  }
+  if (paymentStatus && !PAYMENT_STATUSES.includes(paymentStatus)) {
+    throw new ApiError(`paymentStatus must be one of: ${PAYMENT_STATUSES.join(', ')}`, 400);
+  }
+  if (!SORT_FIELDS.includes(sortBy)) {
+    throw new ApiError(`sortBy must be one of: ${SORT_FIELDS.join(', ')}`, 400);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    throw new ApiError('order must be asc or desc', 400);
+  }
+  if ((from || to) && sortBy !== 'appointmentDate') {
+    throw new ApiError('Date range filters require sortBy=appointmentDate', 400);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  if (cursor && !(await repositories.bookings.get(cursor))) {
+    throw new ApiError('Invalid cursor', 400);
+  }
+
+  return repositories.bookings.list({
+    doctorId,
+    status,
+    paymentStatus,
+    from,
+    to,
+    sortBy,
+    order,
+    limit: pageSize,
+    cursor
+  });
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  PAYMENT_STATUSES,
+  ACTIONS,
+  SYSTEM_ACTOR,
+  actionForStatus,
+  getActorRoles,
+  historyEntry,
+  PAYMENT_EXPIRED_REASON,
+  createBooking,
+  transitionBooking,
+  rescheduleBooking,
+  isReopenable,
+  reopenBooking,
+  listBookings
+};
@@ -0,0 +1,188 @@
+/**
+ * Treatment pricing catalog
+ *
+ * Services live in the `services` collection keyed by their code, e.g.
+ *   services/SCALING: { code, name, price, duration, taxRate, active }
+ * Bookings reference a service through `serviceType` (the code) and payments
+ * are always priced from here, never from client-supplied amounts.
+ * Treatments paid in installments set `depositPercent`: the share of the
+ * price that must be paid to confirm the booking.
+ */
+
+const { db, FieldValue } = require('../repositories/database');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Validate a catalog entry from the admin API; `partial` allows updates of single fields
+const normalizeService = (input, { partial = false } = {}) => {
+  if (!input || typeof input !== 'object') {
+    throw new ApiError('Service body is required', 400);
+  }
+
+  const service = {};
+
+  if (!partial || input.code !== undefined) {
+    if (typeof input.code !== 'string' || !/^[A-Za-z0-9_-]{2,30}$/.test(input.code)) {
+      throw new ApiError('code must be 2-30 letters, digits, dashes or underscores', 400);
+    }
+    service.code = input.code.toUpperCase();
+  }
+
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || input.name.trim().length < 2 || input.name.trim().length > 100) {
+      throw new ApiError('name must be between 2 and 100 characters', 400);
+    }
+    service.name = input.name.trim();
+  }
+
+  if (!partial || input.price !== undefined) {
+    if (!Number.isInteger(input.price) || input.price <= 0) {
+      throw new ApiError('price must be a positive whole number', 400);
+    }
+    service.price = input.price;
+  }
+
+  if (!partial || input.duration !== undefined) {
+    if (!Number.isInteger(input.duration) || input.duration <= 0) {
+      throw new ApiError('duration must be a positive whole number of minutes', 400);
+    }
+    service.duration = input.duration;
+  }
+
+  if (input.taxRate !== undefined) {
+    if (typeof input.taxRate !== 'number' || input.taxRate < 0 || input.taxRate > 100) {
+      throw new ApiError('taxRate must be a percentage between 0 and 100', 400);
+    }
+    service.taxRate = input.taxRate;
+  } else if (!partial) {
+    service.taxRate = 0;
+  }
+
+  // null goes back to full payment up front
+  if (input.depositPercent !== undefined) {
+    const valid = input.depositPercent === null ||
+      (typeof input.depositPercent === 'number' && input.depositPercent > 0 && input.depositPercent <= 100);
+    if (!valid) {
+      throw new ApiError('depositPercent must be a percentage above 0 and at most 100, or null', 400);
+    }
+    service.depositPercent = input.depositPercent;
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      throw new ApiError('active must be a boolean', 400);
+    }
+    service.active = input.active;
+  } else if (!partial) {
+    service.active = true;
+  }
+
+  return service;
+};
+
+const listServices = async ({ includeInactive = false } = {}) => {
+  const snapshot = await db.collection('services').get();
+  const services = [];
+  snapshot.forEach((doc) => {
+    const service = doc.data();
+    if (includeInactive || service.active) services.push(service);
+  });
+  return services.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const getService = async (code) => {
+  if (!code) return null;
+  const serviceDoc = await db.collection('services').doc(String(code).toUpperCase()).get();
+  return serviceDoc.exists ? serviceDoc.data() : null;
+};
+
+// Active service for a booking's serviceType, or a 400 if it isn't offered
+const getActiveService = async (code) => {
+  const service = await getService(code);
+  if (!service || !service.active) {
+    throw new ApiError(`Unknown or inactive service: ${code}`, 400);
+  }
+  return service;
+};
+
+const createService = async (input) => {
+  const service = normalizeService(input);
+  const serviceRef = db.collection('services').doc(service.code);
+
+  const existing = await serviceRef.get();
+  if (existing.exists) {
+    throw new ApiError(`Service ${service.code} already exists`, 409);
+  }
+
+  await serviceRef.set({
+    ...service,
+    created_at: FieldValue.serverTimestamp(),
+    updated_at: FieldValue.serverTimestamp()
+  });
+  return service;
+};
+
+const updateService = async (code, input) => {
+  const changes = normalizeService(input, { partial: true });
+  delete changes.code;
+
+  const serviceRef = db.collection('services').doc(String(code).toUpperCase());
+  const existing = await serviceRef.get();
+  if (!existing.exists) {
+    throw new ApiError('Service not found', 404);
+  }
+
+  await serviceRef.update({
+    ...changes,
+    updated_at: FieldValue.serverTimestamp()
+  });
+  return { ...existing.data(), ...changes };
+};
+
+// Services are deactivated rather than deleted so past bookings keep their reference
+const deactivateService = async (code) => {
+  return updateService(code, { active: false });
+};
+
+/**
+ * Price a service: the gross amount, the deposit needed to confirm a booking
+ * (the whole amount unless the service takes installments) and matching
+ * Midtrans item_details. Midtrans requires the item prices to add up to
+ * gross_amount, so tax is a separate line.
+ */
+const priceService = (service) => {
+  const tax = Math.round(service.price * (service.taxRate || 0) / 100);
+  const itemDetails = [{
+    id: service.code,
+    price: service.price,
+    quantity: 1,
+    name: service.name.substring(0, 50)
+  }];
+
+  if (tax > 0) {
+    itemDetails.push({
+      id: 'TAX',
+      price: tax,
+      quantity: 1,
+      name: `PPN ${service.taxRate}%`
+    });
+  }
+
+  const amount = service.price + tax;
+  return {
+    amount,
+    tax,
+    depositAmount: service.depositPercent ? Math.round(amount * service.depositPercent / 100) : amount,
+    itemDetails
+  };
+};
+
+module.exports = {
+  normalizeService,
+  listServices,
+  getService,
+  getActiveService,
+  createService,
+  updateService,
+  deactivateService,
+  priceService
+};
@@ -0,0 +1,58 @@
+/**
+ * Push notification device tokens (`device_tokens/{token}`)
+ *
+ * The mobile app registers its FCM registration token after sign-in and
+ * removes it on sign-out. A token belongs to one user at a time.
+ */
+
+const { db, FieldValue } = require('../repositories/database');
+const { ApiError } = require('../middleware/errorHandler');
+
+const PLATFORMS = ['android', 'ios', 'web'];
+
+const tokenRef = (token) => db.collection('device_tokens').doc(token);
+
+const registerDevice = async (uid, { token, platform }) => {
+  if (!token || typeof token !== 'string' || token.length > 4096 || token.includes('/')) {
+    throw new ApiError('A valid FCM token is required', 400);
+  }
+  if (platform && !PLATFORMS.includes(platform)) {
+    throw new ApiError(`platform must be one of: ${PLATFORMS.join(', ')}`, 400);
+  }
+
+  const device = {
+    token,
+    uid,
+    platform: platform || null,
+    updated_at: FieldValue.serverTimestamp()
+  };
+  await tokenRef(token).set(device, { merge: true });
+  return device;
+};
+
+// Remove a token; users may only remove their own
+const unregisterDevice = async (uid, token) => {
+  const doc = await tokenRef(token).get();
+  if (!doc.exists || doc.data().uid !== uid) {
+    throw new ApiError('Device not found', 404);
+  }
+  await tokenRef(token).delete();
+};
+
+const listTokens = async (uid) => {
+  const snapshot = await db.collection('device_tokens').where('uid', '==', uid).get();
+  return snapshot.docs.map(doc => doc.id);
+};
+
+// Drop tokens FCM reports as no longer valid
+const removeTokens = async (tokens) => {
+  await Promise.all(tokens.map(token => tokenRef(token).delete()));
+};
+
+module.exports = {
+  PLATFORMS,
+  registerDevice,
+  unregisterDevice,
+  listTokens,
+  removeTokens
+};
@@ -0,0 +1,125 @@
+/**
+ * Email notifications
+ *
+ * Emails are queued in the `email_outbox` collection (see ./outbox), usually
+ * in the same Firestore transaction as the change they announce, so an email
+ * goes out only if that change commits. Failures are retried with
+ * exponential backoff up to EMAIL_MAX_ATTEMPTS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const emailConfig = require('../config/email');
+const { renderEmail } = require('./emailTemplates');
+const { createOutbox } = require('./outbox');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (emailConfig.transport === 'smtp') {
+    transporter = nodemailer.createTransport(emailConfig.smtp);
+  } else if (emailConfig.transport === 'file') {
+    transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  } else {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+  return transporter;
+};
+
+// Preferred locale from a request: the `locale` body field, else Accept-Language
+const localeFromRequest = (req) => {
+  const requested = req.body?.locale;
+  if (emailConfig.locales.includes(requested)) return requested;
+  return req.acceptsLanguages(...emailConfig.locales) || emailConfig.defaultLocale;
+};
+
+// Template data describing a booking
+const bookingEmailData = (booking) => ({
+  patientName: booking.patientName || null,
+  bookingId: booking.bookingId,
+  serviceName: booking.serviceName || booking.serviceType,
+  appointmentDate: booking.appointmentDate,
+  appointmentTime: booking.appointmentTime
+});
+
+// Deliver one rendered email through the configured transport
+const deliver = async (id, email) => {
+  const { subject, text, html } = renderEmail(email.template, email.locale, email.data);
+  const info = await getTransporter().sendMail({ from: emailConfig.from, to: email.to, subject, text, html });
+
+  if (emailConfig.transport === 'file') {
+    fs.mkdirSync(emailConfig.fileDir, { recursive: true });
+    fs.writeFileSync(path.join(emailConfig.fileDir, `${Date.now()}-${id}.eml`), info.message);
+  } else if (emailConfig.transport === 'console') {
+    console.log(`📧 Email to ${email.to}: ${subject}\n${text}`);
+  }
+  return info;
+};
+
+const outbox = createOutbox({
+  collection: 'email_outbox',
+  queue: emailConfig.queue,
+  deliver,
+  label: 'email'
+});
+
+/**
+ * Queue an email. Pass `transaction` to queue it atomically with other
+ * writes (after the transaction's reads). Nothing is queued without a
+ * recipient or with EMAIL_ENABLED=false; resolves with the outbox id or null.
+ */
+const enqueueEmail = async ({ template, to, locale, data }, { transaction } = {}) => {
+  if (!emailConfig.enabled) return null;
+  if (!to) {
+    console.warn(`No recipient for ${template} email; not sent`);
+    return null;
+  }
+
+  return outbox.enqueue({
+    template,
+    to,
+    locale: emailConfig.locales.includes(locale) ? locale : emailConfig.defaultLocale,
+    data
+  }, { transaction });
+};
+
+/**
+ * Send the emails that are due. Resolves with counts per outcome, e.g.
+ * { sent: 3, retrying: 1 }.
+ */
+const processEmailQueue = (options) => outbox.processQueue(options);
+
+/**
+ * Send due emails every `intervalMs` inside this process. Runs never overlap.
+ * Returns a function that stops the schedule.
+ */
+const startEmailSender = (intervalMs = emailConfig.queue.intervalMs) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processEmailQueue();
+    } catch (error) {
+      console.error('Email sender run failed:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  console.log(`📧 Email sender running every ${intervalMs} ms (${emailConfig.transport} transport)`);
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  localeFromRequest,
+  bookingEmailData,
+  enqueueEmail,
+  processEmailQueue,
+  startEmailSender
+};
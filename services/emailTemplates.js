@@ -0,0 +1,284 @@
+/**
+ * Email templates in Indonesian (id) and English (en)
+ *
+ * Each template turns the data queued with the email into a subject and
+ * body lines (falsy lines are skipped); renderEmail adds the greeting and
+ * signature and builds the text and HTML bodies.
+ */
+
+const clinicConfig = require('../config/clinic');
+const emailConfig = require('../config/email');
+
+const DATE_LOCALES = { id: 'id-ID', en: 'en-GB' };
+
+// '2025-01-06' -> 'Senin, 6 Januari 2025' / 'Monday, 6 January 2025'
+const formatDate = (date, locale) => {
+  if (!date) return '-';
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString(DATE_LOCALES[locale], {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+};
+
+const formatRupiah = (amount) => `Rp ${Number(amount || 0).toLocaleString('id-ID')}`;
+
+const appointment = (data, locale) => `${formatDate(data.appointmentDate, locale)}, ${data.appointmentTime}`;
+
+const previousAppointment = (data, locale) => `${formatDate(data.previousDate, locale)}, ${data.previousTime}`;
+
+const greeting = (data, locale) => {
+  const name = data.patientName ? ` ${data.patientName}` : '';
+  return locale === 'id' ? `Halo${name},` : `Hello${name},`;
+};
+
+const TEMPLATES = {
+  booking_created: {
+    id: (data) => ({
+      subject: `Booking ${data.serviceName} Anda telah diterima`,
+      lines: [
+        `Booking Anda untuk ${data.serviceName} pada ${appointment(data, 'id')} telah kami terima.`,
+        'Silakan selesaikan pembayaran agar jadwal Anda terkonfirmasi.',
+        `Nomor booking: ${data.bookingId}`
+      ]
+    }),
+    en: (data) => ({
+      subject: `Your ${data.serviceName} booking was received`,
+      lines: [
+        `We have received your booking for ${data.serviceName} on ${appointment(data, 'en')}.`,
+        'Please complete the payment to confirm your appointment.',
+        `Booking number: ${data.bookingId}`
+      ]
+    })
+  },
+
+  payment_link: {
+    id: (data) => ({
+      subject: `Link pembayaran ${data.orderId}`,
+      lines: [
+        `Silakan selesaikan pembayaran ${data.serviceName} sebesar ${formatRupiah(data.amount)} sebelum ${data.expiresAt}.`,
+        data.appointmentDate && `Jadwal: ${appointment(data, 'id')}`,
+        `Link pembayaran: ${data.paymentUrl}`
+      ]
+    }),
+    en: (data) => ({
+      subject: `Payment link for ${data.orderId}`,
+      lines: [
+        `Please pay ${formatRupiah(data.amount)} for ${data.serviceName} before ${data.expiresAt}.`,
+        data.appointmentDate && `Appointment: ${appointment(data, 'en')}`,
+        `Payment link: ${data.paymentUrl}`
+      ]
+    })
+  },
+
+  payment_succeeded: {
+    id: (data) => ({
+      subject: `Pembayaran berhasil: ${data.invoiceNumber || data.orderId}`,
+      lines: [
+        data.appointmentDate
+          ? `Pembayaran sebesar ${formatRupiah(data.amount)} telah kami terima dan booking Anda terkonfirmasi.`
+          : `Pembayaran sebesar ${formatRupiah(data.amount)} untuk ${data.serviceName} telah kami terima.`,
+        data.appointmentDate && `Jadwal: ${appointment(data, 'id')}`,
+        data.invoiceNumber && `Nomor tagihan: ${data.invoiceNumber}`,
+        'Kwitansi dapat diunduh dari aplikasi.'
+      ]
+    }),
+    en: (data) => ({
+      subject: `Payment received: ${data.invoiceNumber || data.orderId}`,
+      lines: [
+        data.appointmentDate
+          ? `We have received your payment of ${formatRupiah(data.amount)} and your booking is confirmed.`
+          : `We have received your payment of ${formatRupiah(data.amount)} for ${data.serviceName}.`,
+        data.appointmentDate && `Appointment: ${appointment(data, 'en')}`,
+        data.invoiceNumber && `Invoice number: ${data.invoiceNumber}`,
+        'You can download the receipt from the app.'
+      ]
+    })
+  },
+
+  partial_payment_received: {
+    id: (data) => ({
+      subject: `Pembayaran sebagian diterima: ${data.orderId}`,
+      lines: [
+        `Pembayaran sebesar ${formatRupiah(data.amount)} telah kami terima.`,
+        `Total dibayar ${formatRupiah(data.paidAmount)}, sisa tagihan ${formatRupiah(data.outstandingAmount)}.`,
+        data.appointmentDate && `Jadwal: ${appointment(data, 'id')}`,
+        'Sisa tagihan dapat dibayar dari aplikasi sebelum jadwal Anda.'
+      ]
+    }),
+    en: (data) => ({
+      subject: `Partial payment received: ${data.orderId}`,
+      lines: [
+        `We have received your payment of ${formatRupiah(data.amount)}.`,
+        `Paid so far ${formatRupiah(data.paidAmount)}, outstanding ${formatRupiah(data.outstandingAmount)}.`,
+        data.appointmentDate && `Appointment: ${appointment(data, 'en')}`,
+        'You can pay the rest from the app before your appointment.'
+      ]
+    })
+  },
+
+  payment_failed: {
+    id: (data) => ({
+      subject: 'Pembayaran gagal',
+      lines: [
+        `Pembayaran untuk pesanan ${data.orderId} gagal, sehingga booking Anda pada ${appointment(data, 'id')} dibatalkan.`,
+        'Silakan buat booking baru jika Anda masih ingin berkunjung.'
+      ]
+    }),
+    en: (data) => ({
+      subject: 'Payment failed',
+      lines: [
+        `The payment for order ${data.orderId} failed, so your booking on ${appointment(data, 'en')} was cancelled.`,
+        'Please make a new booking if you would still like to visit.'
+      ]
+    })
+  },
+
+  payment_expired: {
+    id: (data) => ({
+      subject: 'Batas waktu pembayaran habis',
+      lines: [
+        `Pembayaran untuk pesanan ${data.orderId} tidak diselesaikan tepat waktu, sehingga booking Anda pada ${appointment(data, 'id')} dibatalkan.`,
+        'Silakan buat booking baru jika Anda masih ingin berkunjung.'
+      ]
+    }),
+    en: (data) => ({
+      subject: 'Payment time ran out',
+      lines: [
+        `The payment for order ${data.orderId} was not completed in time, so your booking on ${appointment(data, 'en')} was cancelled.`,
+        'Please make a new booking if you would still like to visit.'
+      ]
+    })
+  },
+
+  booking_rescheduled: {
+    id: (data) => ({
+      subject: 'Jadwal booking Anda berubah',
+      lines: [
+        `Booking ${data.serviceName} Anda dipindahkan dari ${previousAppointment(data, 'id')} ke ${appointment(data, 'id')}.`,
+        data.reason && `Alasan: ${data.reason}`
+      ]
+    }),
+    en: (data) => ({
+      subject: 'Your booking was rescheduled',
+      lines: [
+        `Your ${data.serviceName} booking was moved from ${previousAppointment(data, 'en')} to ${appointment(data, 'en')}.`,
+        data.reason && `Reason: ${data.reason}`
+      ]
+    })
+  },
+
+  booking_cancelled: {
+    id: (data) => ({
+      subject: 'Booking Anda dibatalkan',
+      lines: [
+        `Booking ${data.serviceName} Anda pada ${appointment(data, 'id')} telah dibatalkan.`,
+        data.reason && `Alasan: ${data.reason}`,
+        data.refundRequested && 'Pengembalian dana sedang diproses; kami akan mengabari Anda setelah selesai.'
+      ]
+    }),
+    en: (data) => ({
+      subject: 'Your booking was cancelled',
+      lines: [
+        `Your ${data.serviceName} booking on ${appointment(data, 'en')} was cancelled.`,
+        data.reason && `Reason: ${data.reason}`,
+        data.refundRequested && 'Your refund is being processed; we will let you know once it is done.'
+      ]
+    })
+  },
+
+  appointment_reminder: {
+    id: (data) => ({
+      subject: `Pengingat: ${data.serviceName} ${data.appointmentDate} pukul ${data.appointmentTime}`,
+      lines: [
+        `Kami mengingatkan jadwal ${data.serviceName} Anda pada ${appointment(data, 'id')}.`,
+        'Mohon datang 15 menit lebih awal. Jika berhalangan, silakan ubah jadwal melalui aplikasi.',
+        `Nomor booking: ${data.bookingId}`
+      ]
+    }),
+    en: (data) => ({
+      subject: `Reminder: ${data.serviceName} on ${data.appointmentDate} at ${data.appointmentTime}`,
+      lines: [
+        `This is a reminder of your ${data.serviceName} appointment on ${appointment(data, 'en')}.`,
+        'Please arrive 15 minutes early. If you cannot make it, you can reschedule in the app.',
+        `Booking number: ${data.bookingId}`
+      ]
+    })
+  },
+
+  doctor_invite: {
+    id: (data) => ({
+      subject: 'Undangan bergabung sebagai dokter',
+      lines: [
+        `Anda diundang bergabung sebagai dokter di ${clinicConfig.profile.name}.`,
+        `Buat kata sandi Anda melalui link berikut: ${data.inviteLink}`,
+        'Abaikan email ini jika Anda tidak mengharapkannya.'
+      ]
+    }),
+    en: (data) => ({
+      subject: 'Your invitation to join as a doctor',
+      lines: [
+        `You have been invited to join ${clinicConfig.profile.name} as a doctor.`,
+        `Set your password with this link: ${data.inviteLink}`,
+        'If you were not expecting this email, you can ignore it.'
+      ]
+    })
+  },
+
+  refund_processed: {
+    id: (data) => ({
+      subject: `Pengembalian dana ${data.orderId} berhasil`,
+      lines: [
+        `Pengembalian dana sebesar ${formatRupiah(data.refundAmount)} untuk pesanan ${data.orderId} telah diproses.`,
+        'Dana akan diterima sesuai waktu proses metode pembayaran Anda.'
+      ]
+    }),
+    en: (data) => ({
+      subject: `Refund for ${data.orderId} processed`,
+      lines: [
+        `Your refund of ${formatRupiah(data.refundAmount)} for order ${data.orderId} has been processed.`,
+        'It will arrive within the processing time of your payment method.'
+      ]
+    })
+  }
+};
+
+const escapeHtml = (value) => {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+};
+
+/**
+ * Render a template. Resolves the locale to a supported one and returns
+ * { subject, text, html }.
+ */
+const renderEmail = (template, locale, data = {}) => {
+  const templates = TEMPLATES[template];
+  if (!templates) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const resolvedLocale = templates[locale] ? locale : emailConfig.defaultLocale;
+  const { subject, lines } = templates[resolvedLocale](data);
+  const signature = resolvedLocale === 'id' ? 'Salam,' : 'Kind regards,';
+  const paragraphs = [greeting(data, resolvedLocale), ...lines.filter(Boolean)];
+  const clinicName = clinicConfig.profile.name;
+
+  const text = [...paragraphs, `${signature}\n${clinicName}`].join('\n\n');
+  const html = [
+    ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+    `<p>${escapeHtml(signature)}<br>${escapeHtml(clinicName)}</p>`
+  ].join('\n');
+
+  return { subject: `[${clinicName}] ${subject}`, text, html };
+};
+
+module.exports = {
+  TEMPLATES,
+  formatDate,
+  formatRupiah,
+  renderEmail
+};
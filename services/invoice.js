@@ -0,0 +1,90 @@
+/**
+ * Invoice numbering
+ *
+ * A tagihan gets its number when it is paid, e.g. INV/202501/0001. The
+ * month's counter in `invoice_counters/{YYYY-MM}` is incremented in the same
+ * Firestore transaction that marks the tagihan paid, so a number is only used
+ * up when the payment commits and numbers are gap-free within each month.
+ */
+
+const { db, FieldValue, Timestamp } = require('../repositories/database');
+const repositories = require('../repositories');
+const clinicConfig = require('../config/clinic');
+const { clinicNow } = require('../utils/time');
+
+const PAID_STATUSES = ['Berhasil', 'refunded'];
+
+const counterRef = (month) => db.collection('invoice_counters').doc(month);
+
+const formatInvoiceNumber = (month, sequence) => {
+  return `${clinicConfig.invoice.prefix}/${month.replace('-', '')}/${String(sequence).padStart(4, '0')}`;
+};
+
+// Midtrans times are 'YYYY-MM-DD HH:mm:ss' in WIB
+const parseMidtransTime = (value) => {
+  if (typeof value !== 'string') return null;
+  const date = new Date(`${value.replace(' ', 'T')}+07:00`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// When the payment in a Midtrans notification was made
+const paidAtFor = (notification = {}) => {
+  return parseMidtransTime(notification.settlement_time) ||
+    parseMidtransTime(notification.transaction_time) ||
+    new Date();
+};
+
+/**
+ * Take the next number of the month `paidAt` falls in (clinic time) inside
+ * `transaction`. Reads the counter, then writes it: call after the
+ * transaction's other reads. Resolves with the fields to store on the tagihan,
+ * or {} when it already has a number.
+ */
+const assignInvoiceNumber = async (transaction, tagihan, paidAt) => {
+  if (!tagihan || tagihan.invoiceNumber) {
+    return {};
+  }
+
+  const month = clinicNow(paidAt).date.slice(0, 7);
+  const counterDoc = await transaction.get(counterRef(month));
+  const sequence = (counterDoc.exists ? counterDoc.data().lastNumber : 0) + 1;
+
+  transaction.set(counterRef(month), {
+    month,
+    lastNumber: sequence,
+    updated_at: FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  return {
+    invoiceNumber: formatInvoiceNumber(month, sequence),
+    invoiceMonth: month,
+    invoiceSequence: sequence,
+    paid_at: Timestamp.fromDate(paidAt)
+  };
+};
+
+/**
+ * Number a paid tagihan that has none yet, e.g. one paid before numbering
+ * existed. Resolves with the up-to-date tagihan.
+ */
+const ensureInvoiceNumber = async (orderId) => {
+  return repositories.runTransaction(async (transaction) => {
+    const tagihan = await repositories.tagihan.get(orderId, { transaction });
+    const transactionData = await repositories.transactions.get(tagihan?.currentOrderId || orderId, { transaction });
+    if (!tagihan || tagihan.invoiceNumber || !PAID_STATUSES.includes(tagihan.status)) {
+      return tagihan;
+    }
+
+    const invoiceData = await assignInvoiceNumber(transaction, tagihan, paidAtFor(transactionData?.midtrans_status));
+    await repositories.tagihan.update(orderId, invoiceData, { transaction });
+    return { ...tagihan, ...invoiceData };
+  });
+};
+
+module.exports = {
+  PAID_STATUSES,
+  formatInvoiceNumber,
+  paidAtFor,
+  assignInvoiceNumber,
+  ensureInvoiceNumber
+};
@@ -0,0 +1,106 @@
+/**
+ * WhatsApp/SMS provider adapters
+ *
+ * Every adapter has the same interface: `send(message)` delivers one
+ * rendered message { id, to, template, locale, params, text } and resolves
+ * with { messageId }, or throws. `to` is an E.164 number. Add an adapter
+ * here and to PROVIDERS in config/messaging.js to support another gateway.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// POST JSON and return the parsed response, throwing with the provider's error message
+const postJson = async (url, body, headers) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const detail = data.error?.message || data.message || `HTTP ${response.status}`;
+    throw new Error(`Provider rejected the message: ${detail}`);
+  }
+  return data;
+};
+
+// WhatsApp Business Cloud API; business-initiated messages must use approved templates
+const createWhatsAppAdapter = ({ apiUrl, phoneNumberId, accessToken }) => {
+  if (!phoneNumberId || !accessToken) {
+    throw new Error('WHATSAPP_PHONE_NUMBER_ID and WHATSAPP_ACCESS_TOKEN are required for MESSAGING_PROVIDER=whatsapp');
+  }
+
+  return {
+    name: 'whatsapp',
+    send: async (message) => {
+      const data = await postJson(`${apiUrl}/${phoneNumberId}/messages`, {
+        messaging_product: 'whatsapp',
+        // The Cloud API takes the number without the leading '+'
+        to: message.to.replace(/^\+/, ''),
+        type: 'template',
+        template: {
+          name: message.template,
+          language: { code: message.locale },
+          components: [{
+            type: 'body',
+            parameters: message.params.map(text => ({ type: 'text', text }))
+          }]
+        }
+      }, { Authorization: `Bearer ${accessToken}` });
+
+      return { messageId: data.messages?.[0]?.id || null };
+    }
+  };
+};
+
+// Generic HTTP SMS gateway: POST { to, from, text } with a bearer API key
+const createSmsAdapter = ({ url, apiKey, sender }) => {
+  if (!url || !apiKey) {
+    throw new Error('SMS_GATEWAY_URL and SMS_GATEWAY_API_KEY are required for MESSAGING_PROVIDER=sms');
+  }
+
+  return {
+    name: 'sms',
+    send: async (message) => {
+      const data = await postJson(url, {
+        to: message.to,
+        from: sender,
+        text: message.text
+      }, { Authorization: `Bearer ${apiKey}` });
+
+      return { messageId: data.messageId || data.id || null };
+    }
+  };
+};
+
+// Writes each message to a JSON file instead of sending it
+const createMockAdapter = ({ dir }) => {
+  return {
+    name: 'mock',
+    send: async (message) => {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, `${Date.now()}-${message.id}.json`), JSON.stringify(message, null, 2));
+      console.log(`💬 Message to ${message.to}: ${message.text}`);
+      return { messageId: `mock-${message.id}` };
+    }
+  };
+};
+
+// Adapter for the configured MESSAGING_PROVIDER
+const createAdapter = (messagingConfig) => {
+  if (messagingConfig.provider === 'whatsapp') return createWhatsAppAdapter(messagingConfig.whatsapp);
+  if (messagingConfig.provider === 'sms') return createSmsAdapter(messagingConfig.sms);
+  return createMockAdapter({ dir: messagingConfig.mockDir });
+};
+
+module.exports = {
+  createWhatsAppAdapter,
+  createSmsAdapter,
+  createMockAdapter,
+  createAdapter
+};
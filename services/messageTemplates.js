@@ -0,0 +1,82 @@
+/**
+ * WhatsApp/SMS message templates in Indonesian (id) and English (en)
+ *
+ * Each template turns the queued data into `params`, the values of a
+ * WhatsApp template's body placeholders ({{1}}, {{2}}, ...) in order, and
+ * `text`, the full message for SMS and the mock provider. WhatsApp templates
+ * must be approved in WhatsApp Manager under the same name and language,
+ * with a body matching `text`.
+ */
+
+const clinicConfig = require('../config/clinic');
+const emailConfig = require('../config/email');
+const { formatDate, formatRupiah } = require('./emailTemplates');
+
+const appointment = (data, locale) => `${formatDate(data.appointmentDate, locale)}, ${data.appointmentTime}`;
+
+const OPT_OUT_HINT = {
+  id: 'Balas STOP untuk berhenti menerima pesan.',
+  en: 'Reply STOP to stop receiving messages.'
+};
+
+const TEMPLATES = {
+  // {{1}} service, {{2}} appointment, {{3}} booking number
+  booking_confirmed: {
+    id: (data) => {
+      const params = [data.serviceName, appointment(data, 'id'), data.bookingId];
+      return { params, text: `Booking ${params[0]} Anda pada ${params[1]} terkonfirmasi. Nomor booking: ${params[2]}.` };
+    },
+    en: (data) => {
+      const params = [data.serviceName, appointment(data, 'en'), data.bookingId];
+      return { params, text: `Your ${params[0]} booking on ${params[1]} is confirmed. Booking number: ${params[2]}.` };
+    }
+  },
+
+  // {{1}} service, {{2}} amount, {{3}} payment link, {{4}} pay before
+  payment_link: {
+    id: (data) => {
+      const params = [data.serviceName, formatRupiah(data.amount), data.paymentUrl, data.expiresAt];
+      return { params, text: `Selesaikan pembayaran ${params[0]} sebesar ${params[1]} melalui ${params[2]} sebelum ${params[3]}.` };
+    },
+    en: (data) => {
+      const params = [data.serviceName, formatRupiah(data.amount), data.paymentUrl, data.expiresAt];
+      return { params, text: `Please pay ${params[1]} for ${params[0]} at ${params[2]} before ${params[3]}.` };
+    }
+  },
+
+  // {{1}} service, {{2}} appointment
+  appointment_reminder: {
+    id: (data) => {
+      const params = [data.serviceName, appointment(data, 'id')];
+      return { params, text: `Pengingat: jadwal ${params[0]} Anda pada ${params[1]}. Mohon datang 15 menit lebih awal.` };
+    },
+    en: (data) => {
+      const params = [data.serviceName, appointment(data, 'en')];
+      return { params, text: `Reminder: your ${params[0]} appointment is on ${params[1]}. Please arrive 15 minutes early.` };
+    }
+  }
+};
+
+/**
+ * Render a template. Resolves the locale to a supported one and returns
+ * { locale, params, text }.
+ */
+const renderMessage = (template, locale, data = {}) => {
+  const templates = TEMPLATES[template];
+  if (!templates) {
+    throw new Error(`Unknown message template: ${template}`);
+  }
+
+  const resolvedLocale = templates[locale] ? locale : emailConfig.defaultLocale;
+  const { params, text } = templates[resolvedLocale](data);
+  return {
+    locale: resolvedLocale,
+    params: params.map(String),
+    text: `${clinicConfig.profile.name}: ${text} ${OPT_OUT_HINT[resolvedLocale]}`
+  };
+};
+
+module.exports = {
+  TEMPLATES,
+  renderMessage
+};
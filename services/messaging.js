@@ -0,0 +1,207 @@
+/**
+ * WhatsApp/SMS notifications
+ *
+ * Messages are queued in the `message_outbox` collection (see ./outbox) and
+ * delivered through the MESSAGING_PROVIDER adapter (./messageProviders).
+ * Recipients are E.164 numbers. Numbers that opted out, by replying STOP or
+ * through the API, are recorded in `messaging_optouts/{phone}`; messages to
+ * them are marked 'skipped' instead of being sent.
+ */
+
+const crypto = require('crypto');
+const { db, FieldValue } = require('../repositories/database');
+const { ApiError } = require('../middleware/errorHandler');
+const messagingConfig = require('../config/messaging');
+const { renderMessage } = require('./messageTemplates');
+const { createAdapter } = require('./messageProviders');
+const { createOutbox } = require('./outbox');
+const { normalizePhone } = require('../utils/validation');
+
+const optOutRef = (phone) => db.collection('messaging_optouts').doc(phone);
+
+let adapter = null;
+
+const getAdapter = () => {
+  if (!adapter) adapter = createAdapter(messagingConfig);
+  return adapter;
+};
+
+const isOptedOut = async (phone) => {
+  const doc = await optOutRef(phone).get();
+  return doc.exists && doc.data().optedOut === true;
+};
+
+/**
+ * Opt a number out of messages (`optedOut` true) or back in. `source` says
+ * who asked, e.g. 'whatsapp' for a STOP reply or 'patient' for the API.
+ */
+const setOptOut = async (phone, optedOut, source) => {
+  const normalized = normalizePhone(phone);
+  if (!normalized) {
+    throw new ApiError('phone must be a valid Indonesian phone number', 400);
+  }
+
+  const record = { phone: normalized, optedOut, source, updated_at: FieldValue.serverTimestamp() };
+  await optOutRef(normalized).set(record);
+  return record;
+};
+
+// Render and send one queued message through the provider
+const deliver = (id, message) => {
+  const { locale, params, text } = renderMessage(message.template, message.locale, message.data);
+  return getAdapter().send({ id, to: message.to, template: message.template, locale, params, text });
+};
+
+const outbox = createOutbox({
+  collection: 'message_outbox',
+  queue: messagingConfig.queue,
+  deliver,
+  // Checked at send time, so an opt-out also stops messages already queued
+  skipReason: async (message) => (await isOptedOut(message.to)) ? 'Recipient opted out' : null,
+  label: 'message'
+});
+
+/**
+ * Queue a WhatsApp/SMS message. `to` is normalized to E.164; nothing is
+ * queued without a valid number or with MESSAGING_ENABLED=false. Pass
+ * `transaction` to queue it with other writes. Resolves with the outbox id
+ * or null.
+ */
+const enqueueMessage = async ({ template, to, locale, data }, { transaction } = {}) => {
+  if (!messagingConfig.enabled) return null;
+
+  const phone = normalizePhone(to);
+  if (!phone) {
+    if (to) console.warn(`Invalid phone number for ${template} message; not sent`);
+    return null;
+  }
+
+  return outbox.enqueue({ template, to: phone, locale, data }, { transaction });
+};
+
+/**
+ * Send the messages that are due. Resolves with counts per outcome, e.g.
+ * { sent: 3, retrying: 0, failed: 0, skipped: 1 }.
+ */
+const processMessageQueue = (options) => outbox.processQueue(options);
+
+/**
+ * Send due messages every `intervalMs` inside this process. Runs never
+ * overlap. Returns a function that stops the schedule.
+ */
+const startMessageSender = (intervalMs = messagingConfig.queue.intervalMs) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processMessageQueue();
+    } catch (error) {
+      console.error('Message sender run failed:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  console.log(`💬 Message sender running every ${intervalMs} ms (${messagingConfig.provider} provider)`);
+  return () => clearInterval(timer);
+};
+
+// Whether a WhatsApp webhook body carries Meta's X-Hub-Signature-256 for our app secret
+const isValidWebhookSignature = (rawBody, signature) => {
+  if (!messagingConfig.whatsapp.appSecret || !rawBody || !signature) return false;
+
+  const expected = Buffer.from(`sha256=${crypto
+    .createHmac('sha256', messagingConfig.whatsapp.appSecret)
+    .update(rawBody)
+    .digest('hex')}`);
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Apply STOP/START replies from a verified WhatsApp webhook body. Resolves
+ * with the numbers opted out and in.
+ */
+const handleInboundWhatsApp = async (body) => {
+  const result = { optedOut: [], optedIn: [] };
+  const messages = (body.entry || [])
+    .flatMap(entry => entry.changes || [])
+    .flatMap(change => change.value?.messages || [])
+    .filter(message => message.type === 'text' && message.from);
+
+  for (const message of messages) {
+    const keyword = String(message.text?.body || '').trim().toUpperCase();
+    const phone = normalizePhone(`+${message.from}`);
+    if (!phone) continue;
+
+    if (messagingConfig.optOutKeywords.includes(keyword)) {
+      await setOptOut(phone, true, 'whatsapp');
+      result.optedOut.push(phone);
+    } else if (messagingConfig.optInKeywords.includes(keyword)) {
+      await setOptOut(phone, false, 'whatsapp');
+      result.optedIn.push(phone);
+    }
+  }
+  return result;
+};
+
+// Phone fields written before numbers were stored in E.164
+const STORED_PHONE_FIELDS = [
+  { collection: 'orders', field: 'customerDetails.phone' },
+  { collection: 'transactions', field: 'customer_details.phone' }
+];
+
+const getField = (data, field) => field.split('.').reduce((value, key) => value?.[key], data);
+
+/**
+ * Rewrite stored phone numbers in E.164, `batchSize` documents at a time.
+ * Numbers that are not valid Indonesian numbers are left as they are and
+ * counted as invalid. Resolves with counts per collection.
+ */
+const normalizeStoredPhones = async ({ dryRun = false, batchSize = 200 } = {}) => {
+  const summary = {};
+
+  for (const { collection, field } of STORED_PHONE_FIELDS) {
+    const counts = { checked: 0, updated: 0, invalid: 0 };
+    let last = null;
+
+    for (;;) {
+      let query = db.collection(collection).limit(batchSize);
+      if (last) query = query.startAfter(last);
+      const snapshot = await query.get();
+
+      for (const doc of snapshot.docs) {
+        const phone = getField(doc.data(), field);
+        if (!phone) continue;
+
+        counts.checked += 1;
+        const normalized = normalizePhone(phone);
+        if (!normalized) {
+          counts.invalid += 1;
+        } else if (normalized !== phone) {
+          counts.updated += 1;
+          if (!dryRun) await doc.ref.update({ [field]: normalized });
+        }
+      }
+
+      if (snapshot.docs.length < batchSize) break;
+      last = snapshot.docs[snapshot.docs.length - 1];
+    }
+    summary[collection] = counts;
+  }
+  return summary;
+};
+
+module.exports = {
+  isOptedOut,
+  setOptOut,
+  enqueueMessage,
+  processMessageQueue,
+  startMessageSender,
+  isValidWebhookSignature,
+  handleInboundWhatsApp,
+  normalizeStoredPhones
+};
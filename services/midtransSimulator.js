@@ -0,0 +1,239 @@
+/**
+ * Local Midtrans simulator (MIDTRANS_MODE=simulator)
+ *
+ * Stands in for the parts of the Snap and Core API clients this app uses:
+ * `snap.createTransaction`, `snap.transaction.notification`,
+ * `core.transaction.status`, `core.transaction.cancel` and
+ * `core.transaction.refund`. Transactions are
+ * kept in memory. `fireNotification` moves a transaction to a new status and
+ * posts a signed notification to our webhook, the way Midtrans would.
+ */
+
+const crypto = require('crypto');
+const { computeMidtransSignature } = require('../utils/validation');
+
+// HTTP status_code Midtrans reports with each transaction_status
+const STATUS_CODES = {
+  pending: '201',
+  settlement: '200',
+  capture: '200',
+  deny: '202',
+  cancel: '200',
+  expire: '407',
+  failure: '202',
+  refund: '200',
+  partial_refund: '200'
+};
+
+// Statuses QA can fire by hand
+const FIRABLE_STATUSES = ['pending', 'settlement', 'capture', 'deny', 'cancel', 'expire', 'failure'];
+
+// Error shaped like midtrans-client's MidtransError
+class SimulatorError extends Error {
+  constructor(message, httpStatusCode) {
+    super(message);
+    this.name = 'SimulatorError';
+    this.httpStatusCode = String(httpStatusCode);
+    this.ApiResponse = { status_code: String(httpStatusCode), status_message: message };
+  }
+}
+
+// Midtrans timestamps are "YYYY-MM-DD HH:mm:ss" in WIB
+const midtransTime = (date = new Date()) => {
+  return new Date(date.getTime() + 7 * 60 * 60 * 1000).toISOString().replace('T', ' ').substring(0, 19);
+};
+
+const createMidtransSimulator = (config) => {
+  // order_id -> simulated transaction
+  const transactions = new Map();
+
+  const findByToken = (token) => {
+    return [...transactions.values()].find(transaction => transaction.token === token) || null;
+  };
+
+  const getTransaction = (orderId) => {
+    const transaction = transactions.get(orderId);
+    if (!transaction) {
+      throw new SimulatorError(`Transaction doesn't exist.`, 404);
+    }
+    return transaction;
+  };
+
+  // Same fields the Core API status endpoint returns
+  const statusResponse = (transaction) => {
+    if (!transaction.transaction_status) {
+      // Snap transactions are unknown to the status API until a payment method is chosen
+      throw new SimulatorError(`Transaction doesn't exist.`, 404);
+    }
+
+    const statusCode = STATUS_CODES[transaction.transaction_status];
+    const response = {
+      status_code: statusCode,
+      status_message: 'Success, transaction is found',
+      transaction_id: transaction.transaction_id,
+      order_id: transaction.order_id,
+      merchant_id: config.merchantId,
+      gross_amount: transaction.gross_amount,
+      currency: 'IDR',
+      payment_type: transaction.payment_type,
+      transaction_time: transaction.transaction_time,
+      transaction_status: transaction.transaction_status,
+      fraud_status: 'accept',
+      signature_key: computeMidtransSignature(transaction.order_id, statusCode, transaction.gross_amount, config.serverKey)
+    };
+
+    if (transaction.settlement_time) response.settlement_time = transaction.settlement_time;
+    if (transaction.refund_amount) response.refund_amount = transaction.refund_amount;
+    if (transaction.refunds) response.refunds = transaction.refunds;
+    return response;
+  };
+
+  const snap = {
+    createTransaction: async (payload) => {
+      const orderId = payload?.transaction_details?.order_id;
+      const grossAmount = payload?.transaction_details?.gross_amount;
+      if (!orderId || !grossAmount) {
+        throw new SimulatorError('transaction_details.order_id and gross_amount are required', 400);
+      }
+      if (transactions.has(orderId)) {
+        throw new SimulatorError('transaction_details.order_id sudah digunakan', 400);
+      }
+
+      const token = crypto.randomUUID();
+      transactions.set(orderId, {
+        order_id: orderId,
+        token,
+        transaction_id: crypto.randomUUID(),
+        gross_amount: Number(grossAmount).toFixed(2),
+        payment_type: (payload.enabled_payments || [])[0] || 'bank_transfer',
+        transaction_status: null,
+        transaction_time: null,
+        payload
+      });
+
+      return { token, redirect_url: `${config.simulator.baseUrl}/snap/${token}` };
+    },
+    transaction: {
+      // Like the real client: re-read the status for the notified order
+      notification: async (notification) => {
+        const body = typeof notification === 'string' ? JSON.parse(notification) : notification;
+        return statusResponse(getTransaction(body.order_id));
+      }
+    }
+  };
+
+  // Post a notification to our webhook; resolves with the webhook's answer
+  const sendNotification = async (notification) => {
+    const response = await fetch(config.simulator.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(notification)
+    });
+    const text = await response.text();
+    let body = text;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      // Keep non-JSON answers as text
+    }
+    return { status: response.status, body };
+  };
+
+  // Move a transaction to `transactionStatus` and notify the webhook
+  const fireNotification = async (orderId, transactionStatus) => {
+    if (!FIRABLE_STATUSES.includes(transactionStatus)) {
+      throw new SimulatorError(`transaction_status must be one of: ${FIRABLE_STATUSES.join(', ')}`, 400);
+    }
+
+    const transaction = getTransaction(orderId);
+    transaction.transaction_status = transactionStatus;
+    transaction.transaction_time = transaction.transaction_time || midtransTime();
+    if (['settlement', 'capture'].includes(transactionStatus)) {
+      transaction.settlement_time = midtransTime();
+    }
+
+    const notification = statusResponse(transaction);
+    const webhook = await sendNotification(notification);
+    return { notification, webhook };
+  };
+
+  const core = {
+    transaction: {
+      status: async (orderId) => statusResponse(getTransaction(orderId)),
+      cancel: async (orderId) => {
+        const transaction = getTransaction(orderId);
+        // Throws 404 like Midtrans while no payment method was chosen
+        statusResponse(transaction);
+        if (transaction.transaction_status !== 'pending') {
+          throw new SimulatorError('Transaction status cannot be updated', 412);
+        }
+
+        transaction.transaction_status = 'cancel';
+        const notification = statusResponse(transaction);
+        setImmediate(() => {
+          sendNotification(notification).catch((error) => {
+            console.error('Simulator failed to send cancel notification:', error.message);
+          });
+        });
+        return { ...notification, status_message: 'Success, transaction is canceled' };
+      },
+      refund: async (orderId, { refund_key, amount, reason } = {}) => {
+        const transaction = getTransaction(orderId);
+        if (!['settlement', 'capture', 'partial_refund'].includes(transaction.transaction_status)) {
+          throw new SimulatorError('Transaction status cannot be updated', 412);
+        }
+
+        const refundedSoFar = Number(transaction.refund_amount || 0);
+        const refundAmount = Number(amount || Number(transaction.gross_amount) - refundedSoFar);
+        if (refundAmount <= 0 || refundedSoFar + refundAmount > Number(transaction.gross_amount)) {
+          throw new SimulatorError('Refund amount exceeds the remaining amount', 412);
+        }
+
+        transaction.refund_amount = (refundedSoFar + refundAmount).toFixed(2);
+        transaction.refunds = [...(transaction.refunds || []), {
+          refund_key: refund_key || crypto.randomUUID(),
+          refund_amount: refundAmount.toFixed(2),
+          reason: reason || null,
+          created_at: midtransTime()
+        }];
+        transaction.transaction_status = Number(transaction.refund_amount) < Number(transaction.gross_amount)
+          ? 'partial_refund'
+          : 'refund';
+
+        // Midtrans confirms refunds asynchronously with a notification
+        const notification = statusResponse(transaction);
+        setImmediate(() => {
+          sendNotification(notification).catch((error) => {
+            console.error('Simulator failed to send refund notification:', error.message);
+          });
+        });
+
+        return {
+          ...notification,
+          status_message: 'Success, refund request is approved',
+          refund_key: refund_key || null,
+          refund_amount: refundAmount.toFixed(2),
+          reason: reason || null
+        };
+      }
+    }
+  };
+
+  const listTransactions = () => {
+    return [...transactions.values()].map(({ payload, ...transaction }) => transaction);
+  };
+
+  return {
+    snap,
+    core,
+    fireNotification,
+    findByToken,
+    listTransactions,
+    FIRABLE_STATUSES
+  };
+};
+
+module.exports = {
+  SimulatorError,
+  createMidtransSimulator
+};
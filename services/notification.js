@@ -0,0 +1,453 @@
+/**
+ * Midtrans payment notification processing
+ *
+ * Every notification (webhook or status poll) is stored in `payment_events`
+ * under `<transaction_id>_<transaction_status>`, so Midtrans retries are
+ * recognised as duplicates. Statuses only move forward by precedence: a late
+ * `pending` can never downgrade a settled or refunded payment. The event and
+ * the order/tagihan/transaction/booking updates commit in one Firestore
+ * transaction.
+ *
+ * A tagihan can have several payment attempts (see services/payment), each
+ * with its own transaction and `statusHistory`. A notification for an
+ * attempt that was replaced only updates that attempt's transaction, unless
+ * it reports the attempt was paid: the bill is paid when any attempt
+ * settles. A second attempt settling after that is audited for a refund.
+ *
+ * An attempt may pay only part of the tagihan (see services/payment). Its
+ * settlement adds to the tagihan's `paidAmount`; until that reaches the
+ * amount the order, tagihan and booking are `partially_paid`, and the booking
+ * is confirmed once the deposit is paid. A failed or expired part payment
+ * leaves what was already paid, and the booking, as they are.
+ *
+ * The tagihan of a consolidated treatment plan has no booking of its own:
+ * its payments update every open visit of the plan instead, and a failed or
+ * expired payment never cancels them (see services/treatmentPlan).
+ */
+
+const { db, FieldValue, Timestamp } = require('../repositories/database');
+const repositories = require('../repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const { recordAudit } = require('./audit');
+const bookingService = require('./booking');
+const scheduleService = require('./schedule');
+const refundService = require('./refund');
+const invoiceService = require('./invoice');
+const emailService = require('./email');
+const reminderService = require('./reminders');
+const messagingService = require('./messaging');
+const treatmentPlanService = require('./treatmentPlan');
+const { normalizePhone } = require('../utils/validation');
+
+// Midtrans transaction_status -> our statuses, with precedence rank
+const STATUS_MAP = {
+  authorize: { rank: 1, paymentStatus: 'unpaid', status: 'pending', tagihanStatus: 'unpaid' },
+  pending: { rank: 1, paymentStatus: 'unpaid', status: 'pending', tagihanStatus: 'unpaid' },
+  cancel: { rank: 2, paymentStatus: 'failed', status: 'cancelled', tagihanStatus: 'failed' },
+  deny: { rank: 2, paymentStatus: 'failed', status: 'cancelled', tagihanStatus: 'failed' },
+  expire: { rank: 2, paymentStatus: 'expired', status: 'expired', tagihanStatus: 'expired' },
+  failure: { rank: 2, paymentStatus: 'failed', status: 'cancelled', tagihanStatus: 'failed' },
+  capture: { rank: 3, paymentStatus: 'Berhasil', status: 'confirmed', tagihanStatus: 'Berhasil' },
+  settlement: { rank: 3, paymentStatus: 'Berhasil', status: 'confirmed', tagihanStatus: 'Berhasil' },
+  partial_refund: { rank: 4, paymentStatus: 'refunded', status: 'cancelled', tagihanStatus: 'refunded' },
+  refund: { rank: 5, paymentStatus: 'refunded', status: 'cancelled', tagihanStatus: 'refunded' }
+};
+
+// Statuses of a tagihan that is paid in part
+const PARTIALLY_PAID = { paymentStatus: 'partially_paid', status: 'partially_paid', tagihanStatus: 'partially_paid' };
+
+// Booking action triggered by a payment outcome
+const BOOKING_ACTIONS = {
+  Berhasil: 'confirm',
+  partially_paid: 'confirm',
+  failed: 'cancel',
+  expired: 'cancel'
+};
+
+// Email announcing a payment outcome to the patient
+const PAYMENT_EMAILS = {
+  Berhasil: 'payment_succeeded',
+  partially_paid: 'partial_payment_received',
+  failed: 'payment_failed',
+  expired: 'payment_expired',
+  refunded: 'refund_processed'
+};
+
+const mapMidtransStatus = (transactionStatus) => STATUS_MAP[transactionStatus] || null;
+
+// Whether an incoming status may replace the current one. Partial refunds
+// repeat: a later one, with a larger total `refund_amount`, replaces the last.
+const isNewerStatus = (currentStatus, incomingStatus, { currentRefundAmount, incomingRefundAmount } = {}) => {
+  const current = mapMidtransStatus(currentStatus);
+  const incoming = mapMidtransStatus(incomingStatus);
+  if (!incoming) return false;
+  if (!current) return true;
+  if (currentStatus === 'partial_refund' && incomingStatus === 'partial_refund') {
+    return Number(incomingRefundAmount || 0) > Number(currentRefundAmount || 0);
+  }
+  return incoming.rank > current.rank;
+};
+
+// One event per status, and per refund for refund statuses
+const eventIdFor = (notification) => {
+  const transactionId = notification.transaction_id || notification.order_id;
+  const eventId = `${transactionId}_${notification.transaction_status}`;
+  if (!['partial_refund', 'refund'].includes(notification.transaction_status)) {
+    return eventId;
+  }
+
+  const refunds = Array.isArray(notification.refunds) ? notification.refunds : [];
+  const refundKey = refunds[refunds.length - 1]?.refund_key || notification.refund_amount;
+  return refundKey ? `${eventId}_${refundKey}` : eventId;
+};
+
+// Statuses of the bill as a whole for an attempt's mapped statuses, given what was paid in total
+const billStatusFor = (mapped, paidAmount, amount) => {
+  if (paidAmount > 0 && paidAmount < amount && mapped.tagihanStatus !== 'refunded') {
+    return PARTIALLY_PAID;
+  }
+  return mapped;
+};
+
+// Booking fields for a payment outcome, moving the booking through the state machine
+const bookingUpdateFor = (transaction, booking, mapped, notification, { depositPaid = true, canCancel = true } = {}) => {
+  const update = {
+    paymentStatus: mapped.paymentStatus,
+    tagihanStatus: mapped.tagihanStatus
+  };
+
+  const action = BOOKING_ACTIONS[mapped.paymentStatus];
+  const rule = action && bookingService.ACTIONS[action];
+  if (!rule || !rule.from.includes(booking.status) ||
+    (action === 'confirm' && !depositPaid) || (action === 'cancel' && !canCancel)) {
+    return update;
+  }
+
+  let reason = mapped.paymentStatus === 'partially_paid' ? 'Deposit received' : 'Payment received';
+  if (action === 'cancel') {
+    reason = mapped.paymentStatus === 'expired'
+      ? bookingService.PAYMENT_EXPIRED_REASON
+      : `Payment ${notification.transaction_status}`;
+  }
+  update.status = rule.to;
+  update.statusReason = reason;
+  update.history = [
+    ...(booking.history || []),
+    bookingService.historyEntry(action, {
+      from: booking.status,
+      to: rule.to,
+      reason,
+      actor: bookingService.SYSTEM_ACTOR,
+      role: 'system'
+    })
+  ];
+
+  if (action === 'cancel') {
+    scheduleService.releaseSlots(transaction, booking);
+    update.slotIds = [];
+  }
+
+  return update;
+};
+
+/**
+ * Apply a verified Midtrans notification or status response.
+ * Resolves with { outcome, orderId, ... } where outcome is 'applied',
+ * 'duplicate', 'stale', 'ignored', 'superseded' or 'already_paid'.
+ */
+const processNotification = async (notification, { source = 'webhook', req = null } = {}) => {
+  const orderId = notification.order_id;
+  const transactionStatus = notification.transaction_status;
+  const mapped = mapMidtransStatus(transactionStatus);
+
+  const eventRef = db.collection('payment_events').doc(eventIdFor(notification));
+
+  const result = await repositories.runTransaction(async (transaction) => {
+    // Reads first: Firestore transactions don't allow reads after writes
+    const [eventDoc, transactionData] = await Promise.all([
+      transaction.get(eventRef),
+      repositories.transactions.get(orderId, { transaction })
+    ]);
+    // Renewed attempts (ORDER-1-2) belong to the order and tagihan of the first one
+    const tagihanId = transactionData?.tagihanId || orderId;
+    const [orderData, tagihanData] = await Promise.all([
+      repositories.orders.get(tagihanId, { transaction }),
+      repositories.tagihan.get(tagihanId, { transaction })
+    ]);
+
+    if (eventDoc.exists) {
+      transaction.update(eventRef, {
+        duplicateCount: (eventDoc.data().duplicateCount || 0) + 1,
+        last_received_at: FieldValue.serverTimestamp()
+      });
+      return { outcome: 'duplicate', orderId };
+    }
+
+    if (!transactionData) {
+      throw new ApiError('Transaction not found', 404);
+    }
+    if (!orderData) {
+      throw new ApiError('Order not found', 404);
+    }
+
+    // Each attempt charges its own amount, a part of the order's for part payments
+    const chargedAmount = Number(transactionData.amount ?? orderData.amount);
+    if (Number(notification.gross_amount) !== chargedAmount) {
+      return { outcome: 'rejected', orderId, orderAmount: chargedAmount };
+    }
+
+    // The booking paid for, or the treatment plan and its visits
+    const [booking, plan, planVisits] = await Promise.all([
+      orderData.bookingId ? repositories.bookings.get(orderData.bookingId, { transaction }) : null,
+      orderData.planId ? repositories.treatmentPlans.get(orderData.planId, { transaction }) : null,
+      orderData.planId ? repositories.bookings.findBy('planId', orderData.planId, { transaction }) : []
+    ]);
+
+    const previousStatus = transactionData.midtrans_status?.transaction_status || null;
+    const currentOrderId = tagihanData?.currentOrderId || tagihanId;
+    let outcome = 'applied';
+    if (!mapped) {
+      outcome = 'ignored';
+    } else if (!isNewerStatus(previousStatus, transactionStatus, {
+      currentRefundAmount: transactionData.midtrans_status?.refund_amount,
+      incomingRefundAmount: notification.refund_amount
+    })) {
+      outcome = 'stale';
+    } else if (currentOrderId !== orderId) {
+      // Any attempt that settles pays the bill, but only the first one
+      if (mapped.tagihanStatus !== 'Berhasil') {
+        outcome = 'superseded';
+      } else if (invoiceService.PAID_STATUSES.includes(tagihanData.status)) {
+        outcome = 'already_paid';
+      }
+    }
+
+    // What was paid on the tagihan, counting this attempt if it settles now
+    const billAmount = Number(tagihanData?.amount ?? orderData.amount);
+    const paidBefore = tagihanData?.paidAmount || 0;
+    const isPayment = outcome === 'applied' && mapped.tagihanStatus === 'Berhasil';
+    const paidAmount = isPayment ? paidBefore + chargedAmount : paidBefore;
+    const billMapped = mapped && billStatusFor(mapped, paidAmount, billAmount);
+
+    let refundData = {};
+    if (['applied', 'superseded'].includes(outcome) && mapped.tagihanStatus === 'refunded') {
+      refundData = await refundService.applyRefundNotification(transaction, orderId, notification);
+    }
+
+    // Paid in full: take the next invoice number of the month
+    let invoiceData = {};
+    if (isPayment && billMapped.tagihanStatus === 'Berhasil') {
+      const paidAt = invoiceService.paidAtFor(notification);
+      invoiceData = await invoiceService.assignInvoiceNumber(transaction, tagihanData, paidAt);
+    }
+
+    transaction.set(eventRef, {
+      eventId: eventRef.id,
+      orderId,
+      tagihanId,
+      transactionId: notification.transaction_id || null,
+      transactionStatus,
+      fraudStatus: notification.fraud_status || null,
+      statusCode: notification.status_code || null,
+      grossAmount: notification.gross_amount || null,
+      previousStatus,
+      source,
+      outcome,
+      duplicateCount: 0,
+      payload: notification,
+      received_at: FieldValue.serverTimestamp()
+    });
+
+    if (!['applied', 'superseded', 'already_paid'].includes(outcome)) {
+      return { outcome, orderId, previousStatus };
+    }
+
+    // Update transaction, keeping the attempt's status timeline
+    await repositories.transactions.update(orderId, {
+      paymentStatus: mapped.paymentStatus,
+      status: mapped.status,
+      tagihanStatus: mapped.tagihanStatus,
+      ...refundData,
+      midtrans_status: notification,
+      statusHistory: [...(transactionData.statusHistory || []), {
+        status: mapped.status,
+        paymentStatus: mapped.paymentStatus,
+        transactionStatus,
+        source,
+        eventId: eventRef.id,
+        at: Timestamp.now()
+      }],
+      updated_at: FieldValue.serverTimestamp()
+    }, { transaction });
+
+    // The order, tagihan and booking follow the latest attempt, or the one that paid
+    if (outcome !== 'applied') {
+      return { outcome, orderId, tagihanId, previousStatus, currentOrderId };
+    }
+
+    // An older attempt that gets paid after all becomes the current one
+    const attemptData = currentOrderId !== orderId ? { currentOrderId: orderId } : {};
+    if (billMapped.tagihanStatus === 'Berhasil') {
+      attemptData.paidOrderId = orderId;
+    }
+    const balanceData = isPayment
+      ? { paidAmount, outstandingAmount: Math.max(0, billAmount - paidAmount) }
+      : {};
+
+    // Update order
+    await repositories.orders.update(tagihanId, {
+      paymentStatus: billMapped.paymentStatus,
+      status: billMapped.status,
+      ...refundData,
+      ...attemptData,
+      updated_at: FieldValue.serverTimestamp()
+    }, { transaction });
+
+    // Update tagihan
+    await repositories.tagihan.update(tagihanId, {
+      status: billMapped.tagihanStatus,
+      ...balanceData,
+      ...refundData,
+      ...invoiceData,
+      ...attemptData,
+      updated_at: FieldValue.serverTimestamp()
+    }, { transaction });
+
+    // Update the booking, or every open visit of the treatment plan
+    if (booking || plan) {
+      const contact = booking || plan;
+      const depositAmount = tagihanData?.depositAmount ?? billAmount;
+      const recipient = contact.patientEmail ||
+        orderData.customerDetails?.email ||
+        transactionData.customer_details?.email ||
+        null;
+      const phone = contact.patientPhone ||
+        normalizePhone(orderData.customerDetails?.phone) ||
+        normalizePhone(transactionData.customer_details?.phone);
+
+      const visits = booking
+        ? [booking]
+        : planVisits.filter(visit => treatmentPlanService.OPEN_VISIT_STATUSES.includes(visit.status));
+      let bookingMoved = false;
+      for (const visit of visits) {
+        const bookingUpdate = bookingUpdateFor(transaction, visit, billMapped, notification, {
+          depositPaid: paidAmount >= depositAmount,
+          canCancel: !plan
+        });
+        bookingMoved = bookingMoved || Boolean(bookingUpdate.status);
+
+        await repositories.bookings.update(visit.bookingId, {
+          ...bookingUpdate,
+          ...refundData,
+          // Remember the payer's contact details for later booking notifications
+          ...(!visit.patientEmail && recipient ? { patientEmail: recipient } : {}),
+          ...(!visit.patientPhone && phone ? { patientPhone: phone } : {}),
+          updated_at: FieldValue.serverTimestamp()
+        }, { transaction });
+
+        if (bookingUpdate.status === 'confirmed') {
+          reminderService.scheduleReminders(transaction, { ...visit, ...bookingUpdate });
+          await messagingService.enqueueMessage({
+            template: 'booking_confirmed',
+            to: visit.patientPhone || phone,
+            locale: visit.locale,
+            data: emailService.bookingEmailData(visit)
+          }, { transaction });
+        }
+      }
+
+      // Payment outcomes are announced when they move the booking; refunds, part payments and plan payments always
+      const isPartPayment = isPayment && (paidBefore > 0 || paidAmount < billAmount);
+      const template = PAYMENT_EMAILS[isPayment ? billMapped.paymentStatus : mapped.paymentStatus];
+      if (template && (bookingMoved || mapped.paymentStatus === 'refunded' || isPartPayment || (plan && isPayment))) {
+        await emailService.enqueueEmail({
+          template,
+          to: recipient,
+          locale: contact.locale || visits[0]?.locale,
+          data: {
+            ...(booking
+              ? emailService.bookingEmailData(booking)
+              : { patientName: plan.patientName, serviceName: plan.title }),
+            orderId: tagihanId,
+            amount: chargedAmount,
+            paidAmount,
+            outstandingAmount: Math.max(0, billAmount - paidAmount),
+            invoiceNumber: invoiceData.invoiceNumber || null,
+            refundAmount: refundData.refundedAmount || orderData.amount
+          }
+        }, { transaction });
+      }
+    }
+
+    return {
+      outcome,
+      orderId,
+      tagihanId,
+      previousStatus,
+      paymentStatus: mapped.paymentStatus,
+      status: mapped.status,
+      tagihanStatus: billMapped.tagihanStatus,
+      paidAmount,
+      overpaidAmount: isPayment ? Math.max(0, paidAmount - billAmount) : 0
+    };
+  });
+
+  if (result.outcome === 'rejected') {
+    await recordAudit({
+      action: 'notification.amount_mismatch',
+      target: { orderId },
+      details: {
+        notifiedAmount: notification.gross_amount,
+        orderAmount: result.orderAmount,
+        transaction_status: transactionStatus,
+        source
+      },
+      req
+    });
+    throw new ApiError('Notification amount does not match order', 400);
+  }
+
+  if (result.outcome === 'already_paid') {
+    await recordAudit({
+      action: 'notification.duplicate_payment',
+      target: { orderId, tagihanId: result.tagihanId },
+      details: {
+        paidOrderId: result.currentOrderId,
+        amount: notification.gross_amount,
+        transaction_status: transactionStatus,
+        source
+      },
+      req
+    });
+  }
+
+  // Part payments adding up to more than the bill, e.g. two links paid at once
+  if (result.overpaidAmount > 0) {
+    await recordAudit({
+      action: 'notification.overpayment',
+      target: { orderId, tagihanId: result.tagihanId },
+      details: {
+        paidAmount: result.paidAmount,
+        overpaidAmount: result.overpaidAmount,
+        transaction_status: transactionStatus,
+        source
+      },
+      req
+    });
+  }
+
+  console.log(`Processed ${source} notification for ${orderId}:`, {
+    outcome: result.outcome,
+    midtrans_status: transactionStatus,
+    previousStatus: result.previousStatus
+  });
+
+  return result;
+};
+
+module.exports = {
+  STATUS_MAP,
+  mapMidtransStatus,
+  isNewerStatus,
+  processNotification
+};
@@ -0,0 +1,118 @@
+/**
+ * Firestore-backed delivery queue, shared by email and text messages
+ *
+ * Items are queued with status 'pending', usually in the same transaction as
+ * the change they announce. A sender claims due items with a lease, so an
+ * item whose sender died is picked up again once the lease runs out, and
+ * retries failed deliveries with exponential backoff up to `maxAttempts`.
+ */
+
+const { db, FieldValue, Timestamp } = require('../repositories/database');
+const repositories = require('../repositories');
+
+/**
+ * `deliver(id, item)` sends one item and resolves with { messageId }, or
+ * throws. `skipReason(item)` may resolve with a reason not to send it at all,
+ * which marks the item 'skipped'. `queue` holds batchSize, maxAttempts,
+ * retryDelayMs and leaseMs.
+ */
+const createOutbox = ({ collection, queue, deliver, skipReason, label }) => {
+  // Queue an item; pass `transaction` to queue it with other writes (after the transaction's reads)
+  const enqueue = async (fields, { transaction } = {}) => {
+    const ref = db.collection(collection).doc();
+    const item = {
+      ...fields,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Timestamp.now(),
+      lastError: null,
+      created_at: FieldValue.serverTimestamp(),
+      updated_at: FieldValue.serverTimestamp()
+    };
+
+    if (transaction) {
+      transaction.set(ref, item);
+    } else {
+      await ref.set(item);
+    }
+    return ref.id;
+  };
+
+  // Take a due item for sending; resolves with its data, or null if another sender has it
+  const claim = (ref, now) => {
+    return repositories.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const item = doc.data();
+      if (!item || !['pending', 'sending'].includes(item.status) || item.nextAttemptAt.toMillis() > now.getTime()) {
+        return null;
+      }
+
+      transaction.update(ref, {
+        status: 'sending',
+        nextAttemptAt: Timestamp.fromMillis(now.getTime() + queue.leaseMs),
+        updated_at: FieldValue.serverTimestamp()
+      });
+      return item;
+    });
+  };
+
+  const send = async (ref, item, now) => {
+    try {
+      const reason = skipReason ? await skipReason(item) : null;
+      if (reason) {
+        await ref.update({ status: 'skipped', lastError: reason, updated_at: FieldValue.serverTimestamp() });
+        return 'skipped';
+      }
+
+      const info = await deliver(ref.id, item);
+      await ref.update({
+        status: 'sent',
+        attempts: item.attempts + 1,
+        messageId: info.messageId || null,
+        sent_at: FieldValue.serverTimestamp(),
+        updated_at: FieldValue.serverTimestamp()
+      });
+      return 'sent';
+    } catch (error) {
+      const attempts = item.attempts + 1;
+      const failed = attempts >= queue.maxAttempts;
+      console.error(`Failed to send ${item.template} ${label} ${ref.id} (attempt ${attempts}):`, error.message);
+
+      await ref.update({
+        status: failed ? 'failed' : 'pending',
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: Timestamp.fromMillis(now.getTime() + queue.retryDelayMs * 2 ** (attempts - 1)),
+        updated_at: FieldValue.serverTimestamp()
+      });
+      return failed ? 'failed' : 'retrying';
+    }
+  };
+
+  // Send the items that are due; resolves with counts per outcome
+  const processQueue = async ({ now = new Date(), limit = queue.batchSize } = {}) => {
+    const snapshot = await db.collection(collection)
+      .where('status', 'in', ['pending', 'sending'])
+      .where('nextAttemptAt', '<=', Timestamp.fromDate(now))
+      .orderBy('nextAttemptAt')
+      .limit(limit)
+      .get();
+
+    const summary = { sent: 0, retrying: 0, failed: 0, ...(skipReason ? { skipped: 0 } : {}) };
+    for (const doc of snapshot.docs) {
+      const item = await claim(doc.ref, now);
+      if (!item) continue;
+      summary[await send(doc.ref, item, now)] += 1;
+    }
+    return summary;
+  };
+
+  return {
+    enqueue,
+    processQueue
+  };
+};
+
+module.exports = {
+  createOutbox
+};
@@ -0,0 +1,708 @@
+/**
+ * Payment creation
+ *
+ * Single flow behind every payment endpoint: get or create the order and
+ * tagihan, then create the Midtrans Snap transaction and store it in
+ * `transactions`. All three documents share the order id. The amount is
+ * priced from the booking's service in the catalog when the order is created.
+ * Every Snap transaction expires after PAYMENT_EXPIRY_MINUTES; the time is
+ * stored as `expires_at` for the expired-payment reaper.
+ *
+ * A tagihan is paid through one or more payment attempts. When a link
+ * expired or a payment failed, the next attempt is a new Snap transaction
+ * under a suffixed order id (ORDER-1-2, ORDER-1-3, ...), since Midtrans never
+ * reuses an order id. Every attempt's transaction carries `tagihanId`,
+ * `attempt` and a `statusHistory`; the order and tagihan keep their id and
+ * point at the latest attempt with `currentOrderId`.
+ *
+ * A tagihan can also be paid in parts: a first payment of at least the
+ * service's deposit (`depositAmount`, the whole amount when the service has
+ * no deposit), then any further payments up to the outstanding balance. Each
+ * part is its own attempt charging `amount`; the tagihan keeps `paidAmount`
+ * and `outstandingAmount` (see services/notification). Asking for another
+ * amount while a link is open replaces it with a new attempt and cancels the
+ * old order at Midtrans.
+ *
+ * A consolidated treatment plan is paid the same way, with the plan id as
+ * order id and `planId` in place of `bookingId` (see services/treatmentPlan).
+ */
+
+const { FieldValue, Timestamp } = require('../repositories/database');
+const repositories = require('../repositories');
+const { snap, core } = require('../config/midtrans');
+const { ApiError } = require('../middleware/errorHandler');
+const catalogService = require('./catalog');
+const paymentConfig = require('../config/payment');
+const bookingService = require('./booking');
+const emailService = require('./email');
+const messagingService = require('./messaging');
+const { PAID_STATUSES } = require('./invoice');
+const { formatClinicTimestamp } = require('../utils/time');
+const { normalizePhone } = require('../utils/validation');
+
+const VALID_PAYMENT_TYPES = [
+  'credit_card', 'mandiri_clickpay', 'cimb_clicks', 'bca_klikbca', 'bca_klikpay',
+  'bri_epay', 'echannel', 'permata_va', 'bca_va', 'bni_va', 'bri_va', 'other_va',
+  'bank_transfer', 'gopay', 'shopeepay', 'indomaret', 'alfamart'
+];
+
+// Payments that can no longer be completed with their Snap link
+const CLOSED_STATUSES = ['expired', 'cancelled'];
+
+// Bookings that can take a new payment attempt as they are; other than these
+// only bookings cancelled by the expired or failed payment, which are reopened
+const PAYABLE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+// Midtrans rejects longer order ids
+const MAX_ORDER_ID_LENGTH = 50;
+
+// Order id of a tagihan's nth payment attempt; the first one uses the tagihan's own id
+const attemptOrderId = (tagihanId, attempt) => attempt > 1 ? `${tagihanId}-${attempt}` : tagihanId;
+
+// Midtrans' default Snap token lifetime, for transactions stored before `expires_at` was
+const SNAP_DEFAULT_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+// When a Snap link stops being payable. Transactions without `expires_at` get Midtrans'
+// default lifetime from `created_at`, or count as expired when that is missing too.
+const linkExpiresAt = (transaction) => {
+  if (transaction.expires_at) return transaction.expires_at.toDate();
+  if (transaction.created_at) return new Date(transaction.created_at.toMillis() + SNAP_DEFAULT_LIFETIME_MS);
+  return new Date(0);
+};
+
+// Whether a Snap link can no longer be paid because Midtrans expired it or its time ran out
+const isLinkExpired = (transaction, now = new Date()) => {
+  if (transaction.status === 'expired') return true;
+  return transaction.paymentStatus === 'unpaid' && linkExpiresAt(transaction).getTime() <= now.getTime();
+};
+
+// Whether the attempt can no longer be paid, so paying takes a new attempt
+const isAttemptClosed = (transaction, now = new Date()) => {
+  return CLOSED_STATUSES.includes(transaction.status) || isLinkExpired(transaction, now);
+};
+
+// Amount still to pay on a tagihan
+const outstandingOf = (tagihan) => Math.max(0, Number(tagihan.amount) - (tagihan.paidAmount || 0));
+
+/**
+ * Amount to charge on the next payment of a tagihan: `requested`, or the
+ * whole outstanding balance. The first payment covers at least the deposit.
+ */
+const chargeAmountFor = (tagihan, requested) => {
+  const outstanding = outstandingOf(tagihan);
+  if (requested === undefined || requested === null) {
+    return outstanding;
+  }
+
+  const amount = Number(requested);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new ApiError('payment_amount must be a positive whole number', 400);
+  }
+  if (amount > outstanding) {
+    throw new ApiError(`payment_amount cannot be more than the outstanding ${outstanding}`, 400);
+  }
+
+  // Tagihan from before deposits are paid in full
+  const depositAmount = tagihan.depositAmount ?? Number(tagihan.amount);
+  if (!(tagihan.paidAmount > 0) && amount < depositAmount) {
+    throw new ApiError(`The first payment must be at least the deposit of ${depositAmount}`, 400);
+  }
+
+  return amount;
+};
+
+// Snap item details for a charge; a part payment is one line so the items add up to it
+const chargeItems = (order, tagihan, amount) => {
+  if (amount === Number(order.amount)) {
+    return order.itemDetails;
+  }
+
+  const isDeposit = !(tagihan.paidAmount > 0);
+  const serviceName = order.description || order.itemDetails?.[0]?.name || order.serviceCode || 'Medical Consultation';
+  return [{
+    id: isDeposit ? 'DP' : 'CICILAN',
+    price: amount,
+    quantity: 1,
+    name: `${isDeposit ? 'Uang muka' : 'Cicilan'} ${serviceName}`.slice(0, 50)
+  }];
+};
+
+// Order and tagihan status while a payment is open: kept partially paid once a part was paid
+const openStatusesFor = (tagihan) => {
+  return tagihan.paidAmount > 0
+    ? { status: 'partially_paid', paymentStatus: 'partially_paid', tagihanStatus: 'partially_paid' }
+    : { status: 'pending', paymentStatus: 'unpaid', tagihanStatus: 'pending' };
+};
+
+const expiryFrom = (startTime) => {
+  return Timestamp.fromDate(new Date(startTime.getTime() + paymentConfig.expiryMinutes * 60 * 1000));
+};
+
+// Snap request body for an order; `startTime` starts the expiry countdown
+const buildSnapPayload = ({ orderId, bookingId, amount, itemDetails, customerDetails = {}, paymentType, startTime = new Date() }) => {
+  const payload = {
+    transaction_details: {
+      order_id: orderId,
+      gross_amount: amount
+    },
+    // Orders created before the catalog existed carry no item details
+    item_details: itemDetails || [{
+      id: bookingId,
+      price: amount,
+      quantity: 1,
+      name: 'Medical Consultation'
+    }],
+    customer_details: {
+      first_name: customerDetails.name || 'Customer',
+      email: customerDetails.email || 'customer@example.com',
+      phone: customerDetails.phone || '08123456789'
+    },
+    credit_card: {
+      secure: true
+    },
+    expiry: {
+      start_time: formatClinicTimestamp(startTime),
+      unit: 'minute',
+      duration: paymentConfig.expiryMinutes
+    }
+  };
+
+  if (paymentType && paymentType !== 'all') {
+    if (VALID_PAYMENT_TYPES.includes(paymentType)) {
+      payload.enabled_payments = [paymentType];
+    } else {
+      console.warn(`Invalid payment type: ${paymentType}, allowing all payment methods`);
+    }
+  }
+
+  return payload;
+};
+
+// Consistent shape returned by every payment endpoint
+const formatPaymentResponse = ({ order, tagihan, transaction }) => {
+  return {
+    order,
+    tagihan,
+    transaction: transaction && {
+      ...transaction,
+      orderId: transaction.orderId,
+      token: transaction.snap_token,
+      payment_url: transaction.payment_url || transaction.redirect_url
+    }
+  };
+};
+
+// Customer details as stored, with the phone number in E.164 when it is a valid one
+const normalizeCustomerDetails = (customerDetails) => {
+  if (!customerDetails) return null;
+  return { ...customerDetails, phone: normalizePhone(customerDetails.phone) || customerDetails.phone || null };
+};
+
+/**
+ * Send the patient the link of a Snap transaction by WhatsApp/SMS, and by
+ * email too with `email: true`. Resolves with the queued outbox ids, null
+ * for a channel that could not be used.
+ */
+const sendPaymentLink = async (transaction, { email = false } = {}) => {
+  const [booking, plan] = await Promise.all([
+    transaction.bookingId ? repositories.bookings.get(transaction.bookingId) : null,
+    transaction.planId ? repositories.treatmentPlans.get(transaction.planId) : null
+  ]);
+  const data = {
+    ...(booking ? emailService.bookingEmailData(booking) : { patientName: plan?.patientName || null }),
+    orderId: transaction.orderId,
+    serviceName: booking?.serviceName || booking?.serviceType || plan?.title || '-',
+    amount: transaction.amount,
+    paymentUrl: transaction.payment_url,
+    expiresAt: formatClinicTimestamp(linkExpiresAt(transaction)).slice(0, 16)
+  };
+
+  const [emailId, messageId] = await Promise.all([
+    email
+      ? emailService.enqueueEmail({
+        template: 'payment_link',
+        to: booking?.patientEmail || plan?.patientEmail || transaction.customer_details?.email,
+        locale: booking?.locale,
+        data
+      })
+      : null,
+    messagingService.enqueueMessage({
+      template: 'payment_link',
+      to: transaction.customer_details?.phone || booking?.patientPhone || plan?.patientPhone,
+      locale: booking?.locale,
+      data
+    })
+  ]);
+  return { email: emailId, message: messageId };
+};
+
+// Queue the link of a new Snap transaction; the payment exists even if this fails
+const announcePaymentLink = async (transaction) => {
+  try {
+    await sendPaymentLink(transaction);
+  } catch (error) {
+    // The link is also in the response
+    console.error('Failed to queue payment link message:', error.message);
+  }
+};
+
+const assertOwner = (data, userId) => {
+  if (data.userId && userId && data.userId !== userId) {
+    throw new ApiError('Access denied', 403);
+  }
+};
+
+// Server-side price of a booking, from its service in the catalog
+const priceBooking = async (bookingId, userId) => {
+  const booking = await repositories.bookings.get(bookingId);
+  if (!booking) {
+    throw new ApiError('Booking not found', 404);
+  }
+
+  if (userId && booking.pasienId !== userId) {
+    throw new ApiError('Access denied', 403);
+  }
+
+  if (booking.planBilling === 'consolidated') {
+    throw new ApiError(`This visit is paid through the tagihan of treatment plan ${booking.planId}`, 409);
+  }
+
+  // Price even if the service was deactivated after the booking was made
+  const service = await catalogService.getService(booking.serviceType);
+  if (!service) {
+    throw new ApiError(`No price found for service: ${booking.serviceType}`, 400);
+  }
+
+  return { service, ...catalogService.priceService(service) };
+};
+
+// Price of a consolidated treatment plan: its estimated total, one item per step
+const pricePlan = async (planId, userId) => {
+  const plan = await repositories.treatmentPlans.get(planId);
+  if (!plan) {
+    throw new ApiError('Treatment plan not found', 404);
+  }
+
+  if (userId && plan.pasienId !== userId) {
+    throw new ApiError('Access denied', 403);
+  }
+
+  if (plan.billing !== 'consolidated') {
+    throw new ApiError('This treatment plan is billed per visit; pay each booking instead', 409);
+  }
+
+  return {
+    service: null,
+    description: plan.title,
+    amount: plan.estimatedTotal,
+    depositAmount: plan.depositAmount,
+    itemDetails: plan.steps.map(step => ({
+      id: `${step.serviceType}-${step.step}`,
+      price: step.estimatedAmount,
+      quantity: 1,
+      name: `${step.step}. ${step.serviceName}`.slice(0, 50)
+    }))
+  };
+};
+
+// Create the Snap transaction, translating Midtrans failures into ApiErrors
+const createSnapTransaction = async (payload) => {
+  let response;
+  try {
+    console.log('Creating Midtrans transaction for order:', payload.transaction_details.order_id);
+    response = await snap.createTransaction(payload);
+  } catch (error) {
+    console.error('Failed to create Midtrans transaction:', error);
+    if (error.ApiResponse) {
+      console.error('Midtrans API Response:', error.ApiResponse);
+    }
+    const detail = error.ApiResponse?.status_message;
+    throw new ApiError(detail ? `Payment error: ${detail}` : 'Failed to create payment transaction', 502);
+  }
+
+  if (!response || !response.token || !response.redirect_url) {
+    console.error('Invalid Midtrans response:', response);
+    throw new ApiError('Invalid Midtrans response: missing token or redirect URL', 502);
+  }
+
+  return response;
+};
+
+// Cancel an attempt at Midtrans after a new one replaced it. Midtrans only knows the order
+// once a payment method was chosen (404 before that) and can't withdraw the Snap link
+// itself; a payment on it still counts and is audited if it overpays the tagihan.
+const cancelReplacedAttempt = async (orderId) => {
+  try {
+    await core.transaction.cancel(orderId);
+  } catch (error) {
+    if (String(error.httpStatusCode) === '404') return;
+    console.error('Failed to cancel replaced Midtrans transaction:', orderId, error.message);
+  }
+};
+
+// Transaction document for a new Snap transaction
+const transactionRecord = ({ orderId, tagihanId, order, amount, customerDetails, paymentType, userId, snapResponse, expiresAt, attempt = 1 }) => ({
+  orderId,
+  tagihanId,
+  attempt,
+  bookingId: order.bookingId,
+  ...(order.planId ? { planId: order.planId } : {}),
+  amount,
+  customer_details: customerDetails || order.customerDetails || null,
+  userId: userId || order.userId || null,
+  status: 'pending',
+  paymentStatus: 'unpaid',
+  tagihanStatus: 'unpaid',
+  payment_type: paymentType || order.paymentType || null,
+  snap_token: snapResponse.token,
+  redirect_url: snapResponse.redirect_url,
+  payment_url: snapResponse.redirect_url,
+  midtrans_created: true,
+  expires_at: expiresAt,
+  // Every status the attempt went through; notifications append to it
+  statusHistory: [{ status: 'pending', paymentStatus: 'unpaid', source: 'created', at: Timestamp.now() }],
+  created_at: FieldValue.serverTimestamp(),
+  updated_at: FieldValue.serverTimestamp()
+});
+
+/**
+ * Replace the closed attempt `current` with a new Snap transaction under the
+ * next suffixed order id. The new attempt keeps the customer details and
+ * payment type unless others are given. A booking cancelled because that
+ * payment expired or failed is reopened if its slot is still free. Also
+ * takes the next part payment of a partially paid tagihan, charging
+ * `amount`. Resolves like createPayment, with `renewed: true`.
+ */
+const startNewAttempt = async ({ tagihanId, order, tagihan, current, amount, customerDetails, paymentType, notify = true }) => {
+  if (PAID_STATUSES.includes(tagihan.status)) {
+    throw new ApiError(`Tagihan is already ${tagihan.status}`, 409);
+  }
+
+  const attempt = (tagihan.attemptCount || 1) + 1;
+  const orderId = attemptOrderId(tagihanId, attempt);
+  if (orderId.length > MAX_ORDER_ID_LENGTH) {
+    throw new ApiError('Order id is too long for another payment attempt; create a new order', 409);
+  }
+
+  const booking = order.bookingId ? await repositories.bookings.get(order.bookingId) : null;
+  if (booking && !PAYABLE_BOOKING_STATUSES.includes(booking.status) && !bookingService.isReopenable(booking)) {
+    throw new ApiError(`Cannot take a new payment for a booking that is ${booking.status}`, 409);
+  }
+
+  const startTime = new Date();
+  const expiresAt = expiryFrom(startTime);
+  const snapResponse = await createSnapTransaction(buildSnapPayload({
+    orderId,
+    bookingId: order.bookingId,
+    amount,
+    itemDetails: chargeItems(order, tagihan, amount),
+    customerDetails: customerDetails || current.customer_details || order.customerDetails,
+    paymentType: paymentType || current.payment_type || order.paymentType,
+    startTime
+  }));
+
+  const transactionData = transactionRecord({
+    orderId,
+    tagihanId,
+    order,
+    amount,
+    customerDetails: customerDetails || current.customer_details,
+    paymentType: paymentType || current.payment_type,
+    userId: current.userId,
+    snapResponse,
+    expiresAt,
+    attempt
+  });
+
+  const { status, paymentStatus, tagihanStatus } = openStatusesFor(tagihan);
+
+  // If this fails the new Snap transaction is never shown to anyone and simply expires
+  const reopened = await repositories.runTransaction(async (transaction) => {
+    const [latestTagihan, latestBooking] = await Promise.all([
+      repositories.tagihan.get(tagihanId, { transaction }),
+      order.bookingId ? repositories.bookings.get(order.bookingId, { transaction }) : null
+    ]);
+    if ((latestTagihan.currentOrderId || tagihanId) !== current.orderId) {
+      throw new ApiError('Another payment attempt was started meanwhile; try again', 409);
+    }
+    if (PAID_STATUSES.includes(latestTagihan.status)) {
+      throw new ApiError(`Tagihan is already ${latestTagihan.status}`, 409);
+    }
+    if ((latestTagihan.paidAmount || 0) !== (tagihan.paidAmount || 0)) {
+      throw new ApiError('A payment was received meanwhile; try again', 409);
+    }
+
+    let reopenedBooking = null;
+    if (latestBooking && !PAYABLE_BOOKING_STATUSES.includes(latestBooking.status)) {
+      reopenedBooking = await bookingService.reopenBooking(transaction, latestBooking, { reason: 'New payment attempt' });
+    }
+
+    const attemptData = { currentOrderId: orderId, expires_at: expiresAt, updated_at: FieldValue.serverTimestamp() };
+    await repositories.transactions.save(orderId, transactionData, { transaction });
+    // A paid part stays as it is; the new attempt pays the rest
+    if (current.paymentStatus !== 'Berhasil') {
+      await repositories.transactions.update(current.orderId, {
+        supersededBy: orderId,
+        updated_at: FieldValue.serverTimestamp()
+      }, { transaction });
+    }
+    await repositories.orders.update(tagihanId, {
+      ...attemptData,
+      status,
+      paymentStatus
+    }, { transaction });
+    await repositories.tagihan.update(tagihanId, {
+      ...attemptData,
+      attemptCount: attempt,
+      status: tagihanStatus
+    }, { transaction });
+
+    return reopenedBooking;
+  });
+  console.log(`Payment attempt ${attempt} for ${tagihanId} started as ${orderId}${reopened ? '; booking reopened' : ''}`);
+
+  if (notify) await announcePaymentLink(transactionData);
+
+  return {
+    order: { ...order, currentOrderId: orderId, status, paymentStatus, expires_at: expiresAt },
+    tagihan: { ...tagihan, currentOrderId: orderId, attemptCount: attempt, status: tagihanStatus, expires_at: expiresAt },
+    transaction: transactionData,
+    created: true,
+    renewed: true
+  };
+};
+
+/**
+ * Create, or resume, the payment for an order.
+ * Resolves with { order, tagihan, transaction, created } where `created`
+ * tells whether a new Snap transaction was made. An expired or failed
+ * attempt is replaced (see startNewAttempt). `paymentAmount` pays part of
+ * the tagihan (see chargeAmountFor); without it the outstanding balance is
+ * charged. A consolidated treatment plan is paid with `planId` instead of
+ * `bookingId`. With `notify: false` no payment link message is queued.
+ */
+const createPayment = async ({ orderId, bookingId, planId, customerDetails: givenCustomerDetails, paymentType, paymentAmount, userId, notify = true }) => {
+  if (!orderId || !(bookingId || planId)) {
+    throw new ApiError('orderId and bookingId are required', 400);
+  }
+
+  const customerDetails = normalizeCustomerDetails(givenCustomerDetails);
+
+  const [existingOrder, existingTagihan, firstTransaction] = await Promise.all([
+    repositories.orders.get(orderId),
+    repositories.tagihan.get(orderId),
+    repositories.transactions.get(orderId)
+  ]);
+
+  // The latest payment attempt, once an earlier one expired or failed
+  const currentOrderId = existingTagihan?.currentOrderId || orderId;
+  const existingTransaction = currentOrderId === orderId
+    ? firstTransaction
+    : await repositories.transactions.get(currentOrderId);
+
+  // Step 1: Create or get order
+  let order = existingOrder;
+  if (order) {
+    assertOwner(order, userId);
+  } else {
+    const price = planId ? await pricePlan(planId, userId) : await priceBooking(bookingId, userId);
+    order = {
+      bookingId: bookingId || null,
+      ...(planId ? { planId, description: price.description } : {}),
+      orderId,
+      amount: price.amount,
+      depositAmount: price.depositAmount,
+      serviceCode: price.service ? price.service.code : null,
+      itemDetails: price.itemDetails,
+      customerDetails: customerDetails || null,
+      paymentType: paymentType || null,
+      userId,
+      status: 'pending',
+      created_at: FieldValue.serverTimestamp(),
+      updated_at: FieldValue.serverTimestamp()
+    };
+    await repositories.orders.create(orderId, order);
+  }
+
+  // Step 2: Create or get tagihan
+  let tagihan = existingTagihan;
+  if (!tagihan) {
+    tagihan = {
+      orderId,
+      bookingId: bookingId || null,
+      ...(planId ? { planId } : {}),
+      amount: order.amount,
+      depositAmount: order.depositAmount ?? order.amount,
+      paidAmount: 0,
+      outstandingAmount: order.amount,
+      itemDetails: order.itemDetails || null,
+      status: 'pending',
+      userId,
+      created_at: FieldValue.serverTimestamp(),
+      updated_at: FieldValue.serverTimestamp()
+    };
+    await repositories.tagihan.create(orderId, tagihan);
+  }
+
+  // Step 3: Reuse the Snap transaction if one was already created and can still be paid,
+  // unless a part of the bill was paid with it or another amount is asked for
+  if (existingTransaction && existingTransaction.snap_token) {
+    assertOwner(existingTransaction, userId);
+    const isOpen = !PAID_STATUSES.includes(tagihan.status);
+    const partPaid = isOpen && existingTransaction.paymentStatus === 'Berhasil';
+    const otherAmount = isOpen && paymentAmount != null && Number(paymentAmount) !== Number(existingTransaction.amount);
+    const isClosed = isAttemptClosed(existingTransaction);
+    if (isClosed || partPaid || otherAmount) {
+      const result = await startNewAttempt({
+        tagihanId: orderId,
+        order,
+        tagihan,
+        current: existingTransaction,
+        amount: chargeAmountFor(tagihan, paymentAmount),
+        customerDetails,
+        paymentType,
+        notify
+      });
+      if (!isClosed && !partPaid) {
+        await cancelReplacedAttempt(existingTransaction.orderId);
+      }
+      return result;
+    }
+    console.log('Using existing Midtrans transaction:', currentOrderId);
+    return { order, tagihan, transaction: existingTransaction, created: false };
+  }
+
+  // Step 4: Create the Midtrans transaction
+  const startTime = new Date();
+  const expiresAt = expiryFrom(startTime);
+  let amount;
+  let snapResponse;
+  try {
+    amount = chargeAmountFor(tagihan, paymentAmount);
+    snapResponse = await createSnapTransaction(buildSnapPayload({
+      orderId,
+      bookingId,
+      amount,
+      itemDetails: chargeItems(order, tagihan, amount),
+      customerDetails: customerDetails || order.customerDetails,
+      paymentType: paymentType || order.paymentType,
+      startTime
+    }));
+  } catch (error) {
+    // Don't leave behind documents this call created for a payment that doesn't exist
+    if (!existingOrder) await repositories.orders.remove(orderId);
+    if (!existingTagihan) await repositories.tagihan.remove(orderId);
+    console.log('Cleaned up local records for failed transaction:', orderId);
+    throw error;
+  }
+
+  // Step 5: Store the transaction with the Midtrans data
+  const transaction = transactionRecord({
+    orderId,
+    tagihanId: orderId,
+    order,
+    amount,
+    customerDetails,
+    paymentType,
+    userId,
+    snapResponse,
+    expiresAt
+  });
+  await repositories.transactions.save(orderId, transaction);
+  await Promise.all([
+    repositories.orders.update(orderId, { expires_at: expiresAt }),
+    repositories.tagihan.update(orderId, { expires_at: expiresAt })
+  ]);
+  console.log('Midtrans transaction created successfully:', orderId);
+
+  if (notify) await announcePaymentLink(transaction);
+
+  return {
+    order: { ...order, expires_at: expiresAt },
+    tagihan: { ...tagihan, expires_at: expiresAt },
+    transaction,
+    created: true
+  };
+};
+
+// Payment for an existing order, creating the Snap transaction if it is missing or expired
+const getOrCreatePaymentForOrder = async (orderId, userId, { paymentAmount, notify = true } = {}) => {
+  // A later attempt's order id (ORDER-1-2) stands for its tagihan's order
+  const attempt = await repositories.transactions.get(orderId);
+  const tagihanId = attempt?.tagihanId || orderId;
+
+  const order = await repositories.orders.get(tagihanId);
+  if (!order) {
+    throw new ApiError('Order not found', 404);
+  }
+
+  assertOwner(order, userId);
+
+  return createPayment({
+    orderId: tagihanId,
+    bookingId: order.bookingId,
+    planId: order.planId,
+    userId: order.userId || userId,
+    paymentAmount,
+    notify
+  });
+};
+
+/**
+ * Send the patient the link to pay a tagihan by email and WhatsApp/SMS,
+ * starting a new attempt first if the last one expired or failed. For the
+ * patient who owns the tagihan and admins, at most once per
+ * PAYMENT_LINK_RESEND_COOLDOWN_SECONDS.
+ */
+const resendPaymentLink = async (tagihanId, user) => {
+  const tagihan = await repositories.tagihan.get(tagihanId);
+  if (!tagihan) {
+    throw new ApiError('Tagihan not found', 404);
+  }
+  if (user.admin !== true && tagihan.userId !== user.uid) {
+    throw new ApiError('Access denied', 403);
+  }
+  if (PAID_STATUSES.includes(tagihan.status)) {
+    throw new ApiError(`Tagihan is already ${tagihan.status}`, 409);
+  }
+
+  if (tagihan.linkSentAt) {
+    const waitSeconds = Math.ceil(
+      paymentConfig.resendCooldownSeconds - (Date.now() - tagihan.linkSentAt.toMillis()) / 1000
+    );
+    if (waitSeconds > 0) {
+      throw new ApiError(`The payment link was just sent; try again in ${waitSeconds} seconds`, 429);
+    }
+  }
+
+  const result = await getOrCreatePaymentForOrder(tagihanId, null, { notify: false });
+  const { transaction } = result;
+  const queued = await sendPaymentLink(transaction, { email: true });
+  await repositories.tagihan.update(tagihanId, { linkSentAt: FieldValue.serverTimestamp() });
+
+  return {
+    tagihanId,
+    orderId: transaction.orderId,
+    payment_url: transaction.payment_url || transaction.redirect_url,
+    expires_at: transaction.expires_at || Timestamp.fromDate(linkExpiresAt(transaction)),
+    regenerated: result.renewed === true,
+    delivered: {
+      email: Boolean(queued.email),
+      message: Boolean(queued.message)
+    }
+  };
+};
+
+module.exports = {
+  VALID_PAYMENT_TYPES,
+  attemptOrderId,
+  isLinkExpired,
+  isAttemptClosed,
+  chargeAmountFor,
+  buildSnapPayload,
+  formatPaymentResponse,
+  priceBooking,
+  createPayment,
+  getOrCreatePaymentForOrder,
+  resendPaymentLink
+};
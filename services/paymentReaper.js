@@ -0,0 +1,128 @@
+/**
+ * Expired-payment reaper
+ *
+ * Finds pending transactions past their `expires_at` (plus a grace period),
+ * confirms each with the Midtrans status API and applies the result through
+ * the normal notification path. A payment Midtrans never saw (the patient
+ * closed Snap without choosing a method) is expired locally. Expiring cancels
+ * the booking, which frees its appointment slot.
+ *
+ * Payments Midtrans still reports as pending stay in the query until it
+ * expires them, so each run pages past them and only asks Midtrans about
+ * them again after `recheckMinutes` (`reaper_checked_at`).
+ */
+
+const { Timestamp } = require('../repositories/database');
+const repositories = require('../repositories');
+const { core } = require('../config/midtrans');
+const paymentConfig = require('../config/payment');
+const notificationService = require('./notification');
+
+// Notification applied when Midtrans has no record of the payment
+const localExpiry = (transaction) => ({
+  order_id: transaction.orderId,
+  transaction_id: `${transaction.orderId}-reaper`,
+  transaction_status: 'expire',
+  status_code: '407',
+  gross_amount: String(transaction.amount)
+});
+
+// Current Midtrans status, or null when Midtrans doesn't know the order
+const fetchMidtransStatus = async (orderId) => {
+  try {
+    return await core.transaction.status(orderId);
+  } catch (error) {
+    if (String(error.httpStatusCode) === '404') return null;
+    throw error;
+  }
+};
+
+const reapTransaction = async (transaction, now) => {
+  const midtransStatus = await fetchMidtransStatus(transaction.orderId);
+
+  // Still payable at Midtrans (e.g. an open VA); Midtrans will expire it itself
+  if (midtransStatus && midtransStatus.transaction_status === 'pending') {
+    await repositories.transactions.update(transaction.orderId, { reaper_checked_at: Timestamp.fromDate(now) });
+    return 'still_pending';
+  }
+
+  const notification = midtransStatus || localExpiry(transaction);
+  const result = await notificationService.processNotification(notification, { source: 'reaper' });
+
+  // 'expired', or e.g. 'Berhasil' when the patient paid at the last minute
+  return result.outcome === 'applied' ? result.paymentStatus : result.outcome;
+};
+
+// Whether Midtrans reported the payment as pending within the last `recheckMinutes`
+const isRecentlyChecked = (transaction, now) => {
+  const checkedAt = transaction.reaper_checked_at;
+  return Boolean(checkedAt) &&
+    now.getTime() - checkedAt.toMillis() < paymentConfig.reaper.recheckMinutes * 60 * 1000;
+};
+
+/**
+ * Check up to `limit` expired payments, paging past those checked recently.
+ * Resolves with counts per outcome, e.g. { checked: 3, expired: 2,
+ * Berhasil: 1 }, and the failures.
+ */
+const reapExpiredPayments = async ({ now = new Date(), limit = paymentConfig.reaper.batchSize } = {}) => {
+  const cutoff = Timestamp.fromDate(new Date(now.getTime() - paymentConfig.reaper.graceMinutes * 60 * 1000));
+
+  const summary = { checked: 0, errors: [] };
+  let after = null;
+  while (summary.checked < limit) {
+    const transactions = await repositories.transactions.findExpiredPending(cutoff, limit, after);
+
+    for (const transaction of transactions) {
+      if (summary.checked >= limit) break;
+      if (isRecentlyChecked(transaction, now)) continue;
+
+      summary.checked += 1;
+      try {
+        const outcome = await reapTransaction(transaction, now);
+        summary[outcome] = (summary[outcome] || 0) + 1;
+      } catch (error) {
+        console.error('Failed to reap payment:', transaction.orderId, error);
+        summary.errors.push({ orderId: transaction.orderId, error: error.message });
+      }
+    }
+
+    if (transactions.length < limit) break;
+    after = transactions[transactions.length - 1].id;
+  }
+
+  if (summary.checked > 0) {
+    console.log('Expired payment reaper run:', summary);
+  }
+  return summary;
+};
+
+/**
+ * Run the reaper every `intervalMs` inside this process. Runs never overlap.
+ * Returns a function that stops the schedule.
+ */
+const startPaymentReaper = (intervalMs = paymentConfig.reaper.intervalMs) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await reapExpiredPayments();
+    } catch (error) {
+      console.error('Expired payment reaper run failed:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  console.log(`⏱️  Expired payment reaper running every ${intervalMs} ms`);
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  fetchMidtransStatus,
+  reapExpiredPayments,
+  startPaymentReaper
+};
@@ -0,0 +1,201 @@
+/**
+ * Payment receipts for paid tagihan, rendered as PDF for insurance claims
+ */
+
+const PDFDocument = require('pdfkit');
+const repositories = require('../repositories');
+const clinicConfig = require('../config/clinic');
+const { ApiError } = require('../middleware/errorHandler');
+const invoiceService = require('./invoice');
+const { formatClinicTimestamp } = require('../utils/time');
+
+// Midtrans payment_type -> label printed on the receipt
+const PAYMENT_TYPE_LABELS = {
+  bank_transfer: 'Bank Transfer',
+  echannel: 'Mandiri Bill Payment',
+  permata: 'Permata Virtual Account',
+  credit_card: 'Credit Card',
+  gopay: 'GoPay',
+  shopeepay: 'ShopeePay',
+  qris: 'QRIS',
+  cstore: 'Convenience Store',
+  akulaku: 'Akulaku',
+  kredivo: 'Kredivo'
+};
+
+const formatRupiah = (amount) => `Rp ${Number(amount || 0).toLocaleString('id-ID')}`;
+
+// e.g. 'Bank Transfer (BCA)' from the stored Midtrans status
+const paymentMethodLabel = (midtransStatus) => {
+  if (!midtransStatus || !midtransStatus.payment_type) return '-';
+
+  const label = PAYMENT_TYPE_LABELS[midtransStatus.payment_type] || midtransStatus.payment_type;
+  const detail = midtransStatus.va_numbers?.[0]?.bank?.toUpperCase() ||
+    midtransStatus.bank?.toUpperCase() ||
+    midtransStatus.store ||
+    (midtransStatus.masked_card ? `**** ${midtransStatus.masked_card.slice(-4)}` : null);
+  return detail ? `${label} (${detail})` : label;
+};
+
+const canViewReceipt = (tagihan, user) => user.admin === true || tagihan.userId === user.uid;
+
+/**
+ * Everything printed on the receipt of `orderId`. Only the patient who paid
+ * and admins may see it, and only once the tagihan is paid.
+ */
+const getReceipt = async (orderId, user) => {
+  let tagihan = await repositories.tagihan.get(orderId);
+  if (!tagihan) {
+    throw new ApiError('Tagihan not found', 404);
+  }
+  if (!canViewReceipt(tagihan, user)) {
+    throw new ApiError('Access denied', 403);
+  }
+  if (!invoiceService.PAID_STATUSES.includes(tagihan.status)) {
+    throw new ApiError('A receipt is only available once the tagihan is paid', 409);
+  }
+
+  if (!tagihan.invoiceNumber) {
+    tagihan = await invoiceService.ensureInvoiceNumber(orderId);
+  }
+
+  // The paid attempt, when the link was renewed
+  const [order, transaction] = await Promise.all([
+    repositories.orders.get(orderId),
+    repositories.transactions.get(tagihan.currentOrderId || orderId)
+  ]);
+  const booking = tagihan.bookingId ? await repositories.bookings.get(tagihan.bookingId) : null;
+  const customer = transaction?.customer_details || order?.customerDetails || {};
+
+  return {
+    invoiceNumber: tagihan.invoiceNumber,
+    orderId,
+    status: tagihan.status,
+    paidAt: tagihan.paid_at ? tagihan.paid_at.toDate() : null,
+    clinic: clinicConfig.profile,
+    patient: {
+      name: customer.name || customer.first_name || '-',
+      email: customer.email || null,
+      phone: customer.phone || null
+    },
+    booking: booking && {
+      bookingId: booking.bookingId,
+      serviceName: booking.serviceName || booking.serviceType,
+      appointmentDate: booking.appointmentDate,
+      appointmentTime: booking.appointmentTime
+    },
+    items: tagihan.itemDetails || order?.itemDetails || [
+      { id: orderId, name: 'Medical Consultation', price: tagihan.amount, quantity: 1 }
+    ],
+    amount: tagihan.amount,
+    paymentMethod: paymentMethodLabel(transaction?.midtrans_status),
+    refundedAmount: tagihan.status === 'refunded' ? (tagihan.refundedAmount || tagihan.amount) : null
+  };
+};
+
+// Collect a PDFKit document into a Buffer
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+// Render a receipt from getReceipt as an A4 PDF
+const renderReceiptPdf = (receipt) => {
+  const { clinic } = receipt;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: `Receipt ${receipt.invoiceNumber}`, Author: clinic.name }
+  });
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  // Clinic header
+  doc.rect(0, 0, doc.page.width, 8).fill(clinic.brandColor);
+  doc.fillColor(clinic.brandColor).font('Helvetica-Bold').fontSize(20).text(clinic.name, left, 40);
+  doc.fillColor('#333333').font('Helvetica').fontSize(9);
+  [clinic.address, [clinic.phone, clinic.email].filter(Boolean).join(' | '), clinic.taxId && `NPWP ${clinic.taxId}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+
+  doc.moveDown(1.5);
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(14).text('KWITANSI / RECEIPT');
+  doc.moveDown(0.5);
+
+  // Invoice and patient details
+  const details = [
+    ['Invoice number', receipt.invoiceNumber],
+    ['Order ID', receipt.orderId],
+    ['Paid at', receipt.paidAt ? formatClinicTimestamp(receipt.paidAt) : '-'],
+    ['Payment method', receipt.paymentMethod],
+    ['Patient', receipt.patient.name],
+    ['Email', receipt.patient.email],
+    ['Phone', receipt.patient.phone]
+  ];
+  if (receipt.booking) {
+    details.push(['Appointment', `${receipt.booking.appointmentDate} ${receipt.booking.appointmentTime}`]);
+  }
+  doc.font('Helvetica').fontSize(10);
+  for (const [label, value] of details.filter(([, value]) => value)) {
+    const y = doc.y;
+    doc.fillColor('#555555').text(label, left, y, { width: 120 });
+    doc.fillColor('#000000').text(String(value), left + 130, y, { width: width - 130 });
+  }
+
+  // Line items
+  const columns = [
+    { header: 'Description', x: left, width: width - 260, align: 'left' },
+    { header: 'Qty', x: left + width - 260, width: 40, align: 'right' },
+    { header: 'Price', x: left + width - 210, width: 100, align: 'right' },
+    { header: 'Total', x: left + width - 100, width: 100, align: 'right' }
+  ];
+  const row = (values, font) => {
+    const y = doc.y;
+    let bottom = y;
+    doc.font(font);
+    columns.forEach((column, index) => {
+      doc.text(values[index], column.x, y, { width: column.width, align: column.align });
+      bottom = Math.max(bottom, doc.y);
+    });
+    // Continue below the tallest cell, e.g. a wrapped description
+    doc.y = bottom;
+    doc.moveDown(0.3);
+  };
+
+  doc.moveDown(1.5);
+  doc.fillColor(clinic.brandColor);
+  row(columns.map(column => column.header), 'Helvetica-Bold');
+  doc.fillColor('#000000');
+  for (const item of receipt.items) {
+    row([
+      item.name,
+      String(item.quantity),
+      formatRupiah(item.price),
+      formatRupiah(item.price * item.quantity)
+    ], 'Helvetica');
+  }
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#cccccc').stroke();
+  doc.moveDown(0.3);
+  row(['Total paid', '', '', formatRupiah(receipt.amount)], 'Helvetica-Bold');
+
+  if (receipt.refundedAmount) {
+    doc.moveDown(0.5);
+    doc.fillColor('#b91c1c');
+    row(['Refunded', '', '', formatRupiah(receipt.refundedAmount)], 'Helvetica-Bold');
+  }
+
+  doc.moveDown(2);
+  doc.fillColor('#555555').font('Helvetica').fontSize(8)
+    .text('This receipt is issued electronically and is valid without a signature.', left, doc.y, { width });
+
+  return toBuffer(doc);
+};
+
+module.exports = {
+  paymentMethodLabel,
+  getReceipt,
+  renderReceiptPdf
+};
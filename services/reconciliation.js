@@ -0,0 +1,195 @@
+/**
+ * Reconciliation between our transactions and Midtrans
+ *
+ * Walks the non-final transactions created in a date range, asks the
+ * Midtrans status API for each one and applies newer Midtrans statuses
+ * through the normal notification path, catching webhooks we never received.
+ * Mismatches that can't be fixed automatically (amount differences, payments
+ * Midtrans doesn't know, Midtrans behind us) are reported for manual review.
+ */
+
+const { Timestamp } = require('../repositories/database');
+const repositories = require('../repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const { recordAudit } = require('./audit');
+const notificationService = require('./notification');
+const { fetchMidtransStatus } = require('./paymentReaper');
+const { isValidDate, addDays, diffDays, toClinicDate, clinicNow } = require('../utils/time');
+const { toCsv } = require('../utils/csv');
+
+// Transaction statuses that can still change; confirmed payments can still be refunded
+const NON_FINAL_STATUSES = ['pending', 'confirmed'];
+const DEFAULT_RANGE_DAYS = 7;
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 2000;
+
+const REPORT_COLUMNS = [
+  'orderId',
+  'bookingId',
+  'createdAt',
+  'amount',
+  'localStatus',
+  'localPaymentStatus',
+  'midtransStatus',
+  'midtransAmount',
+  'discrepancy',
+  'action',
+  'error'
+];
+
+const actorSummary = (actor) => actor && { uid: actor.uid, email: actor.email || null };
+
+const toIsoString = (value) => (value && value.toDate ? value.toDate().toISOString() : null);
+
+/**
+ * Compare a transaction with its Midtrans status. Resolves with null when
+ * they agree, otherwise { discrepancy, fixable }.
+ */
+const compareWithMidtrans = (transaction, midtransStatus) => {
+  if (!midtransStatus) {
+    // An unopened Snap payment is unknown to Midtrans until it expires (the reaper's job)
+    return transaction.status === 'pending' ? null : { discrepancy: 'missing_at_midtrans', fixable: false };
+  }
+
+  if (Number(midtransStatus.gross_amount) !== Number(transaction.amount)) {
+    return { discrepancy: 'amount_mismatch', fixable: false };
+  }
+
+  const mapped = notificationService.mapMidtransStatus(midtransStatus.transaction_status);
+  if (!mapped) {
+    return { discrepancy: 'unknown_status', fixable: false };
+  }
+  if (mapped.status === transaction.status && mapped.paymentStatus === transaction.paymentStatus) {
+    return null;
+  }
+
+  const localStatus = transaction.midtrans_status?.transaction_status || null;
+  if (notificationService.isNewerStatus(localStatus, midtransStatus.transaction_status)) {
+    return { discrepancy: 'status_mismatch', fixable: true };
+  }
+  return { discrepancy: 'midtrans_behind', fixable: false };
+};
+
+const reportRow = (transaction, midtransStatus, fields) => ({
+  orderId: transaction.orderId,
+  bookingId: transaction.bookingId || null,
+  createdAt: toIsoString(transaction.created_at),
+  amount: transaction.amount,
+  localStatus: transaction.status,
+  localPaymentStatus: transaction.paymentStatus,
+  midtransStatus: midtransStatus?.transaction_status || null,
+  midtransAmount: midtransStatus ? Number(midtransStatus.gross_amount) : null,
+  error: null,
+  ...fields
+});
+
+const reconcileTransaction = async (transaction, { dryRun }) => {
+  const midtransStatus = await fetchMidtransStatus(transaction.orderId);
+  const comparison = compareWithMidtrans(transaction, midtransStatus);
+  if (!comparison) {
+    return null;
+  }
+
+  const { discrepancy, fixable } = comparison;
+  if (!fixable) {
+    return reportRow(transaction, midtransStatus, { discrepancy, action: 'manual' });
+  }
+  if (dryRun) {
+    return reportRow(transaction, midtransStatus, { discrepancy, action: 'would_fix' });
+  }
+
+  // Same mapping, precedence and booking transitions as the webhook
+  const result = await notificationService.processNotification(midtransStatus, { source: 'reconciliation' });
+  return reportRow(transaction, midtransStatus, {
+    discrepancy,
+    action: result.outcome === 'applied' ? 'fixed' : result.outcome
+  });
+};
+
+/**
+ * Reconcile transactions created between `from` and `to` (clinic dates,
+ * inclusive; default the last 7 days). With `dryRun` nothing is changed.
+ * Resolves with a report: counts plus one row per discrepancy.
+ */
+const reconcileTransactions = async ({ from, to, dryRun = false, limit = DEFAULT_LIMIT, actor = null, req = null } = {}) => {
+  const toDate = to || clinicNow().date;
+  const fromDate = from || addDays(toDate, -(DEFAULT_RANGE_DAYS - 1));
+  if (!isValidDate(fromDate) || !isValidDate(toDate)) {
+    throw new ApiError('from and to must be dates in YYYY-MM-DD format', 400);
+  }
+  if (diffDays(fromDate, toDate) < 0) {
+    throw new ApiError('from must not be after to', 400);
+  }
+
+  const maxTransactions = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  // One extra to tell whether the range holds more than `limit`
+  const transactions = await repositories.transactions.findCreatedBetween({
+    statuses: NON_FINAL_STATUSES,
+    from: Timestamp.fromDate(toClinicDate(fromDate)),
+    to: Timestamp.fromDate(toClinicDate(addDays(toDate, 1))),
+    limit: maxTransactions + 1
+  });
+  const truncated = transactions.length > maxTransactions;
+
+  const report = {
+    from: fromDate,
+    to: toDate,
+    dryRun,
+    generatedAt: new Date().toISOString(),
+    checked: 0,
+    matched: 0,
+    fixed: 0,
+    failed: 0,
+    truncated,
+    discrepancies: []
+  };
+
+  for (const transaction of transactions.slice(0, maxTransactions)) {
+    report.checked += 1;
+    try {
+      const row = await reconcileTransaction(transaction, { dryRun });
+      if (!row) {
+        report.matched += 1;
+        continue;
+      }
+      if (row.action === 'fixed') report.fixed += 1;
+      report.discrepancies.push(row);
+    } catch (error) {
+      console.error('Failed to reconcile transaction:', transaction.orderId, error);
+      report.failed += 1;
+      report.discrepancies.push(reportRow(transaction, null, {
+        discrepancy: 'check_failed',
+        action: 'manual',
+        error: error.message
+      }));
+    }
+  }
+
+  await recordAudit({
+    action: 'payments.reconciled',
+    actor: actorSummary(actor),
+    target: { from: fromDate, to: toDate },
+    details: {
+      dryRun,
+      checked: report.checked,
+      fixed: report.fixed,
+      discrepancies: report.discrepancies.length,
+      truncated
+    },
+    req
+  });
+
+  return report;
+};
+
+// Discrepancy rows as CSV
+const reportToCsv = (report) => toCsv(report.discrepancies, REPORT_COLUMNS);
+
+module.exports = {
+  NON_FINAL_STATUSES,
+  REPORT_COLUMNS,
+  compareWithMidtrans,
+  reconcileTransactions,
+  reportToCsv
+};
@@ -0,0 +1,148 @@
+/**
+ * Midtrans refunds for cancelled bookings
+ *
+ * A refund is requested through the Core API as soon as a paid booking is
+ * cancelled and recorded in `refunds/{refundKey}`, one per settled payment
+ * when the bill was paid in parts. The order, tagihan,
+ * transaction and booking are only marked refunded once Midtrans confirms
+ * it with a `refund` / `partial_refund` notification.
+ */
+
+const { db, FieldValue } = require('../repositories/database');
+const repositories = require('../repositories');
+const clinicConfig = require('../config/clinic');
+const { core } = require('../config/midtrans');
+const { toClinicDate } = require('../utils/time');
+
+// Amount to refund for a cancellation, following the refund policy
+const calculateRefundAmount = (booking, paidAmount, role, cancelledAt = new Date()) => {
+  const policy = clinicConfig.refundPolicy;
+
+  if (role !== 'patient' && policy.staffCancelFullRefund) {
+    return paidAmount;
+  }
+
+  const appointmentAt = toClinicDate(booking.appointmentDate, booking.appointmentTime);
+  const hoursBefore = (appointmentAt.getTime() - cancelledAt.getTime()) / (60 * 60 * 1000);
+  if (hoursBefore >= policy.fullRefundHours) {
+    return paidAmount;
+  }
+
+  return Math.floor(paidAmount * policy.lateCancelRefundPercent / 100);
+};
+
+// Settled transactions paying for a booking: one, or one per part payment
+const findPaidTransactions = async (bookingId) => {
+  const transactions = await repositories.transactions.findByBookingId(bookingId);
+  return transactions.filter(transaction => transaction.paymentStatus === 'Berhasil');
+};
+
+// Request the refund of one settled transaction
+const refundTransaction = async (booking, transaction, { role, reason }) => {
+  const orderId = transaction.orderId;
+  const refundKey = `${orderId}-refund`;
+  const refundRef = db.collection('refunds').doc(refundKey);
+
+  // A refund was already requested for this order
+  const existingRefund = await refundRef.get();
+  if (existingRefund.exists && existingRefund.data().status !== 'failed') {
+    return existingRefund.data();
+  }
+
+  const paidAmount = parseInt(transaction.amount);
+  const amount = calculateRefundAmount(booking, paidAmount, role);
+
+  const refund = {
+    refundKey,
+    orderId,
+    tagihanId: transaction.tagihanId || orderId,
+    transactionId: transaction.id,
+    bookingId: booking.bookingId,
+    midtransTransactionId: transaction.midtrans_status?.transaction_id || null,
+    paidAmount,
+    amount,
+    type: amount === paidAmount ? 'full' : 'partial',
+    reason: reason || 'Booking cancelled',
+    requestedBy: role,
+    status: 'requested',
+    created_at: FieldValue.serverTimestamp(),
+    updated_at: FieldValue.serverTimestamp()
+  };
+
+  if (amount <= 0) {
+    refund.status = 'not_applicable';
+    await refundRef.set(refund);
+    return refund;
+  }
+
+  try {
+    console.log('Requesting Midtrans refund:', { orderId, amount });
+    refund.midtransResponse = await core.transaction.refund(orderId, {
+      refund_key: refundKey,
+      amount,
+      reason: refund.reason
+    });
+  } catch (error) {
+    console.error('Midtrans refund request failed for order:', orderId, error);
+    refund.status = 'failed';
+    refund.error = error.ApiResponse?.status_message || error.message;
+  }
+
+  await refundRef.set(refund);
+  return refund;
+};
+
+/**
+ * Request refunds for a cancelled, paid booking, one per settled payment.
+ * Resolves with the refunds. Never throws: a failed request is recorded with
+ * status 'failed' so staff can follow up manually, and the cancellation
+ * itself stands.
+ */
+const refundCancelledBooking = async (booking, { role, reason }) => {
+  const transactions = await findPaidTransactions(booking.bookingId);
+  if (transactions.length === 0) {
+    console.warn('No settled transaction found to refund for booking:', booking.bookingId);
+    return [];
+  }
+
+  const refunds = [];
+  for (const transaction of transactions) {
+    refunds.push(await refundTransaction(booking, transaction, { role, reason }));
+  }
+  return refunds;
+};
+
+/**
+ * Mark the order's requested refunds as completed, inside the Firestore
+ * transaction processing a refund notification. Reads before writing, so it
+ * must be called after the caller's own reads. Returns the fields to apply
+ * to the order/tagihan/transaction/booking.
+ */
+const applyRefundNotification = async (transaction, orderId, notification) => {
+  const snapshot = await transaction.get(
+    db.collection('refunds')
+      .where('orderId', '==', orderId)
+      .where('status', '==', 'requested')
+  );
+
+  snapshot.forEach((doc) => {
+    transaction.update(doc.ref, {
+      status: 'refunded',
+      refundedAt: FieldValue.serverTimestamp(),
+      midtrans_status: notification,
+      updated_at: FieldValue.serverTimestamp()
+    });
+  });
+
+  return {
+    refundedAmount: parseInt(notification.refund_amount) || null,
+    refundType: notification.transaction_status === 'partial_refund' ? 'partial' : 'full'
+  };
+};
+
+module.exports = {
+  calculateRefundAmount,
+  findPaidTransactions,
+  refundCancelledBooking,
+  applyRefundNotification
+};
@@ -0,0 +1,112 @@
+/**
+ * Delivery channels for appointment reminders
+ *
+ * Each channel has `send(reminder, booking)` resolving with its delivery
+ * state: { status: 'sent' | 'queued' | 'skipped', ...details }. Channels
+ * throw when delivery fails. Add a channel here and list it in
+ * REMINDER_CHANNELS to use it.
+ */
+
+const remindersConfig = require('../config/reminders');
+const emailService = require('./email');
+const deviceService = require('./devices');
+const messagingService = require('./messaging');
+
+// FCM error codes for tokens that will never work again
+const STALE_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+const PUSH_TEXT = {
+  id: (booking) => ({
+    title: 'Pengingat janji temu',
+    body: `${booking.serviceName || booking.serviceType} pada ${booking.appointmentDate} pukul ${booking.appointmentTime}`
+  }),
+  en: (booking) => ({
+    title: 'Appointment reminder',
+    body: `${booking.serviceName || booking.serviceType} on ${booking.appointmentDate} at ${booking.appointmentTime}`
+  })
+};
+
+// Queued in the email outbox, which retries on its own
+const emailChannel = {
+  name: 'email',
+  send: async (reminder, booking) => {
+    const emailId = await emailService.enqueueEmail({
+      template: 'appointment_reminder',
+      to: booking.patientEmail,
+      locale: booking.locale,
+      data: { ...emailService.bookingEmailData(booking), offset: reminder.offset }
+    });
+    return emailId ? { status: 'queued', emailId } : { status: 'skipped', reason: 'No email address' };
+  }
+};
+
+// Queued in the WhatsApp/SMS outbox; opted-out numbers are skipped there
+const messageChannel = {
+  name: 'message',
+  send: async (reminder, booking) => {
+    const messageId = await messagingService.enqueueMessage({
+      template: 'appointment_reminder',
+      to: booking.patientPhone,
+      locale: booking.locale,
+      data: emailService.bookingEmailData(booking)
+    });
+    return messageId ? { status: 'queued', messageId } : { status: 'skipped', reason: 'No phone number' };
+  }
+};
+
+// Multicast to the patient's registered devices
+const sendPush = async (tokens, message) => {
+  if (remindersConfig.pushProvider === 'console') {
+    console.log(`📱 Push to ${tokens.length} device(s): ${message.notification.title} - ${message.notification.body}`);
+    return { successCount: tokens.length, failureCount: 0, responses: tokens.map(() => ({ success: true })) };
+  }
+
+  // Required here so offline modes never load firebase-admin messaging
+  const admin = require('../config/firebase');
+  return admin.messaging().sendEachForMulticast({ ...message, tokens });
+};
+
+const pushChannel = {
+  name: 'push',
+  send: async (reminder, booking) => {
+    const tokens = await deviceService.listTokens(booking.pasienId);
+    if (tokens.length === 0) {
+      return { status: 'skipped', reason: 'No registered devices' };
+    }
+
+    const text = (PUSH_TEXT[booking.locale] || PUSH_TEXT.id)(booking);
+    const response = await sendPush(tokens, {
+      notification: text,
+      data: { type: 'appointment_reminder', bookingId: booking.bookingId, offset: reminder.offset }
+    });
+
+    const staleTokens = tokens.filter((token, index) => {
+      return STALE_TOKEN_ERRORS.includes(response.responses[index]?.error?.code);
+    });
+    if (staleTokens.length > 0) {
+      await deviceService.removeTokens(staleTokens);
+    }
+
+    if (response.successCount === 0) {
+      throw new Error(response.responses.find(result => result.error)?.error?.message || 'Push delivery failed');
+    }
+    return { status: 'sent', devices: response.successCount, failedDevices: response.failureCount };
+  }
+};
+
+const CHANNELS = {
+  email: emailChannel,
+  push: pushChannel,
+  message: messageChannel
+};
+
+// The channels listed in REMINDER_CHANNELS
+const getChannels = () => remindersConfig.channels.map(name => CHANNELS[name]);
+
+module.exports = {
+  CHANNELS,
+  getChannels
+};
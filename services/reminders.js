@@ -0,0 +1,230 @@
+/**
+ * Appointment reminders
+ *
+ * Confirming a booking schedules one reminder per REMINDER_OFFSETS entry in
+ * the `reminders` collection, in the same transaction. Cancelling or
+ * rescheduling cancels them (a reschedule schedules new ones). The scheduler
+ * sends due reminders on every REMINDER_CHANNELS channel and records each
+ * channel's delivery state on the reminder. A reminder is checked against its
+ * booking again right before sending, so a stale one is never delivered.
+ */
+
+const { db, FieldValue, Timestamp } = require('../repositories/database');
+const repositories = require('../repositories');
+const remindersConfig = require('../config/reminders');
+const { getChannels } = require('./reminderChannels');
+const { toClinicDate } = require('../utils/time');
+
+const REMINDERS = 'reminders';
+
+// How long a claimed reminder stays with one scheduler run
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+// The booking's appointment as a Date
+const appointmentAt = (booking) => toClinicDate(booking.appointmentDate, booking.appointmentTime);
+
+// Reminders are versioned by reschedule count, so a reschedule gets fresh ids
+const reminderVersion = (booking) => booking.rescheduleCount || 0;
+
+/**
+ * A booking's reminders, read inside `transaction`. Call it with the other
+ * reads, before the transaction writes anything.
+ */
+const loadReminders = async (transaction, bookingId) => {
+  const snapshot = await transaction.get(db.collection(REMINDERS).where('bookingId', '==', bookingId));
+  return snapshot.docs.map(doc => ({ id: doc.id, ref: doc.ref, ...doc.data() }));
+};
+
+// Cancel those of `reminders` (from loadReminders) that have not been sent yet
+const cancelReminders = (transaction, reminders, reason) => {
+  for (const reminder of reminders.filter(item => item.status === 'scheduled')) {
+    transaction.update(reminder.ref, {
+      status: 'cancelled',
+      statusReason: reason,
+      updated_at: FieldValue.serverTimestamp()
+    });
+  }
+};
+
+/**
+ * Schedule reminders for a confirmed booking (writes only). Offsets that
+ * have already passed are recorded as skipped.
+ */
+const scheduleReminders = (transaction, booking, { now = new Date() } = {}) => {
+  const version = reminderVersion(booking);
+
+  for (const offset of remindersConfig.offsets) {
+    const sendAt = new Date(appointmentAt(booking).getTime() - offset.minutes * 60 * 1000);
+    const tooLate = sendAt <= now;
+    const ref = db.collection(REMINDERS).doc(`${booking.bookingId}_${offset.label}_${version}`);
+
+    transaction.set(ref, {
+      bookingId: booking.bookingId,
+      pasienId: booking.pasienId,
+      offset: offset.label,
+      offsetMinutes: offset.minutes,
+      appointmentDate: booking.appointmentDate,
+      appointmentTime: booking.appointmentTime,
+      version,
+      sendAt: Timestamp.fromDate(sendAt),
+      status: tooLate ? 'skipped' : 'scheduled',
+      statusReason: tooLate ? 'Booked after the reminder time' : null,
+      channels: {},
+      claimExpiresAt: null,
+      created_at: FieldValue.serverTimestamp(),
+      updated_at: FieldValue.serverTimestamp()
+    });
+  }
+};
+
+// Reminders of a booking, earliest first
+const listBookingReminders = async (bookingId) => {
+  const snapshot = await db.collection(REMINDERS).where('bookingId', '==', bookingId).get();
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => a.sendAt.toMillis() - b.sendAt.toMillis() || a.version - b.version);
+};
+
+// Why a due reminder must not be sent, as [status, reason], or null to send it
+const checkDueReminder = (reminder, booking, now) => {
+  if (!booking || booking.status !== 'confirmed') {
+    return ['cancelled', `Booking is ${booking ? booking.status : 'missing'}`];
+  }
+  if (reminderVersion(booking) !== reminder.version) {
+    return ['cancelled', 'Booking was rescheduled'];
+  }
+  if (appointmentAt(booking) <= now) {
+    return ['skipped', 'Appointment has passed'];
+  }
+  if (now.getTime() - reminder.sendAt.toMillis() > remindersConfig.maxLateMinutes * 60 * 1000) {
+    return ['skipped', `More than ${remindersConfig.maxLateMinutes} minutes late`];
+  }
+  return null;
+};
+
+/**
+ * Take a due reminder for sending. Resolves with { outcome } where outcome
+ * is 'cancelled' or 'skipped' (recorded on the reminder), 'claimed' (with
+ * the reminder and booking) or null if another run has it.
+ */
+const claimReminder = (ref, now) => {
+  return repositories.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const reminder = doc.data();
+    const claimable = reminder && (reminder.status === 'scheduled' ||
+      (reminder.status === 'sending' && reminder.claimExpiresAt.toMillis() <= now.getTime()));
+    if (!claimable) {
+      return { outcome: null };
+    }
+
+    const booking = await repositories.bookings.get(reminder.bookingId, { transaction });
+    const blocked = checkDueReminder(reminder, booking, now);
+    if (blocked) {
+      transaction.update(ref, {
+        status: blocked[0],
+        statusReason: blocked[1],
+        updated_at: FieldValue.serverTimestamp()
+      });
+      return { outcome: blocked[0] };
+    }
+
+    transaction.update(ref, {
+      status: 'sending',
+      claimExpiresAt: Timestamp.fromMillis(now.getTime() + CLAIM_LEASE_MS),
+      updated_at: FieldValue.serverTimestamp()
+    });
+    return { outcome: 'claimed', reminder, booking };
+  });
+};
+
+// Send on every channel; the reminder is sent if any channel delivered or queued it
+const sendReminder = async (ref, reminder, booking) => {
+  const channels = {};
+  for (const channel of getChannels()) {
+    try {
+      channels[channel.name] = { ...(await channel.send(reminder, booking)), at: Timestamp.now() };
+    } catch (error) {
+      console.error(`Failed to send ${reminder.offset} reminder ${ref.id} by ${channel.name}:`, error.message);
+      channels[channel.name] = { status: 'failed', error: error.message, at: Timestamp.now() };
+    }
+  }
+
+  const states = Object.values(channels).map(result => result.status);
+  let status = 'failed';
+  if (states.some(state => ['sent', 'queued'].includes(state))) {
+    status = 'sent';
+  } else if (states.every(state => state === 'skipped')) {
+    status = 'skipped';
+  }
+
+  await ref.update({
+    status,
+    statusReason: status === 'skipped' ? 'No channel could reach the patient' : null,
+    channels,
+    claimExpiresAt: null,
+    ...(status === 'sent' ? { sent_at: FieldValue.serverTimestamp() } : {}),
+    updated_at: FieldValue.serverTimestamp()
+  });
+  return status;
+};
+
+/**
+ * Send the reminders that are due. Resolves with counts per outcome, e.g.
+ * { sent: 2, failed: 0, skipped: 0, cancelled: 1 }.
+ */
+const processDueReminders = async ({ now = new Date(), limit = remindersConfig.batchSize } = {}) => {
+  const snapshot = await db.collection(REMINDERS)
+    .where('status', 'in', ['scheduled', 'sending'])
+    .where('sendAt', '<=', Timestamp.fromDate(now))
+    .orderBy('sendAt')
+    .limit(limit)
+    .get();
+
+  const summary = { sent: 0, failed: 0, skipped: 0, cancelled: 0 };
+  for (const doc of snapshot.docs) {
+    const claim = await claimReminder(doc.ref, now);
+    if (!claim.outcome) continue;
+
+    const outcome = claim.outcome === 'claimed'
+      ? await sendReminder(doc.ref, claim.reminder, claim.booking)
+      : claim.outcome;
+    summary[outcome] += 1;
+  }
+  return summary;
+};
+
+/**
+ * Send due reminders every `intervalMs` inside this process. Runs never
+ * overlap. Returns a function that stops the schedule.
+ */
+const startReminderScheduler = (intervalMs = remindersConfig.intervalMs) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await processDueReminders();
+      if (Object.values(summary).some(count => count > 0)) {
+        console.log('⏰ Reminder scheduler:', summary);
+      }
+    } catch (error) {
+      console.error('Reminder scheduler run failed:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  console.log(`⏰ Reminder scheduler running every ${intervalMs} ms (${remindersConfig.channels.join(', ')})`);
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  loadReminders,
+  cancelReminders,
+  scheduleReminders,
+  listBookingReminders,
+  processDueReminders,
+  startReminderScheduler
+};
@@ -0,0 +1,140 @@
+/**
+ * Role management through Firebase custom claims
+ *
+ * Roles are boolean custom claims (`admin`, `doctor`, `patient`), the same
+ * claims `verifyRole` checks. Every change is written to the audit log.
+ */
+
+const admin = require('../config/firebase');
+const { ApiError } = require('../middleware/errorHandler');
+const { recordAudit } = require('./audit');
+const emailService = require('./email');
+const { clearTokenCache } = require('../middleware/auth');
+
+const ROLES = ['admin', 'doctor', 'patient'];
+
+const rolesFromClaims = (claims = {}) => ROLES.filter(role => claims[role] === true);
+
+const toUserSummary = (userRecord) => ({
+  uid: userRecord.uid,
+  email: userRecord.email || null,
+  displayName: userRecord.displayName || null,
+  disabled: userRecord.disabled,
+  roles: rolesFromClaims(userRecord.customClaims)
+});
+
+const actorSummary = (actor) => actor && { uid: actor.uid, email: actor.email || null };
+
+const assertRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw new ApiError(`role must be one of: ${ROLES.join(', ')}`, 400);
+  }
+};
+
+const getUserRecord = async (uid) => {
+  try {
+    return await admin.auth().getUser(uid);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      throw new ApiError('User not found', 404);
+    }
+    throw error;
+  }
+};
+
+// One page of Firebase Auth users with their roles
+const listUsers = async ({ limit = 100, pageToken } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+  const result = await admin.auth().listUsers(pageSize, pageToken || undefined);
+
+  return {
+    users: result.users.map(toUserSummary),
+    nextPageToken: result.pageToken || null
+  };
+};
+
+/**
+ * Grant or revoke a role. Role checks read claims from the ID token, so users
+ * pick up a granted role the next time their token refreshes. Revoking also
+ * revokes the user's refresh tokens: with AUTH_CHECK_REVOKED=true existing
+ * tokens stop working immediately, otherwise within the hour they stay valid.
+ */
+const setRole = async (uid, role, enabled, { actor = null, req = null } = {}) => {
+  assertRole(role);
+
+  if (!enabled && role === 'admin' && actor && actor.uid === uid) {
+    throw new ApiError('Admins cannot revoke their own admin role', 400);
+  }
+
+  const userRecord = await getUserRecord(uid);
+  const claims = { ...(userRecord.customClaims || {}) };
+  if (enabled) {
+    claims[role] = true;
+  } else {
+    delete claims[role];
+  }
+
+  await admin.auth().setCustomUserClaims(uid, claims);
+  if (!enabled) {
+    await admin.auth().revokeRefreshTokens(uid);
+    clearTokenCache(uid);
+  }
+
+  await recordAudit({
+    action: enabled ? 'role.granted' : 'role.revoked',
+    actor: actorSummary(actor),
+    target: { uid, email: userRecord.email || null },
+    details: { role },
+    req
+  });
+
+  return toUserSummary({ ...userRecord, customClaims: claims });
+};
+
+/**
+ * Invite a doctor by email: creates the account if needed, grants the
+ * doctor role and emails them a password setup link. The link is a
+ * credential, so it only goes out in the email, never in the response.
+ */
+const inviteDoctor = async ({ email, displayName }, { actor = null, req = null } = {}) => {
+  let userRecord;
+  let created = false;
+
+  try {
+    userRecord = await admin.auth().getUserByEmail(email);
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') throw error;
+    userRecord = await admin.auth().createUser({ email, displayName, emailVerified: false });
+    created = true;
+  }
+
+  await setRole(userRecord.uid, 'doctor', true, { actor, req });
+  const inviteLink = await admin.auth().generatePasswordResetLink(email);
+
+  const queued = await emailService.enqueueEmail({
+    template: 'doctor_invite',
+    to: email,
+    data: { patientName: displayName || userRecord.displayName || null, inviteLink }
+  });
+  if (!queued) {
+    throw new ApiError('Email is disabled; the invite could not be sent', 503);
+  }
+
+  await recordAudit({
+    action: 'doctor.invited',
+    actor: actorSummary(actor),
+    target: { uid: userRecord.uid, email },
+    details: { created },
+    req
+  });
+
+  return { uid: userRecord.uid, created, invited: true };
+};
+
+module.exports = {
+  ROLES,
+  rolesFromClaims,
+  listUsers,
+  setRole,
+  inviteDoctor
+};
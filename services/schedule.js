@@ -0,0 +1,277 @@
+/**
+ * Doctor schedules and slot availability
+ *
+ * A schedule lives in `doctor_schedules/{doctorId}`:
+ *   {
+ *     weeklyHours: { monday: [{ start: '09:00', end: '17:00' }], ... },
+ *     breaks: [{ start: '12:00', end: '13:00', days: ['monday'] }], // days optional
+ *     holidays: ['2025-08-17'],
+ *     slotInterval: 30,
+ *     slotDurations: { default: 30, 'Scaling': 60 }
+ *   }
+ *
+ * Reserved time is stored in `doctor_slots`, one lock document per slot interval
+ * a booking covers. Overlapping bookings therefore collide on the same document,
+ * which is what makes reservation safe inside a Firestore transaction.
+ */
+
+const { db, FieldValue } = require('../repositories/database');
+const clinicConfig = require('../config/clinic');
+const { ApiError } = require('../middleware/errorHandler');
+const {
+  DAY_NAMES,
+  isValidDate,
+  isValidTime,
+  parseTime,
+  formatTime,
+  addDays,
+  diffDays,
+  dayName,
+  clinicNow
+} = require('../utils/time');
+
+// Validate and normalize a list of { start, end } time ranges
+const normalizeRanges = (ranges, field) => {
+  if (!Array.isArray(ranges)) {
+    throw new ApiError(`${field} must be an array`, 400);
+  }
+
+  return ranges.map((range) => {
+    if (!range || !isValidTime(range.start) || !isValidTime(range.end)) {
+      throw new ApiError(`${field} entries need start and end in HH:mm format`, 400);
+    }
+    if (parseTime(range.start) >= parseTime(range.end)) {
+      throw new ApiError(`${field} entries must start before they end`, 400);
+    }
+    return { start: range.start, end: range.end };
+  });
+};
+
+// Validate a schedule payload from the admin API
+const normalizeSchedule = (input) => {
+  if (!input || typeof input !== 'object') {
+    throw new ApiError('Schedule body is required', 400);
+  }
+
+  const weeklyHours = {};
+  for (const day of DAY_NAMES) {
+    weeklyHours[day] = normalizeRanges((input.weeklyHours || {})[day] || [], `weeklyHours.${day}`);
+  }
+
+  const breaks = normalizeRanges(input.breaks || [], 'breaks').map((range, index) => {
+    const days = input.breaks[index].days;
+    if (days === undefined) return range;
+    if (!Array.isArray(days) || !days.every(day => DAY_NAMES.includes(day))) {
+      throw new ApiError('breaks[].days must be a list of day names', 400);
+    }
+    return { ...range, days };
+  });
+
+  const holidays = input.holidays || [];
+  if (!Array.isArray(holidays) || !holidays.every(isValidDate)) {
+    throw new ApiError('holidays must be a list of YYYY-MM-DD dates', 400);
+  }
+
+  const slotInterval = input.slotInterval || clinicConfig.schedule.slotInterval;
+  if (!Number.isInteger(slotInterval) || slotInterval < 5 || slotInterval > 240) {
+    throw new ApiError('slotInterval must be a whole number of minutes between 5 and 240', 400);
+  }
+
+  const slotDurations = {
+    default: clinicConfig.schedule.defaultSlotDuration,
+    ...(input.slotDurations || {})
+  };
+  for (const [serviceType, minutes] of Object.entries(slotDurations)) {
+    if (!Number.isInteger(minutes) || minutes <= 0 || minutes % slotInterval !== 0) {
+      throw new ApiError(`slotDurations.${serviceType} must be a multiple of slotInterval`, 400);
+    }
+  }
+
+  return {
+    weeklyHours,
+    breaks,
+    holidays: [...new Set(holidays)].sort(),
+    slotInterval,
+    slotDurations
+  };
+};
+
+const getSchedule = async (doctorId) => {
+  const scheduleDoc = await db.collection('doctor_schedules').doc(doctorId).get();
+  return scheduleDoc.exists ? scheduleDoc.data() : null;
+};
+
+const saveSchedule = async (doctorId, input) => {
+  const schedule = {
+    doctorId,
+    ...normalizeSchedule(input),
+    updatedAt: FieldValue.serverTimestamp()
+  };
+  await db.collection('doctor_schedules').doc(doctorId).set(schedule);
+  return schedule;
+};
+
+// Appointment length in minutes for a service type. A doctor-specific length
+// wins over the catalog duration, which wins over the schedule default.
+const getSlotDuration = (schedule, serviceType, catalogDuration) => {
+  const durations = schedule.slotDurations || {};
+  return durations[serviceType] ||
+    catalogDuration ||
+    durations.default ||
+    clinicConfig.schedule.defaultSlotDuration;
+};
+
+// Start times (in minutes) that fit a visit of the given length on a date
+const generateSlots = (schedule, date, duration) => {
+  if ((schedule.holidays || []).includes(date)) return [];
+
+  const day = dayName(date);
+  const interval = schedule.slotInterval || clinicConfig.schedule.slotInterval;
+  const breaks = (schedule.breaks || [])
+    .filter(range => !range.days || range.days.includes(day))
+    .map(range => ({ start: parseTime(range.start), end: parseTime(range.end) }));
+
+  const slots = [];
+  for (const window of (schedule.weeklyHours || {})[day] || []) {
+    const windowEnd = parseTime(window.end);
+    for (let start = parseTime(window.start); start + duration <= windowEnd; start += interval) {
+      const end = start + duration;
+      const overlapsBreak = breaks.some(range => start < range.end && end > range.start);
+      if (!overlapsBreak) slots.push(start);
+    }
+  }
+  return slots;
+};
+
+// Lock document ids for every interval a visit covers
+const getSlotIds = (doctorId, date, start, duration, interval) => {
+  const ids = [];
+  for (let minute = start; minute < start + duration; minute += interval) {
+    ids.push(`${doctorId}_${date}_${formatTime(minute).replace(':', '')}`);
+  }
+  return ids;
+};
+
+const isPast = (date, minutes, now = clinicNow()) => {
+  return date < now.date || (date === now.date && minutes <= now.minutes);
+};
+
+// Free slots for a doctor between two dates (inclusive)
+const getAvailability = async (doctorId, { from, to, serviceType, catalogDuration }) => {
+  if (!isValidDate(from) || !isValidDate(to)) {
+    throw new ApiError('from and to must be dates in YYYY-MM-DD format', 400);
+  }
+
+  const days = diffDays(from, to);
+  if (days < 0) {
+    throw new ApiError('from must not be after to', 400);
+  }
+  if (days >= clinicConfig.schedule.maxAvailabilityDays) {
+    throw new ApiError(`Date range cannot exceed ${clinicConfig.schedule.maxAvailabilityDays} days`, 400);
+  }
+
+  const schedule = await getSchedule(doctorId);
+  if (!schedule) {
+    throw new ApiError('Doctor schedule not found', 404);
+  }
+
+  const interval = schedule.slotInterval || clinicConfig.schedule.slotInterval;
+  const duration = getSlotDuration(schedule, serviceType, catalogDuration);
+
+  // Load every reserved interval in the range once
+  const reservedSnapshot = await db.collection('doctor_slots')
+    .where('doctorId', '==', doctorId)
+    .where('date', '>=', from)
+    .where('date', '<=', to)
+    .get();
+
+  const reserved = new Set();
+  reservedSnapshot.forEach(doc => reserved.add(doc.id));
+
+  const now = clinicNow();
+  const result = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const slots = generateSlots(schedule, date, duration)
+      .filter(start => !isPast(date, start, now))
+      .filter(start => getSlotIds(doctorId, date, start, duration, interval).every(id => !reserved.has(id)))
+      .map(formatTime);
+
+    result.push({ date, slots });
+  }
+
+  return {
+    doctorId,
+    serviceType: serviceType || null,
+    duration,
+    days: result
+  };
+};
+
+/**
+ * Reserve a slot inside a Firestore transaction.
+ * Performs all of its reads before writing, so callers may only add writes
+ * to the transaction after this resolves. Locks already held by `bookingId`
+ * count as free, which lets a booking move into overlapping time.
+ */
+const reserveSlot = async (transaction, { doctorId, date, time, serviceType, catalogDuration, bookingId }) => {
+  if (!isValidDate(date) || !isValidTime(time)) {
+    throw new ApiError('appointmentDate must be YYYY-MM-DD and appointmentTime HH:mm', 400);
+  }
+
+  const scheduleDoc = await transaction.get(db.collection('doctor_schedules').doc(doctorId));
+  if (!scheduleDoc.exists) {
+    throw new ApiError('Doctor schedule not found', 404);
+  }
+  const schedule = scheduleDoc.data();
+
+  const start = parseTime(time);
+  const interval = schedule.slotInterval || clinicConfig.schedule.slotInterval;
+  const duration = getSlotDuration(schedule, serviceType, catalogDuration);
+
+  if (isPast(date, start)) {
+    throw new ApiError('Appointment time has already passed', 400);
+  }
+  if (!generateSlots(schedule, date, duration).includes(start)) {
+    throw new ApiError('Doctor is not available at the requested time', 400);
+  }
+
+  const slotIds = getSlotIds(doctorId, date, start, duration, interval);
+  const slotRefs = slotIds.map(id => db.collection('doctor_slots').doc(id));
+  const slotDocs = await transaction.getAll(...slotRefs);
+
+  if (slotDocs.some(doc => doc.exists && doc.data().bookingId !== bookingId)) {
+    throw new ApiError('The requested slot is already booked', 409);
+  }
+
+  slotRefs.forEach((ref, index) => {
+    transaction.set(ref, {
+      doctorId,
+      date,
+      time: formatTime(start + index * interval),
+      bookingId,
+      createdAt: FieldValue.serverTimestamp()
+    });
+  });
+
+  return { duration, slotIds };
+};
+
+// Release the slot locks held by a booking, except those listed in keepIds (transaction write only)
+const releaseSlots = (transaction, booking, keepIds = []) => {
+  for (const id of booking.slotIds || []) {
+    if (!keepIds.includes(id)) {
+      transaction.delete(db.collection('doctor_slots').doc(id));
+    }
+  }
+};
+
+module.exports = {
+  normalizeSchedule,
+  getSchedule,
+  saveSchedule,
+  getSlotDuration,
+  generateSlots,
+  getAvailability,
+  reserveSlot,
+  releaseSlots
+};
@@ -0,0 +1,237 @@
+/**
+ * Tagihan (bills) listing, billing history and payment attempts
+ */
+
+const { db, Timestamp } = require('../repositories/database');
+const repositories = require('../repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const { PAID_STATUSES } = require('./invoice');
+const { isValidDate, addDays, diffDays, toClinicDate } = require('../utils/time');
+
+// Status filters; each matches the stored statuses below (new tagihan start as 'pending')
+const TAGIHAN_STATUSES = ['unpaid', 'partially_paid', 'Berhasil', 'failed', 'expired', 'refunded'];
+const STORED_STATUSES = {
+  unpaid: ['pending', 'unpaid'],
+  partially_paid: ['partially_paid'],
+  Berhasil: ['Berhasil'],
+  failed: ['failed'],
+  expired: ['expired'],
+  refunded: ['refunded']
+};
+const VIEWS = ['basic', 'full'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Stored status -> the filter status it is listed and totalled under
+const filterStatusOf = (status) => {
+  return TAGIHAN_STATUSES.find(filter => STORED_STATUSES[filter].includes(status)) || status;
+};
+
+// 'unpaid,Berhasil' -> stored statuses to query, or null for all
+const parseStatuses = (status) => {
+  if (!status) return null;
+
+  const filters = String(status).split(',').map(value => value.trim()).filter(Boolean);
+  const invalid = filters.find(filter => !TAGIHAN_STATUSES.includes(filter));
+  if (invalid || filters.length === 0) {
+    throw new ApiError(`status must be one or more of: ${TAGIHAN_STATUSES.join(', ')}`, 400);
+  }
+  return [...new Set(filters.flatMap(filter => STORED_STATUSES[filter]))];
+};
+
+// Count and amount per filter status
+const summarize = (rows) => {
+  const totals = { count: 0, amount: 0, byStatus: {} };
+  for (const { status, amount } of rows) {
+    const key = filterStatusOf(status);
+    const entry = totals.byStatus[key] || { count: 0, amount: 0 };
+    entry.count += 1;
+    entry.amount += Number(amount) || 0;
+    totals.byStatus[key] = entry;
+    totals.count += 1;
+    totals.amount += Number(amount) || 0;
+  }
+  return totals;
+};
+
+// Tagihan joined with its booking and a summary of its latest payment transaction
+const withDetails = async (tagihan) => {
+  const [booking, transaction] = await Promise.all([
+    tagihan.bookingId ? repositories.bookings.get(tagihan.bookingId) : null,
+    repositories.transactions.get(tagihan.currentOrderId || tagihan.orderId || tagihan.id)
+  ]);
+
+  return {
+    ...tagihan,
+    booking: booking && {
+      bookingId: booking.bookingId,
+      doctorId: booking.doctorId,
+      serviceType: booking.serviceType,
+      serviceName: booking.serviceName || null,
+      appointmentDate: booking.appointmentDate,
+      appointmentTime: booking.appointmentTime,
+      status: booking.status
+    },
+    transaction: transaction && {
+      orderId: transaction.orderId || null,
+      amount: transaction.amount,
+      status: transaction.status,
+      paymentStatus: transaction.paymentStatus,
+      payment_type: transaction.midtrans_status?.payment_type || transaction.payment_type || null,
+      // Only while it can still be paid
+      payment_url: transaction.paymentStatus === 'unpaid' ? transaction.payment_url || null : null,
+      expires_at: transaction.expires_at || null,
+      updated_at: transaction.updated_at || null
+    }
+  };
+};
+
+/**
+ * One page of tagihan, newest first by default. Patients only see their
+ * own; admins see everyone's or one patient's with `userId`. `from`/`to` are
+ * clinic dates (inclusive) of creation. `view=full` joins booking and
+ * transaction. With `withTotals`, the first page also sums up every tagihan
+ * matching the filters; that reads all of them, so it is opt-in and skipped
+ * for later pages.
+ */
+const listTagihan = async ({
+  user,
+  userId,
+  status,
+  from,
+  to,
+  order = 'desc',
+  limit = DEFAULT_PAGE_SIZE,
+  cursor,
+  view = 'basic',
+  withTotals = false
+}) => {
+  const isAdmin = user.admin === true;
+  if (!isAdmin && userId && userId !== user.uid) {
+    throw new ApiError('Access denied', 403);
+  }
+  const ownerId = isAdmin ? userId || null : user.uid;
+
+  const statuses = parseStatuses(status);
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    throw new ApiError('from and to must be dates in YYYY-MM-DD format', 400);
+  }
+  if (from && to && diffDays(from, to) < 0) {
+    throw new ApiError('from must not be after to', 400);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    throw new ApiError('order must be asc or desc', 400);
+  }
+  if (!VIEWS.includes(view)) {
+    throw new ApiError(`view must be one of: ${VIEWS.join(', ')}`, 400);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  if (cursor) {
+    const cursorTagihan = await repositories.tagihan.get(cursor);
+    if (!cursorTagihan || (ownerId && cursorTagihan.userId !== ownerId)) {
+      throw new ApiError('Invalid cursor', 400);
+    }
+  }
+
+  const filters = {
+    userId: ownerId,
+    statuses,
+    from: from ? Timestamp.fromDate(toClinicDate(from)) : null,
+    to: to ? Timestamp.fromDate(toClinicDate(addDays(to, 1))) : null
+  };
+  const [page, amounts] = await Promise.all([
+    repositories.tagihan.list({ ...filters, order, limit: pageSize, cursor }),
+    withTotals && !cursor ? repositories.tagihan.listAmounts(filters) : null
+  ]);
+
+  const tagihan = view === 'full' ? await Promise.all(page.tagihan.map(withDetails)) : page.tagihan;
+
+  return {
+    tagihan,
+    nextCursor: page.nextCursor,
+    totals: amounts && summarize(amounts)
+  };
+};
+
+// Midtrans notifications received for one payment attempt, oldest first
+const attemptNotifications = async (orderId) => {
+  const snapshot = await db.collection('payment_events').where('orderId', '==', orderId).get();
+  return snapshot.docs
+    .map(doc => doc.data())
+    .sort((a, b) => a.received_at.toMillis() - b.received_at.toMillis())
+    .map(event => ({
+      eventId: event.eventId,
+      transactionStatus: event.transactionStatus,
+      source: event.source,
+      outcome: event.outcome,
+      duplicateCount: event.duplicateCount || 0,
+      received_at: event.received_at,
+      payload: event.payload
+    }));
+};
+
+/**
+ * Payment attempts of a tagihan, first attempt first, each with its status
+ * timeline and the raw Midtrans notifications received for it. Only the
+ * patient who owns the tagihan and admins may see them.
+ */
+const listAttempts = async (tagihanId, user) => {
+  const tagihan = await repositories.tagihan.get(tagihanId);
+  if (!tagihan) {
+    throw new ApiError('Tagihan not found', 404);
+  }
+  if (user.admin !== true && tagihan.userId !== user.uid) {
+    throw new ApiError('Access denied', 403);
+  }
+
+  const transactions = await repositories.transactions.findByTagihanId(tagihanId);
+  // Transactions created before attempts were tracked carry no tagihanId
+  if (!transactions.some(transaction => transaction.id === tagihanId)) {
+    const first = await repositories.transactions.get(tagihanId);
+    if (first) transactions.unshift({ id: tagihanId, ...first });
+  }
+
+  const currentOrderId = tagihan.currentOrderId || tagihanId;
+  const isPaid = PAID_STATUSES.includes(tagihan.status);
+  const attempts = await Promise.all(transactions.map(async (transaction) => {
+    const current = transaction.id === currentOrderId;
+    return {
+      orderId: transaction.id,
+      attempt: transaction.attempt || 1,
+      current,
+      amount: transaction.amount,
+      payment_type: transaction.midtrans_status?.payment_type || transaction.payment_type || null,
+      status: transaction.status,
+      paymentStatus: transaction.paymentStatus,
+      // Only while it can still be paid
+      payment_url: current && transaction.paymentStatus === 'unpaid' ? transaction.payment_url || null : null,
+      expires_at: transaction.expires_at || null,
+      supersededBy: transaction.supersededBy || null,
+      created_at: transaction.created_at || null,
+      updated_at: transaction.updated_at || null,
+      timeline: transaction.statusHistory || [],
+      notifications: await attemptNotifications(transaction.id)
+    };
+  }));
+
+  return {
+    tagihanId,
+    status: tagihan.status,
+    amount: tagihan.amount,
+    depositAmount: tagihan.depositAmount ?? tagihan.amount,
+    // Tagihan from before part payments carry no balance
+    paidAmount: tagihan.paidAmount ?? (isPaid ? tagihan.amount : 0),
+    outstandingAmount: tagihan.outstandingAmount ?? (isPaid ? 0 : tagihan.amount),
+    currentOrderId,
+    paidOrderId: tagihan.paidOrderId || null,
+    attempts
+  };
+};
+
+module.exports = {
+  TAGIHAN_STATUSES,
+  listTagihan,
+  listAttempts
+};
@@ -0,0 +1,299 @@
+/**
+ * Treatment plans
+ *
+ * A treatment spanning several visits, like a root canal, is planned in
+ * `treatment_plans/{planId}`: the patient, the doctor and ordered steps,
+ * each a catalog service priced when the plan is made. The step prices add
+ * up to `estimatedTotal`. Every step is booked as its own visit, a booking
+ * carrying `planId` and `planStep`. Steps are booked in order, and a step is
+ * completed when its visit is.
+ *
+ * A plan is billed per visit, each booking paid like any other, or
+ * consolidated: one tagihan for the estimated total under the plan's id.
+ * Paying that tagihan (at least its deposit) confirms the plan's visits; see
+ * services/payment and services/notification.
+ */
+
+const { FieldValue, Timestamp } = require('../repositories/database');
+const repositories = require('../repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const catalogService = require('./catalog');
+const { isValidEmail, normalizePhone } = require('../utils/validation');
+const { PAID_STATUSES } = require('./invoice');
+
+const BILLING_MODES = ['per_visit', 'consolidated'];
+const MAX_STEPS = 10;
+
+// Visits that hold their step; a cancelled or missed visit leaves the step to be booked again
+const OPEN_VISIT_STATUSES = ['pending', 'confirmed', 'checked_in'];
+
+// Roles the user holds with respect to a particular plan
+const planRoles = (user, plan) => {
+  const roles = [];
+  if (user.admin === true) roles.push('admin');
+  if (user.doctor === true && plan.doctorId === user.uid) roles.push('doctor');
+  if (plan.pasienId === user.uid) roles.push('patient');
+  return roles;
+};
+
+// 'planned' until booked, 'scheduled' while its visit is open, then 'completed'
+const stepStatus = (step, visit) => {
+  if (step.status === 'completed') return 'completed';
+  return visit && OPEN_VISIT_STATUSES.includes(visit.status) ? 'scheduled' : 'planned';
+};
+
+const normalizeSteps = async (steps) => {
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) {
+    throw new ApiError(`steps must be a list of 1 to ${MAX_STEPS} procedures`, 400);
+  }
+
+  return Promise.all(steps.map(async (step, index) => {
+    if (!step || !step.serviceType) {
+      throw new ApiError(`steps[${index}].serviceType is required`, 400);
+    }
+    if (step.notes !== undefined && step.notes !== null && typeof step.notes !== 'string') {
+      throw new ApiError(`steps[${index}].notes must be a string`, 400);
+    }
+
+    const service = await catalogService.getActiveService(step.serviceType);
+    const price = catalogService.priceService(service);
+    return {
+      step: index + 1,
+      serviceType: service.code,
+      serviceName: service.name,
+      estimatedAmount: price.amount,
+      depositAmount: price.depositAmount,
+      notes: step.notes || null,
+      status: 'planned',
+      // The latest visit booked for the step, and every one that was
+      bookingId: null,
+      bookingIds: [],
+      completedAt: null
+    };
+  }));
+};
+
+/**
+ * Create a treatment plan for a patient. Only admins and the doctor the
+ * plan is for may create one. Staff can give the patient's contact details
+ * for the visits they book on the patient's behalf.
+ */
+const createPlan = async (input, user) => {
+  const { patientId, doctorId, title, notes, steps, billing = 'per_visit', patientEmail, patientName, patientPhone } = input;
+
+  if (user.admin !== true && !(user.doctor === true && doctorId === user.uid)) {
+    throw new ApiError('Only admins and the treating doctor may create treatment plans', 403);
+  }
+  if (!patientId || !doctorId || !title) {
+    throw new ApiError('patientId, doctorId and title are required', 400);
+  }
+  if (typeof title !== 'string' || title.trim().length > 200) {
+    throw new ApiError('title must be a string of at most 200 characters', 400);
+  }
+  if (!BILLING_MODES.includes(billing)) {
+    throw new ApiError(`billing must be one of: ${BILLING_MODES.join(', ')}`, 400);
+  }
+  if (patientEmail && !isValidEmail(patientEmail)) {
+    throw new ApiError('patientEmail must be a valid email address', 400);
+  }
+  const phone = normalizePhone(patientPhone);
+  if (patientPhone && !phone) {
+    throw new ApiError('patientPhone must be a valid Indonesian phone number', 400);
+  }
+
+  const planSteps = await normalizeSteps(steps);
+  const planId = `PLAN-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+
+  const plan = {
+    planId,
+    pasienId: patientId,
+    doctorId,
+    title: title.trim(),
+    notes: notes || null,
+    billing,
+    patientEmail: patientEmail || null,
+    patientName: patientName || null,
+    patientPhone: phone,
+    steps: planSteps,
+    estimatedTotal: planSteps.reduce((sum, step) => sum + step.estimatedAmount, 0),
+    depositAmount: planSteps.reduce((sum, step) => sum + step.depositAmount, 0),
+    status: 'active',
+    createdBy: { uid: user.uid, role: user.admin === true ? 'admin' : 'doctor' },
+    created_at: FieldValue.serverTimestamp(),
+    updated_at: FieldValue.serverTimestamp()
+  };
+
+  await repositories.treatmentPlans.create(planId, plan);
+  return plan;
+};
+
+// Plan with each step's visit and the step status that follows from it
+const withVisits = async (plan) => {
+  const steps = await Promise.all(plan.steps.map(async (step) => {
+    const visit = step.bookingId ? await repositories.bookings.get(step.bookingId) : null;
+    return {
+      ...step,
+      status: stepStatus(step, visit),
+      visit: visit && {
+        bookingId: visit.bookingId,
+        appointmentDate: visit.appointmentDate,
+        appointmentTime: visit.appointmentTime,
+        status: visit.status,
+        paymentStatus: visit.paymentStatus
+      }
+    };
+  }));
+
+  return {
+    ...plan,
+    steps,
+    completedSteps: steps.filter(step => step.status === 'completed').length
+  };
+};
+
+/**
+ * A plan with its visits, for the patient, the plan's doctor and admins.
+ */
+const getPlan = async (planId, user) => {
+  const plan = await repositories.treatmentPlans.get(planId);
+  if (!plan) {
+    throw new ApiError('Treatment plan not found', 404);
+  }
+  if (planRoles(user, plan).length === 0) {
+    throw new ApiError('Access denied', 403);
+  }
+  return withVisits(plan);
+};
+
+/**
+ * Plans newest first: a patient's own, a doctor's own, or for admins those
+ * of the patient or doctor asked for.
+ */
+const listPlans = async (user, { patientId, doctorId } = {}) => {
+  let field = 'pasienId';
+  let value = user.uid;
+  if (user.admin === true) {
+    if (!patientId && !doctorId) {
+      throw new ApiError('patientId or doctorId is required', 400);
+    }
+    [field, value] = patientId ? ['pasienId', patientId] : ['doctorId', doctorId];
+  } else if (user.doctor === true) {
+    field = 'doctorId';
+  }
+
+  return repositories.treatmentPlans.findBy(field, value, { orderBy: 'created_at', direction: 'desc' });
+};
+
+// The plan of a visit, read inside the booking's Firestore transaction
+const loadPlan = async (transaction, planId) => {
+  if (!planId) return null;
+
+  const plan = await repositories.treatmentPlans.get(planId, { transaction });
+  if (!plan) {
+    throw new ApiError('Treatment plan not found', 404);
+  }
+  return plan;
+};
+
+/**
+ * Check inside `transaction` that step `stepNo` of the plan can be booked
+ * at `appointmentDate`/`appointmentTime`: the step is neither booked nor
+ * completed, every earlier step is, and the visit comes after the previous
+ * step's. Reads the steps' visits, so call it before the transaction writes.
+ */
+const assertStepBookable = async (transaction, plan, stepNo, { appointmentDate, appointmentTime }) => {
+  if (plan.status !== 'active') {
+    throw new ApiError(`Cannot book a visit for a treatment plan that is ${plan.status}`, 409);
+  }
+
+  const index = plan.steps.findIndex(step => step.step === stepNo);
+  if (index === -1) {
+    throw new ApiError('Treatment plan step not found', 404);
+  }
+
+  const visits = await Promise.all(plan.steps.slice(0, index + 1).map((step) => {
+    return step.bookingId ? repositories.bookings.get(step.bookingId, { transaction }) : null;
+  }));
+
+  const status = stepStatus(plan.steps[index], visits[index]);
+  if (status !== 'planned') {
+    throw new ApiError(`Step ${stepNo} is already ${status}`, 409);
+  }
+
+  const unbooked = plan.steps.slice(0, index).find((step, i) => stepStatus(step, visits[i]) === 'planned');
+  if (unbooked) {
+    throw new ApiError(`Step ${unbooked.step} must be booked first`, 409);
+  }
+
+  // Zero-padded dates and times compare as strings
+  const previous = visits[index - 1];
+  if (previous && `${appointmentDate} ${appointmentTime}` <= `${previous.appointmentDate} ${previous.appointmentTime}`) {
+    throw new ApiError(`Step ${stepNo} must come after step ${stepNo - 1} on ${previous.appointmentDate} ${previous.appointmentTime}`, 400);
+  }
+
+  return plan.steps[index];
+};
+
+// Link a new visit to its step, after the transaction's reads
+const linkVisit = async (transaction, plan, stepNo, bookingId) => {
+  const steps = plan.steps.map((step) => {
+    if (step.step !== stepNo) return step;
+    return { ...step, bookingId, bookingIds: [...(step.bookingIds || []), bookingId] };
+  });
+  await repositories.treatmentPlans.update(plan.planId, {
+    steps,
+    updated_at: FieldValue.serverTimestamp()
+  }, { transaction });
+};
+
+/**
+ * Record a visit's new booking status on its plan, after the transaction's
+ * reads. Completing the visit completes its step, and the plan once every
+ * step is; other statuses are read from the visit itself.
+ */
+const recordVisitStatus = async (transaction, plan, booking, status) => {
+  if (!plan || status !== 'completed') return;
+
+  // Server timestamps can't go inside arrays
+  const now = Timestamp.now();
+  const steps = plan.steps.map((step) => {
+    if (step.bookingId !== booking.bookingId) return step;
+    return { ...step, status: 'completed', completedAt: now };
+  });
+
+  const update = { steps, updated_at: FieldValue.serverTimestamp() };
+  if (steps.every(step => step.status === 'completed')) {
+    update.status = 'completed';
+    update.completedAt = now;
+  }
+  await repositories.treatmentPlans.update(plan.planId, update, { transaction });
+};
+
+/**
+ * Payment fields of a visit paid through its plan's consolidated tagihan,
+ * and whether enough was paid to confirm it.
+ */
+const planPaymentOf = (tagihan) => {
+  if (!tagihan) {
+    return { paymentStatus: 'unpaid', tagihanStatus: 'unpaid', depositPaid: false };
+  }
+
+  const status = tagihan.status === 'pending' ? 'unpaid' : tagihan.status;
+  const depositPaid = PAID_STATUSES.includes(tagihan.status) ||
+    (tagihan.paidAmount || 0) >= (tagihan.depositAmount ?? tagihan.amount);
+  return { paymentStatus: status, tagihanStatus: status, depositPaid: depositPaid && tagihan.status !== 'refunded' };
+};
+
+module.exports = {
+  BILLING_MODES,
+  OPEN_VISIT_STATUSES,
+  planRoles,
+  createPlan,
+  getPlan,
+  listPlans,
+  loadPlan,
+  assertStepBookable,
+  linkVisit,
+  recordVisitStatus,
+  planPaymentOf
+};
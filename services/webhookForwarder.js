@@ -0,0 +1,57 @@
+/**
+ * Fan-out of Midtrans notifications to downstream environments
+ */
+
+const webhookConfig = require('../config/webhook');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// POST the notification to one URL, retrying with exponential backoff
+const forwardTo = async (url, notification) => {
+  let delay = webhookConfig.forwardRetryDelay;
+
+  for (let attempt = 1; attempt <= webhookConfig.forwardRetries; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          [webhookConfig.forwardedHeader]: 'true'
+        },
+        body: JSON.stringify(notification),
+        signal: AbortSignal.timeout(webhookConfig.forwardTimeout)
+      });
+
+      if (response.ok) {
+        console.log(`Forwarded notification ${notification.order_id} to ${url}`);
+        return { url, success: true, attempts: attempt };
+      }
+      console.warn(`Forwarding to ${url} failed with status ${response.status} (attempt ${attempt})`);
+    } catch (error) {
+      console.warn(`Forwarding to ${url} failed (attempt ${attempt}):`, error.message);
+    }
+
+    if (attempt < webhookConfig.forwardRetries) {
+      await sleep(delay);
+      delay *= 2;
+    }
+  }
+
+  console.error(`Giving up forwarding notification ${notification.order_id} to ${url}`);
+  return { url, success: false, attempts: webhookConfig.forwardRetries };
+};
+
+/**
+ * Forward a notification to every configured downstream URL.
+ * Requests that were themselves forwarded are not forwarded again.
+ */
+const forwardNotification = async (notification, req = null) => {
+  if (webhookConfig.forwardUrls.length === 0) return [];
+  if (req && req.get(webhookConfig.forwardedHeader)) return [];
+
+  return Promise.all(webhookConfig.forwardUrls.map(url => forwardTo(url, notification)));
+};
+
+module.exports = {
+  forwardNotification
+};
@@ -0,0 +1,205 @@
+/**
+ * End-to-end: booking, payment and Midtrans notification through the HTTP
+ * API, on the in-memory data store with local auth and a stubbed Midtrans.
+ */
+
+const { setupE2E, startServer, seedClinic } = require('../helpers/api');
+
+const { signToken } = setupE2E();
+
+jest.mock('../../config/midtrans', () => ({
+  midtransConfig: { serverKey: 'e2e-server-key' },
+  snap: {
+    createTransaction: jest.fn(),
+    // The webhook re-reads the status; echo the posted notification
+    transaction: { notification: jest.fn(async body => body) }
+  },
+  core: { transaction: { status: jest.fn(), refund: jest.fn() } }
+}));
+
+const { snap } = require('../../config/midtrans');
+const { db } = require('../../repositories/database');
+const { computeMidtransSignature } = require('../../utils/validation');
+const { addDays, clinicNow } = require('../../utils/time');
+const app = require('../../server');
+
+const tokens = {
+  admin: signToken({ uid: 'admin-1', roles: ['admin'] }),
+  patient: signToken({ uid: 'patient-1', email: 'pasien@example.com', roles: ['patient'] }),
+  otherPatient: signToken({ uid: 'patient-2', roles: ['patient'] })
+};
+
+const appointmentDate = addDays(clinicNow().date, 1);
+let api;
+
+const request = (method, path, options) => api.request(method, `/api${path}`, options);
+
+const notify = (orderId, transactionStatus, grossAmount, overrides = {}) => {
+  const notification = {
+    order_id: orderId,
+    transaction_id: `trx-${orderId}`,
+    transaction_status: transactionStatus,
+    status_code: transactionStatus === 'settlement' ? '200' : '201',
+    gross_amount: `${grossAmount}.00`,
+    payment_type: 'bank_transfer',
+    fraud_status: 'accept',
+    ...overrides
+  };
+  notification.signature_key = overrides.signature_key || computeMidtransSignature(
+    notification.order_id,
+    notification.status_code,
+    notification.gross_amount,
+    'e2e-server-key'
+  );
+  return request('POST', '/notification', { body: notification });
+};
+
+const createBooking = (appointmentTime, token = tokens.patient) => {
+  return request('POST', '/bookings', {
+    token,
+    body: { doctorId: 'doctor-1', appointmentDate, appointmentTime, serviceType: 'SCALING' }
+  });
+};
+
+const pay = (bookingId, orderId) => {
+  return request('POST', '/create-transaction', {
+    token: tokens.patient,
+    body: {
+      bookingId,
+      orderId,
+      customer_details: { name: 'Budi', email: 'pasien@example.com', phone: '081234567890' },
+      payment_type: 'bca_va'
+    }
+  });
+};
+
+beforeAll(async () => {
+  api = await startServer(app);
+  await seedClinic(api.request, tokens.admin);
+});
+
+afterAll(async () => {
+  await api.stop();
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  snap.createTransaction.mockReset();
+  snap.createTransaction.mockImplementation(async (payload) => ({
+    token: `snap-${payload.transaction_details.order_id}`,
+    redirect_url: `https://app.sandbox.midtrans.com/snap/v2/vtweb/snap-${payload.transaction_details.order_id}`
+  }));
+});
+
+describe('booking, payment and notification', () => {
+  it('books a slot, pays for it and confirms the booking on settlement', async () => {
+    const booking = await createBooking('10:00');
+    expect(booking.status).toBe(201);
+    expect(booking.body.data).toMatchObject({ status: 'pending', paymentStatus: 'unpaid', durationMinutes: 60 });
+    const { bookingId } = booking.body.data;
+
+    const clash = await createBooking('10:30', tokens.otherPatient);
+    expect(clash.status).toBe(409);
+
+    const payment = await pay(bookingId, 'ORDER-E2E-1');
+    expect(payment.status).toBe(201);
+    expect(payment.body.data.order.amount).toBe(222000);
+    expect(payment.body.data.transaction.token).toBe('snap-ORDER-E2E-1');
+    expect(snap.createTransaction.mock.calls[0][0].transaction_details).toEqual({
+      order_id: 'ORDER-E2E-1',
+      gross_amount: 222000
+    });
+
+    const again = await pay(bookingId, 'ORDER-E2E-1');
+    expect(again.status).toBe(200);
+    expect(snap.createTransaction).toHaveBeenCalledTimes(1);
+
+    const settled = await notify('ORDER-E2E-1', 'settlement', 222000);
+    expect(settled.status).toBe(200);
+    expect(settled.body.data.outcome).toBe('applied');
+
+    const duplicate = await notify('ORDER-E2E-1', 'settlement', 222000);
+    expect(duplicate.body.data.outcome).toBe('duplicate');
+
+    const stale = await notify('ORDER-E2E-1', 'pending', 222000);
+    expect(stale.body.data.outcome).toBe('stale');
+
+    const confirmed = await request('GET', `/bookings/${bookingId}`, { token: tokens.patient });
+    expect(confirmed.body.data).toMatchObject({ status: 'confirmed', paymentStatus: 'Berhasil' });
+    expect(confirmed.body.data.history.map(entry => entry.action)).toEqual(['confirm']);
+
+    const order = await request('GET', '/order/ORDER-E2E-1', { token: tokens.patient });
+    expect(order.body.data).toMatchObject({ paymentStatus: 'Berhasil', tagihan: { status: 'Berhasil' } });
+  });
+
+  it('cancels the booking and frees its slot when the payment expires', async () => {
+    const booking = await createBooking('14:00');
+    const { bookingId } = booking.body.data;
+    await pay(bookingId, 'ORDER-E2E-2');
+
+    const expired = await notify('ORDER-E2E-2', 'expire', 222000, { status_code: '407' });
+    expect(expired.body.data.outcome).toBe('applied');
+
+    const cancelled = await request('GET', `/bookings/${bookingId}`, { token: tokens.patient });
+    expect(cancelled.body.data).toMatchObject({ status: 'cancelled', paymentStatus: 'expired', slotIds: [] });
+
+    const availability = await request(
+      'GET',
+      `/doctors/doctor-1/availability?from=${appointmentDate}&to=${appointmentDate}&serviceType=SCALING`,
+      { token: tokens.patient }
+    );
+    expect(availability.body.data.days[0].slots).toContain('14:00');
+  });
+
+  it('rejects notifications with a bad signature or a wrong amount', async () => {
+    const booking = await createBooking('16:00');
+    await pay(booking.body.data.bookingId, 'ORDER-E2E-3');
+
+    const forged = await notify('ORDER-E2E-3', 'settlement', 222000, { signature_key: 'f'.repeat(128) });
+    expect(forged.status).toBe(403);
+
+    const underpaid = await notify('ORDER-E2E-3', 'settlement', 1000);
+    expect(underpaid.status).toBe(400);
+
+    const audit = Object.values(db.dump('audit_logs')).map(entry => entry.action);
+    expect(audit).toEqual(expect.arrayContaining(['notification.signature_rejected', 'notification.amount_mismatch']));
+
+    const unpaid = await request('GET', `/bookings/${booking.body.data.bookingId}`, { token: tokens.patient });
+    expect(unpaid.body.data).toMatchObject({ status: 'pending', paymentStatus: 'unpaid' });
+  });
+
+  it('keeps bookings private to their patient', async () => {
+    const booking = await createBooking('11:00');
+
+    const response = await request('GET', `/bookings/${booking.body.data.bookingId}`, { token: tokens.otherPatient });
+    expect(response.status).toBe(403);
+
+    const unauthenticated = await request('GET', '/bookings');
+    expect(unauthenticated.status).toBe(401);
+  });
+
+  it('lets only staff book for another patient', async () => {
+    const body = { doctorId: 'doctor-1', appointmentDate, appointmentTime: '12:00', serviceType: 'SCALING' };
+
+    const forbidden = await request('POST', '/bookings', {
+      token: tokens.otherPatient,
+      body: { ...body, patientId: 'patient-1', patientEmail: 'attacker@example.com' }
+    });
+    expect(forbidden.status).toBe(403);
+
+    // A patient's own booking is sent to the email in their token
+    const own = await request('POST', '/bookings', {
+      token: tokens.patient,
+      body: { ...body, patientId: 'patient-1', patientEmail: 'attacker@example.com' }
+    });
+    expect(own.status).toBe(201);
+    expect(own.body.data).toMatchObject({ pasienId: 'patient-1', patientEmail: 'pasien@example.com' });
+
+    const byStaff = await request('POST', '/bookings', {
+      token: tokens.admin,
+      body: { ...body, appointmentTime: '13:00', patientId: 'patient-2', patientEmail: 'patient2@example.com' }
+    });
+    expect(byStaff.status).toBe(201);
+    expect(byStaff.body.data).toMatchObject({ pasienId: 'patient-2', patientEmail: 'patient2@example.com' });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Booking and payment events queue emails to the patient, which the sender
+ * then delivers (console transport)
+ */
+
+const { setupE2E, startServer, seedClinic, waitFor } = require('../helpers/api');
+
+const { signToken } = setupE2E();
+
+const { midtransConfig } = require('../../config/midtrans');
+const { db } = require('../../repositories/database');
+const { processEmailQueue } = require('../../services/email');
+const { addDays, clinicNow } = require('../../utils/time');
+const app = require('../../server');
+
+const tokens = {
+  admin: signToken({ uid: 'admin-1', roles: ['admin'] }),
+  patient: signToken({ uid: 'patient-1', email: 'budi@example.com', name: 'Budi', roles: ['patient'] })
+};
+
+const appointmentDate = addDays(clinicNow().date, 3);
+let api;
+
+const book = async (appointmentTime, orderId, locale) => {
+  const booking = await api.request('POST', '/api/bookings', {
+    token: tokens.patient,
+    body: { doctorId: 'doctor-1', appointmentDate, appointmentTime, serviceType: 'SCALING', locale }
+  });
+  await api.request('POST', '/api/create-transaction', {
+    token: tokens.patient,
+    body: {
+      bookingId: booking.body.data.bookingId,
+      orderId,
+      customer_details: { name: 'Budi', email: 'budi@example.com', phone: '081234567890' }
+    }
+  });
+  return booking.body.data.bookingId;
+};
+
+// Queued emails about a booking, oldest first
+const emailsFor = (bookingId) => {
+  return Object.values(db.dump('email_outbox'))
+    .filter(email => email.data.bookingId === bookingId)
+    .sort((a, b) => a.created_at.toMillis() - b.created_at.toMillis());
+};
+
+beforeAll(async () => {
+  api = await startServer(app);
+  midtransConfig.simulator.baseUrl = `${api.baseUrl}/simulator`;
+  midtransConfig.simulator.webhookUrl = `${api.baseUrl}/api/notification`;
+  await seedClinic(api.request, tokens.admin);
+});
+
+afterAll(async () => {
+  await api.stop();
+  jest.restoreAllMocks();
+});
+
+describe('email notifications', () => {
+  it('emails every step of a paid, rescheduled and refunded booking', async () => {
+    const bookingId = await book('09:00', 'ORDER-MAIL-1', 'en');
+    await api.request('POST', '/simulator/transactions/ORDER-MAIL-1/settlement');
+    await api.request('POST', `/api/bookings/${bookingId}/reschedule`, {
+      token: tokens.patient,
+      body: { appointmentDate, appointmentTime: '14:00', reason: 'Ada rapat' }
+    });
+    await api.request('POST', `/api/bookings/${bookingId}/cancel`, {
+      token: tokens.patient,
+      body: { reason: 'Sakit' }
+    });
+    await waitFor(() => emailsFor(bookingId).length === 5);
+
+    const emails = emailsFor(bookingId);
+    expect(emails.map(email => email.template)).toEqual([
+      'booking_created',
+      'payment_succeeded',
+      'booking_rescheduled',
+      'booking_cancelled',
+      'refund_processed'
+    ]);
+    expect(emails.every(email => email.to === 'budi@example.com' && email.locale === 'en')).toBe(true);
+    expect(emails[1].data).toMatchObject({ orderId: 'ORDER-MAIL-1', amount: 222000, invoiceNumber: expect.stringMatching(/^INV\//) });
+    expect(emails[2].data).toMatchObject({ previousTime: '09:00', appointmentTime: '14:00', reason: 'Ada rapat' });
+    expect(emails[3].data).toMatchObject({ reason: 'Sakit', refundRequested: true });
+    expect(emails[4].data).toMatchObject({ refundAmount: 222000 });
+  });
+
+  it('emails expired payments in the default language', async () => {
+    const bookingId = await book('10:00', 'ORDER-MAIL-2');
+    await api.request('POST', '/simulator/transactions/ORDER-MAIL-2/expire');
+
+    expect(emailsFor(bookingId).map(email => [email.template, email.locale])).toEqual([
+      ['booking_created', 'id'],
+      ['payment_expired', 'id']
+    ]);
+  });
+
+  it('sends the queued emails', async () => {
+    const summary = await processEmailQueue();
+
+    expect(summary).toEqual({ sent: 7, retrying: 0, failed: 0 });
+    expect(Object.values(db.dump('email_outbox')).every(email => email.status === 'sent')).toBe(true);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('📧 Email to budi@example.com: [Klinik Gigi] Payment received'));
+  });
+});
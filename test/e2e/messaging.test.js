@@ -0,0 +1,185 @@
+/**
+ * Bookings and payments queue WhatsApp/SMS messages to the patient's E.164
+ * number; the mock provider writes them to disk and STOP replies opt out
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const mockDir = fs.mkdtempSync(path.join(os.tmpdir(), 'klinik-messages-'));
+
+const { setupE2E, startServer, seedClinic } = require('../helpers/api');
+
+const { signToken } = setupE2E({
+  MESSAGING_MOCK_DIR: mockDir,
+  WHATSAPP_APP_SECRET: 'app-secret',
+  WHATSAPP_VERIFY_TOKEN: 'verify-me'
+});
+
+const { midtransConfig } = require('../../config/midtrans');
+const { db } = require('../../repositories/database');
+const { processMessageQueue } = require('../../services/messaging');
+const { addDays, clinicNow } = require('../../utils/time');
+const app = require('../../server');
+
+const tokens = {
+  admin: signToken({ uid: 'admin-1', roles: ['admin'] }),
+  patient: signToken({ uid: 'patient-1', email: 'budi@example.com', name: 'Budi', roles: ['patient'] }),
+  verifiedPatient: signToken({ uid: 'patient-1', email: 'budi@example.com', phone: '+6281234567890', roles: ['patient'] })
+};
+
+const appointmentDate = addDays(clinicNow().date, 3);
+let api;
+
+const outbox = () => Object.values(db.dump('message_outbox'))
+  .sort((a, b) => a.created_at.toMillis() - b.created_at.toMillis());
+
+// POST a WhatsApp webhook body signed like Meta does
+const postWebhook = (body, secret = 'app-secret') => {
+  const raw = JSON.stringify(body);
+  return fetch(`${api.baseUrl}/api/messaging/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Hub-Signature-256': `sha256=${crypto.createHmac('sha256', secret).update(raw).digest('hex')}`
+    },
+    body: raw
+  });
+};
+
+const reply = (from, text) => ({
+  entry: [{ changes: [{ value: { messages: [{ from, type: 'text', text: { body: text } }] } }] }]
+});
+
+beforeAll(async () => {
+  api = await startServer(app);
+  midtransConfig.simulator.baseUrl = `${api.baseUrl}/simulator`;
+  midtransConfig.simulator.webhookUrl = `${api.baseUrl}/api/notification`;
+  await seedClinic(api.request, tokens.admin);
+});
+
+afterAll(async () => {
+  await api.stop();
+  fs.rmSync(mockDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('WhatsApp/SMS messages', () => {
+  it('rejects invalid phone numbers on bookings', async () => {
+    const response = await api.request('POST', '/api/bookings', {
+      token: tokens.patient,
+      body: { doctorId: 'doctor-1', appointmentDate, appointmentTime: '08:00', serviceType: 'SCALING', patientPhone: '12345' }
+    });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('sends the payment link and booking confirmation', async () => {
+    const booking = await api.request('POST', '/api/bookings', {
+      token: tokens.patient,
+      body: { doctorId: 'doctor-1', appointmentDate, appointmentTime: '09:00', serviceType: 'SCALING', patientPhone: '0812-3456-7890' }
+    });
+    const bookingId = booking.body.data.bookingId;
+    expect(booking.body.data.patientPhone).toBe('+6281234567890');
+
+    await api.request('POST', '/api/create-transaction', {
+      token: tokens.patient,
+      body: { bookingId, orderId: 'ORDER-MSG-1', customer_details: { name: 'Budi', email: 'budi@example.com', phone: '081298765432' } }
+    });
+    expect(db.dump('transactions')['ORDER-MSG-1'].customer_details.phone).toBe('+6281298765432');
+
+    await api.request('POST', '/simulator/transactions/ORDER-MSG-1/settlement');
+
+    expect(outbox().map(message => [message.template, message.to])).toEqual([
+      ['payment_link', '+6281298765432'],
+      ['booking_confirmed', '+6281234567890']
+    ]);
+    expect(outbox()[0].data).toMatchObject({ orderId: 'ORDER-MSG-1', amount: 222000, paymentUrl: expect.any(String) });
+
+    const summary = await processMessageQueue();
+
+    expect(summary).toEqual({ sent: 2, retrying: 0, failed: 0, skipped: 0 });
+    const files = fs.readdirSync(mockDir);
+    expect(files).toHaveLength(2);
+    const written = files.map(file => JSON.parse(fs.readFileSync(path.join(mockDir, file), 'utf8')));
+    expect(written.find(message => message.template === 'booking_confirmed')).toMatchObject({
+      to: '+6281234567890',
+      locale: 'id',
+      text: expect.stringContaining('terkonfirmasi')
+    });
+  });
+
+  it('verifies the WhatsApp webhook', async () => {
+    const query = 'hub.mode=subscribe&hub.verify_token=verify-me&hub.challenge=12345';
+    const verified = await fetch(`${api.baseUrl}/api/messaging/webhook?${query}`);
+    const rejected = await fetch(`${api.baseUrl}/api/messaging/webhook?hub.mode=subscribe&hub.verify_token=wrong`);
+
+    expect(await verified.text()).toBe('12345');
+    expect(rejected.status).toBe(403);
+  });
+
+  it('opts out on a STOP reply and skips later messages', async () => {
+    const forged = await postWebhook(reply('6281234567890', 'STOP'), 'wrong-secret');
+    expect(forged.status).toBe(403);
+
+    const response = await postWebhook(reply('6281234567890', 'STOP'));
+    expect((await response.json()).data.optedOut).toEqual(['+6281234567890']);
+
+    await api.request('POST', '/api/bookings', {
+      token: tokens.patient,
+      body: { doctorId: 'doctor-1', appointmentDate, appointmentTime: '11:00', serviceType: 'SCALING', patientPhone: '081234567890' }
+    });
+    const booking = Object.values(db.dump('bookings')).find(item => item.appointmentTime === '11:00');
+    await api.request('POST', '/api/create-transaction', {
+      token: tokens.patient,
+      body: { bookingId: booking.bookingId, orderId: 'ORDER-MSG-2', customer_details: { name: 'Budi', email: 'budi@example.com', phone: '081234567890' } }
+    });
+
+    expect(await processMessageQueue()).toEqual({ sent: 0, retrying: 0, failed: 0, skipped: 1 });
+  });
+
+  it('lets only admins or the number owner opt back in', async () => {
+    const byPatient = await api.request('POST', '/api/messaging/opt-in', {
+      token: tokens.patient,
+      body: { phone: '081234567890' }
+    });
+    const byAdmin = await api.request('POST', '/api/messaging/opt-in', {
+      token: tokens.admin,
+      body: { phone: '081234567890' }
+    });
+
+    expect(byPatient.status).toBe(403);
+    expect(byAdmin.body.data).toEqual({ phone: '+6281234567890', optedOut: false });
+    expect(db.dump('messaging_optouts')['+6281234567890']).toMatchObject({ optedOut: false, source: 'admin' });
+  });
+
+  it('lets patients opt out only the verified number in their token', async () => {
+    const others = await api.request('POST', '/api/messaging/opt-out', {
+      token: tokens.verifiedPatient,
+      body: { phone: '081299998888' }
+    });
+    expect(others.status).toBe(403);
+    expect(db.dump('messaging_optouts')['+6281299998888']).toBeUndefined();
+
+    // Their bookings carry 081234567890 as patientPhone, but anyone can type a number into a booking
+    const fromBooking = await api.request('POST', '/api/messaging/opt-out', {
+      token: tokens.patient,
+      body: { phone: '081234567890' }
+    });
+    expect(fromBooking.status).toBe(403);
+    expect(db.dump('messaging_optouts')['+6281234567890']).toMatchObject({ optedOut: false });
+
+    const own = await api.request('POST', '/api/messaging/opt-out', {
+      token: tokens.verifiedPatient,
+      body: { phone: '0812-3456-7890' }
+    });
+    expect(own.body.data).toEqual({ phone: '+6281234567890', optedOut: true });
+    expect(Object.values(db.dump('audit_logs')).find(entry => entry.action === 'messaging.opted_out')).toMatchObject({
+      actor: { uid: 'patient-1' },
+      target: { phone: '+6281234567890' },
+      details: { source: 'patient' }
+    });
+  });
+});
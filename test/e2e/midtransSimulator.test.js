@@ -0,0 +1,121 @@
+/**
+ * End-to-end payment lifecycle against the bundled Midtrans simulator:
+ * the simulator posts real, signed notifications to our webhook over HTTP.
+ */
+
+const { setupE2E, startServer, seedClinic, waitFor } = require('../helpers/api');
+
+const { signToken } = setupE2E();
+
+const { midtransConfig, simulator } = require('../../config/midtrans');
+const repositories = require('../../repositories');
+const { addDays, clinicNow } = require('../../utils/time');
+const app = require('../../server');
+
+const tokens = {
+  admin: signToken({ uid: 'admin-1', roles: ['admin'] }),
+  patient: signToken({ uid: 'patient-1', roles: ['patient'] })
+};
+
+// Far enough ahead for patients to cancel with a full refund
+const appointmentDate = addDays(clinicNow().date, 3);
+let api;
+
+const book = async (appointmentTime, orderId) => {
+  const booking = await api.request('POST', '/api/bookings', {
+    token: tokens.patient,
+    body: { doctorId: 'doctor-1', appointmentDate, appointmentTime, serviceType: 'SCALING' }
+  });
+  const payment = await api.request('POST', '/api/create-transaction', {
+    token: tokens.patient,
+    body: {
+      bookingId: booking.body.data.bookingId,
+      orderId,
+      customer_details: { name: 'Budi', email: 'pasien@example.com', phone: '081234567890' }
+    }
+  });
+  return { bookingId: booking.body.data.bookingId, payment: payment.body.data };
+};
+
+const getBooking = async (bookingId) => {
+  return (await api.request('GET', `/api/bookings/${bookingId}`, { token: tokens.patient })).body.data;
+};
+
+beforeAll(async () => {
+  api = await startServer(app);
+  midtransConfig.simulator.baseUrl = `${api.baseUrl}/simulator`;
+  midtransConfig.simulator.webhookUrl = `${api.baseUrl}/api/notification`;
+  await seedClinic(api.request, tokens.admin);
+});
+
+afterAll(async () => {
+  await api.stop();
+  jest.restoreAllMocks();
+});
+
+describe('payment lifecycle with the Midtrans simulator', () => {
+  it('serves a fake Snap page for the payment', async () => {
+    const { payment } = await book('09:00', 'ORDER-SIM-1');
+
+    expect(payment.transaction.payment_url).toBe(`${api.baseUrl}/simulator/snap/${payment.transaction.token}`);
+    const page = await fetch(payment.transaction.payment_url);
+    expect(page.status).toBe(200);
+    expect(await page.text()).toContain('ORDER-SIM-1');
+  });
+
+  it('settles, then refunds a cancelled booking through simulator notifications', async () => {
+    const { bookingId } = await book('10:00', 'ORDER-SIM-2');
+
+    const pending = await api.request('POST', '/simulator/transactions/ORDER-SIM-2/pending');
+    expect(pending.body.data.webhook.body.data.outcome).toBe('applied');
+
+    const settled = await api.request('POST', '/simulator/transactions/ORDER-SIM-2/settlement');
+    expect(settled.body.data.webhook).toMatchObject({ status: 200, body: { data: { outcome: 'applied' } } });
+    expect(await getBooking(bookingId)).toMatchObject({ status: 'confirmed', paymentStatus: 'Berhasil' });
+
+    const status = await api.request('GET', '/api/check-status/ORDER-SIM-2', { token: tokens.patient });
+    expect(status.body.data.transaction).toMatchObject({ paymentStatus: 'Berhasil', isLocalStatus: false });
+
+    await api.request('POST', `/api/bookings/${bookingId}/cancel`, {
+      token: tokens.patient,
+      body: { reason: 'Sakit' }
+    });
+
+    const refunded = await waitFor(async () => {
+      const booking = await getBooking(bookingId);
+      return booking.paymentStatus === 'refunded' && booking;
+    });
+    expect(refunded).toMatchObject({ status: 'cancelled', refundedAmount: 222000, refundType: 'full' });
+  });
+
+  it('records every partial refund of a transaction', async () => {
+    await book('11:00', 'ORDER-SIM-5');
+    await api.request('POST', '/simulator/transactions/ORDER-SIM-5/settlement');
+
+    await simulator.core.transaction.refund('ORDER-SIM-5', { refund_key: 'r1', amount: 50000 });
+    await waitFor(async () => (await repositories.transactions.get('ORDER-SIM-5')).midtrans_status.refund_amount === '50000.00');
+
+    await simulator.core.transaction.refund('ORDER-SIM-5', { refund_key: 'r2', amount: 30000 });
+    const transaction = await waitFor(async () => {
+      const data = await repositories.transactions.get('ORDER-SIM-5');
+      return data.midtrans_status.refund_amount === '80000.00' && data;
+    });
+    expect(transaction).toMatchObject({ paymentStatus: 'refunded', refundedAmount: 80000, refundType: 'partial' });
+  });
+
+  it('cancels the booking when the payment expires', async () => {
+    const { bookingId } = await book('13:00', 'ORDER-SIM-3');
+
+    const expired = await api.request('POST', '/simulator/transactions/ORDER-SIM-3/expire');
+    expect(expired.body.data.notification.status_code).toBe('407');
+
+    expect(await getBooking(bookingId)).toMatchObject({ status: 'cancelled', paymentStatus: 'expired' });
+  });
+
+  it('rejects unknown orders and statuses', async () => {
+    expect((await api.request('POST', '/simulator/transactions/NOPE/settlement')).status).toBe(404);
+
+    await book('15:00', 'ORDER-SIM-4');
+    expect((await api.request('POST', '/simulator/transactions/ORDER-SIM-4/refund')).status).toBe(400);
+  });
+});
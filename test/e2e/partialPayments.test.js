@@ -0,0 +1,147 @@
+/**
+ * A tagihan paid in parts: the deposit confirms the booking, later payments
+ * bring down the outstanding balance, and the last one pays the bill.
+ */
+
+const { setupE2E, startServer, seedClinic, waitFor } = require('../helpers/api');
+
+const { signToken } = setupE2E();
+
+const { midtransConfig } = require('../../config/midtrans');
+const { db } = require('../../repositories/database');
+const repositories = require('../../repositories');
+const { addDays, clinicNow } = require('../../utils/time');
+const app = require('../../server');
+
+const tokens = {
+  admin: signToken({ uid: 'admin-1', roles: ['admin'] }),
+  patient: signToken({ uid: 'patient-1', email: 'budi@example.com', name: 'Budi', roles: ['patient'] })
+};
+
+// SCALING costs 222,000 with tax; a 30% deposit is 66,600
+const appointmentDate = addDays(clinicNow().date, 3);
+let api;
+let bookingId;
+
+const createTransaction = (body) => {
+  return api.request('POST', '/api/create-transaction', {
+    token: tokens.patient,
+    body: {
+      bookingId,
+      orderId: 'ORDER-DP-1',
+      customer_details: { name: 'Budi', email: 'budi@example.com', phone: '081234567890' },
+      ...body
+    }
+  });
+};
+
+const payNext = (body = {}) => {
+  return api.request('POST', '/api/create', { token: tokens.patient, body: { orderId: 'ORDER-DP-1', ...body } });
+};
+
+const getBooking = async () => {
+  return (await api.request('GET', `/api/bookings/${bookingId}`, { token: tokens.patient })).body.data;
+};
+
+const emailsSent = () => Object.values(db.dump('email_outbox')).map(item => item.template);
+
+beforeAll(async () => {
+  api = await startServer(app);
+  midtransConfig.simulator.baseUrl = `${api.baseUrl}/simulator`;
+  midtransConfig.simulator.webhookUrl = `${api.baseUrl}/api/notification`;
+  await seedClinic(api.request, tokens.admin);
+  await api.request('PUT', '/api/services/SCALING', { token: tokens.admin, body: { depositPercent: 30 } });
+
+  const booking = await api.request('POST', '/api/bookings', {
+    token: tokens.patient,
+    body: { doctorId: 'doctor-1', appointmentDate, appointmentTime: '09:00', serviceType: 'SCALING' }
+  });
+  bookingId = booking.body.data.bookingId;
+});
+
+afterAll(async () => {
+  await api.stop();
+  jest.restoreAllMocks();
+});
+
+describe('part payments', () => {
+  it('rejects a first payment below the deposit', async () => {
+    const response = await createTransaction({ payment_amount: 50000 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('The first payment must be at least the deposit of 66600');
+  });
+
+  it('confirms the booking once the deposit is paid', async () => {
+    const response = await createTransaction({ payment_amount: 66600 });
+    expect(response.body.data.transaction).toMatchObject({ orderId: 'ORDER-DP-1', amount: 66600 });
+
+    await api.request('POST', '/simulator/transactions/ORDER-DP-1/settlement');
+
+    expect(await getBooking()).toMatchObject({
+      status: 'confirmed',
+      statusReason: 'Deposit received',
+      paymentStatus: 'partially_paid'
+    });
+    const tagihan = await repositories.tagihan.get('ORDER-DP-1');
+    expect(tagihan).toMatchObject({ status: 'partially_paid', paidAmount: 66600, outstandingAmount: 155400 });
+    expect(tagihan.invoiceNumber).toBeUndefined();
+    expect(emailsSent()).toContain('partial_payment_received');
+  });
+
+  it('keeps the booking and what was paid when a part payment fails', async () => {
+    const response = await payNext({ payment_amount: 55400 });
+    expect(response.body.data.transaction).toMatchObject({ orderId: 'ORDER-DP-1-2', amount: 55400 });
+
+    await api.request('POST', '/simulator/transactions/ORDER-DP-1-2/deny');
+
+    expect(await getBooking()).toMatchObject({ status: 'confirmed', paymentStatus: 'partially_paid' });
+    expect(await repositories.tagihan.get('ORDER-DP-1')).toMatchObject({
+      status: 'partially_paid',
+      paidAmount: 66600
+    });
+  });
+
+  it('pays the bill in full with the outstanding balance', async () => {
+    const response = await payNext();
+    expect(response.body.data.transaction).toMatchObject({ orderId: 'ORDER-DP-1-3', amount: 155400 });
+
+    await api.request('POST', '/simulator/transactions/ORDER-DP-1-3/settlement');
+
+    expect(await getBooking()).toMatchObject({ status: 'confirmed', paymentStatus: 'Berhasil' });
+    expect(await repositories.tagihan.get('ORDER-DP-1')).toMatchObject({
+      status: 'Berhasil',
+      paidAmount: 222000,
+      outstandingAmount: 0,
+      paidOrderId: 'ORDER-DP-1-3',
+      invoiceNumber: expect.any(String)
+    });
+    expect(emailsSent()).toContain('payment_succeeded');
+
+    const attempts = await api.request('GET', '/api/tagihan/ORDER-DP-1/attempts', { token: tokens.patient });
+    expect(attempts.body.data).toMatchObject({ paidAmount: 222000, outstandingAmount: 0 });
+    expect(attempts.body.data.attempts.map(attempt => [attempt.amount, attempt.paymentStatus])).toEqual([
+      [66600, 'Berhasil'],
+      [55400, 'failed'],
+      [155400, 'Berhasil']
+    ]);
+  });
+
+  it('refunds every part payment when the booking is cancelled', async () => {
+    const response = await api.request('POST', `/api/bookings/${bookingId}/cancel`, {
+      token: tokens.admin,
+      body: { reason: 'Doctor unavailable' }
+    });
+    expect(response.status).toBe(200);
+
+    const refunds = Object.values(db.dump('refunds'));
+    expect(refunds.map(refund => [refund.orderId, refund.amount]).sort()).toEqual([
+      ['ORDER-DP-1', 66600],
+      ['ORDER-DP-1-3', 155400]
+    ]);
+
+    // Midtrans confirms each refund with its own notification
+    await waitFor(() => Object.values(db.dump('refunds')).every(refund => refund.status === 'refunded'));
+    expect(await repositories.tagihan.get('ORDER-DP-1')).toMatchObject({ status: 'refunded' });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * A tagihan is paid through payment attempts: failed or expired ones are
+ * retried under suffixed order ids, each keeps its status timeline and
+ * notifications, and the first attempt to settle pays the bill.
+ */
+
+const { setupE2E, startServer, seedClinic } = require('../helpers/api');
+
+const { signToken } = setupE2E();
+
+const { midtransConfig } = require('../../config/midtrans');
+const { db, Timestamp } = require('../../repositories/database');
+const repositories = require('../../repositories');
+const { addDays, clinicNow } = require('../../utils/time');
+const app = require('../../server');
+
+const tokens = {
+  admin: signToken({ uid: 'admin-1', roles: ['admin'] }),
+  patient: signToken({ uid: 'patient-1', email: 'budi@example.com', roles: ['patient'] }),
+  otherPatient: signToken({ uid: 'patient-2', roles: ['patient'] })
+};
+
+const appointmentDate = addDays(clinicNow().date, 3);
+let api;
+
+const pay = (bookingId, orderId, paymentType) => {
+  return api.request('POST', '/api/create-transaction', {
+    token: tokens.patient,
+    body: {
+      bookingId,
+      orderId,
+      payment_type: paymentType,
+      customer_details: { name: 'Budi', email: 'budi@example.com', phone: '081234567890' }
+    }
+  });
+};
+
+const book = async (appointmentTime, orderId) => {
+  const booking = await api.request('POST', '/api/bookings', {
+    token: tokens.patient,
+    body: { doctorId: 'doctor-1', appointmentDate, appointmentTime, serviceType: 'SCALING' }
+  });
+  const bookingId = booking.body.data.bookingId;
+  await pay(bookingId, orderId, 'bca_va');
+  return bookingId;
+};
+
+const getBooking = async (bookingId) => {
+  return (await api.request('GET', `/api/bookings/${bookingId}`, { token: tokens.patient })).body.data;
+};
+
+const getAttempts = (orderId, token = tokens.patient) => {
+  return api.request('GET', `/api/tagihan/${orderId}/attempts`, { token });
+};
+
+beforeAll(async () => {
+  api = await startServer(app);
+  midtransConfig.simulator.baseUrl = `${api.baseUrl}/simulator`;
+  midtransConfig.simulator.webhookUrl = `${api.baseUrl}/api/notification`;
+  await seedClinic(api.request, tokens.admin);
+});
+
+afterAll(async () => {
+  await api.stop();
+  jest.restoreAllMocks();
+});
+
+describe('payment attempts', () => {
+  it('retries a failed payment with another payment method', async () => {
+    const bookingId = await book('09:00', 'ORDER-TRY-1');
+    await api.request('POST', '/simulator/transactions/ORDER-TRY-1/deny');
+    expect(await getBooking(bookingId)).toMatchObject({ status: 'cancelled', paymentStatus: 'failed' });
+
+    const retry = await pay(bookingId, 'ORDER-TRY-1', 'gopay');
+
+    expect(retry.status).toBe(201);
+    expect(retry.body.data.transaction).toMatchObject({ orderId: 'ORDER-TRY-1-2', attempt: 2, payment_type: 'gopay' });
+    expect(await getBooking(bookingId)).toMatchObject({ status: 'pending', paymentStatus: 'unpaid' });
+
+    await api.request('POST', '/simulator/transactions/ORDER-TRY-1-2/settlement');
+
+    expect(await getBooking(bookingId)).toMatchObject({ status: 'confirmed', paymentStatus: 'Berhasil' });
+    expect(await repositories.tagihan.get('ORDER-TRY-1')).toMatchObject({
+      status: 'Berhasil',
+      currentOrderId: 'ORDER-TRY-1-2',
+      paidOrderId: 'ORDER-TRY-1-2'
+    });
+  });
+
+  it('lists every attempt with its status timeline and notifications', async () => {
+    const response = await getAttempts('ORDER-TRY-1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      tagihanId: 'ORDER-TRY-1',
+      status: 'Berhasil',
+      paidOrderId: 'ORDER-TRY-1-2'
+    });
+    const [first, second] = response.body.data.attempts;
+    expect(first).toMatchObject({ orderId: 'ORDER-TRY-1', attempt: 1, current: false, payment_type: 'bca_va', paymentStatus: 'failed' });
+    expect(first.timeline.map(entry => entry.paymentStatus)).toEqual(['unpaid', 'failed']);
+    expect(first.notifications).toEqual([
+      expect.objectContaining({ transactionStatus: 'deny', outcome: 'applied', payload: expect.objectContaining({ order_id: 'ORDER-TRY-1' }) })
+    ]);
+    expect(second).toMatchObject({ orderId: 'ORDER-TRY-1-2', attempt: 2, current: true, paymentStatus: 'Berhasil', payment_url: null });
+    expect(second.timeline.map(entry => entry.transactionStatus || entry.source)).toEqual(['created', 'settlement']);
+
+    expect((await getAttempts('ORDER-TRY-1', tokens.otherPatient)).status).toBe(403);
+  });
+
+  it('lets the first attempt to settle pay the bill and audits a second payment', async () => {
+    const bookingId = await book('10:00', 'ORDER-TRY-2');
+    await repositories.transactions.update('ORDER-TRY-2', {
+      expires_at: Timestamp.fromDate(new Date(Date.now() - 1000))
+    });
+    await api.request('GET', '/api/payment-url/ORDER-TRY-2', { token: tokens.patient });
+
+    // The patient pays the first attempt's virtual account after all
+    await api.request('POST', '/simulator/transactions/ORDER-TRY-2/settlement');
+
+    expect(await getBooking(bookingId)).toMatchObject({ status: 'confirmed' });
+    const paid = await repositories.tagihan.get('ORDER-TRY-2');
+    expect(paid).toMatchObject({ status: 'Berhasil', currentOrderId: 'ORDER-TRY-2', paidOrderId: 'ORDER-TRY-2' });
+
+    await api.request('POST', '/simulator/transactions/ORDER-TRY-2-2/settlement');
+
+    expect(await repositories.tagihan.get('ORDER-TRY-2')).toMatchObject({
+      paidOrderId: 'ORDER-TRY-2',
+      invoiceNumber: paid.invoiceNumber
+    });
+    expect(await repositories.transactions.get('ORDER-TRY-2-2')).toMatchObject({ paymentStatus: 'Berhasil' });
+    expect(Object.values(db.dump('audit_logs'))).toContainEqual(expect.objectContaining({
+      action: 'notification.duplicate_payment',
+      target: { orderId: 'ORDER-TRY-2-2', tagihanId: 'ORDER-TRY-2' },
+      details: expect.objectContaining({ paidOrderId: 'ORDER-TRY-2' })
+    }));
+  });
+});
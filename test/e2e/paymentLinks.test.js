@@ -0,0 +1,135 @@
+/**
+ * Expired Snap links are renewed under a suffixed order id that stays linked
+ * to the same tagihan, and the patient can have the link sent again.
+ */
+
+const { setupE2E, startServer, seedClinic } = require('../helpers/api');
+
+const { signToken } = setupE2E();
+
+const { midtransConfig } = require('../../config/midtrans');
+const { db, Timestamp } = require('../../repositories/database');
+const repositories = require('../../repositories');
+const { addDays, clinicNow } = require('../../utils/time');
+const app = require('../../server');
+
+const tokens = {
+  admin: signToken({ uid: 'admin-1', roles: ['admin'] }),
+  patient: signToken({ uid: 'patient-1', email: 'budi@example.com', name: 'Budi', roles: ['patient'] }),
+  otherPatient: signToken({ uid: 'patient-2', roles: ['patient'] })
+};
+
+const appointmentDate = addDays(clinicNow().date, 3);
+let api;
+
+const createBooking = (appointmentTime, token = tokens.patient) => {
+  return api.request('POST', '/api/bookings', {
+    token,
+    body: { doctorId: 'doctor-1', appointmentDate, appointmentTime, serviceType: 'SCALING' }
+  });
+};
+
+const book = async (appointmentTime, orderId) => {
+  const booking = await createBooking(appointmentTime);
+  await api.request('POST', '/api/create-transaction', {
+    token: tokens.patient,
+    body: {
+      bookingId: booking.body.data.bookingId,
+      orderId,
+      customer_details: { name: 'Budi', email: 'budi@example.com', phone: '081234567890' }
+    }
+  });
+  return booking.body.data.bookingId;
+};
+
+const getBooking = async (bookingId) => {
+  return (await api.request('GET', `/api/bookings/${bookingId}`, { token: tokens.patient })).body.data;
+};
+
+const resendLink = (orderId, token = tokens.patient) => {
+  return api.request('POST', `/api/tagihan/${orderId}/resend-link`, { token });
+};
+
+const templatesSent = (collection) => Object.values(db.dump(collection)).map(item => item.template);
+
+beforeAll(async () => {
+  api = await startServer(app);
+  midtransConfig.simulator.baseUrl = `${api.baseUrl}/simulator`;
+  midtransConfig.simulator.webhookUrl = `${api.baseUrl}/api/notification`;
+  await seedClinic(api.request, tokens.admin);
+});
+
+afterAll(async () => {
+  await api.stop();
+  jest.restoreAllMocks();
+});
+
+describe('payment links', () => {
+  it('renews an expired link and reopens the booking it cancelled', async () => {
+    const bookingId = await book('09:00', 'ORDER-LINK-1');
+    await api.request('POST', '/simulator/transactions/ORDER-LINK-1/expire');
+    expect(await getBooking(bookingId)).toMatchObject({ status: 'cancelled', statusReason: 'Payment expired' });
+
+    const response = await resendLink('ORDER-LINK-1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      tagihanId: 'ORDER-LINK-1',
+      orderId: 'ORDER-LINK-1-2',
+      payment_url: expect.stringContaining('/snap/'),
+      regenerated: true,
+      delivered: { email: true, message: true }
+    });
+    expect(await getBooking(bookingId)).toMatchObject({
+      status: 'pending',
+      paymentStatus: 'unpaid',
+      slotIds: expect.arrayContaining([expect.any(String)])
+    });
+    expect((await createBooking('09:00', tokens.otherPatient)).status).toBe(409);
+    expect(await repositories.tagihan.get('ORDER-LINK-1')).toMatchObject({
+      status: 'pending',
+      currentOrderId: 'ORDER-LINK-1-2',
+      attemptCount: 2
+    });
+    expect(templatesSent('email_outbox')).toContain('payment_link');
+    expect(templatesSent('message_outbox').filter(template => template === 'payment_link')).toHaveLength(2);
+
+    expect((await resendLink('ORDER-LINK-1')).status).toBe(429);
+  });
+
+  it('settles the tagihan through the renewed attempt', async () => {
+    await api.request('POST', '/simulator/transactions/ORDER-LINK-1-2/settlement');
+
+    const status = await api.request('GET', '/api/check-status/ORDER-LINK-1-2', { token: tokens.patient });
+
+    expect(status.body.data.tagihan).toMatchObject({ status: 'Berhasil', currentOrderId: 'ORDER-LINK-1-2' });
+    expect(status.body.data.booking).toMatchObject({ status: 'confirmed' });
+
+    await db.collection('tagihan').doc('ORDER-LINK-1').update({ linkSentAt: null });
+    expect((await resendLink('ORDER-LINK-1')).status).toBe(409);
+  });
+
+  it('ignores a late expiry of the attempt a renewed link replaced', async () => {
+    const bookingId = await book('10:00', 'ORDER-LINK-2');
+    await repositories.transactions.update('ORDER-LINK-2', {
+      expires_at: Timestamp.fromDate(new Date(Date.now() - 1000))
+    });
+
+    const renewed = await api.request('GET', '/api/payment-url/ORDER-LINK-2', { token: tokens.patient });
+    expect(renewed.body.data.transaction).toMatchObject({ orderId: 'ORDER-LINK-2-2', tagihanId: 'ORDER-LINK-2' });
+
+    await api.request('POST', '/simulator/transactions/ORDER-LINK-2/expire');
+
+    expect(await getBooking(bookingId)).toMatchObject({ status: 'pending', paymentStatus: 'unpaid' });
+    expect(await repositories.tagihan.get('ORDER-LINK-2')).toMatchObject({ status: 'pending' });
+    expect(await repositories.transactions.get('ORDER-LINK-2')).toMatchObject({
+      status: 'expired',
+      supersededBy: 'ORDER-LINK-2-2'
+    });
+  });
+
+  it('only sends the link to the patient who owns the tagihan', async () => {
+    expect((await resendLink('ORDER-LINK-2', tokens.otherPatient)).status).toBe(403);
+    expect((await resendLink('ORDER-MISSING')).status).toBe(404);
+  });
+});
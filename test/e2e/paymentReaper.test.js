@@ -0,0 +1,126 @@
+/**
+ * Expired-payment reaper against the Midtrans simulator: abandoned payments
+ * are expired and their slots freed, late settlements are picked up.
+ */
+
+const { setupE2E, startServer, seedClinic } = require('../helpers/api');
+
+const { signToken } = setupE2E();
+
+const { midtransConfig } = require('../../config/midtrans');
+const { reapExpiredPayments } = require('../../services/paymentReaper');
+const repositories = require('../../repositories');
+const { addDays, clinicNow } = require('../../utils/time');
+const app = require('../../server');
+
+const tokens = {
+  admin: signToken({ uid: 'admin-1', roles: ['admin'] }),
+  patient: signToken({ uid: 'patient-1', roles: ['patient'] })
+};
+
+const appointmentDate = addDays(clinicNow().date, 3);
+// Past the 60 minute Snap expiry and the 5 minute grace period
+const afterExpiry = () => new Date(Date.now() + 2 * 60 * 60 * 1000);
+let api;
+
+const createBooking = (appointmentTime) => {
+  return api.request('POST', '/api/bookings', {
+    token: tokens.patient,
+    body: { doctorId: 'doctor-1', appointmentDate, appointmentTime, serviceType: 'SCALING' }
+  });
+};
+
+const book = async (appointmentTime, orderId) => {
+  const booking = await createBooking(appointmentTime);
+  await api.request('POST', '/api/create-transaction', {
+    token: tokens.patient,
+    body: {
+      bookingId: booking.body.data.bookingId,
+      orderId,
+      customer_details: { name: 'Budi', email: 'pasien@example.com', phone: '081234567890' }
+    }
+  });
+  return booking.body.data.bookingId;
+};
+
+const getBooking = async (bookingId) => {
+  return (await api.request('GET', `/api/bookings/${bookingId}`, { token: tokens.patient })).body.data;
+};
+
+beforeAll(async () => {
+  api = await startServer(app);
+  midtransConfig.simulator.baseUrl = `${api.baseUrl}/simulator`;
+  midtransConfig.simulator.webhookUrl = `${api.baseUrl}/api/notification`;
+  await seedClinic(api.request, tokens.admin);
+});
+
+afterAll(async () => {
+  await api.stop();
+  jest.restoreAllMocks();
+});
+
+describe('expired payment reaper', () => {
+  it('leaves payments that have not expired yet', async () => {
+    const bookingId = await book('09:00', 'ORDER-REAP-1');
+
+    const summary = await reapExpiredPayments();
+
+    expect(summary).toEqual({ checked: 0, errors: [] });
+    expect(await getBooking(bookingId)).toMatchObject({ status: 'pending', paymentStatus: 'unpaid' });
+  });
+
+  it('expires abandoned payments and frees their slots', async () => {
+    const bookingId = await book('10:00', 'ORDER-REAP-2');
+    expect((await createBooking('10:00')).status).toBe(409);
+
+    const summary = await reapExpiredPayments({ now: afterExpiry() });
+
+    expect(summary).toMatchObject({ checked: 2, expired: 2, errors: [] });
+    expect(await getBooking(bookingId)).toMatchObject({ status: 'cancelled', paymentStatus: 'expired', slotIds: [] });
+    expect(await repositories.tagihan.get('ORDER-REAP-2')).toMatchObject({ status: 'expired' });
+    expect((await createBooking('10:00')).status).toBe(201);
+
+    // Nothing left to reap
+    expect(await reapExpiredPayments({ now: afterExpiry() })).toEqual({ checked: 0, errors: [] });
+  });
+
+  it('applies settlements whose notification never arrived', async () => {
+    const bookingId = await book('11:00', 'ORDER-REAP-3');
+    midtransConfig.simulator.webhookUrl = `${api.baseUrl}/unreachable`;
+    await api.request('POST', '/simulator/transactions/ORDER-REAP-3/settlement');
+    midtransConfig.simulator.webhookUrl = `${api.baseUrl}/api/notification`;
+
+    const summary = await reapExpiredPayments({ now: afterExpiry() });
+
+    expect(summary).toMatchObject({ checked: 1, Berhasil: 1 });
+    expect(await getBooking(bookingId)).toMatchObject({ status: 'confirmed', paymentStatus: 'Berhasil' });
+  });
+
+  it('leaves payments Midtrans still reports as pending', async () => {
+    const bookingId = await book('12:00', 'ORDER-REAP-4');
+    await api.request('POST', '/simulator/transactions/ORDER-REAP-4/pending');
+
+    const summary = await reapExpiredPayments({ now: afterExpiry() });
+
+    expect(summary).toMatchObject({ checked: 1, still_pending: 1 });
+    expect(await getBooking(bookingId)).toMatchObject({ status: 'pending', paymentStatus: 'unpaid' });
+  });
+
+  it('pages past payments still pending at Midtrans to reach newer expired ones', async () => {
+    await book('13:00', 'ORDER-REAP-5');
+    await api.request('POST', '/simulator/transactions/ORDER-REAP-5/pending');
+    const bookingId = await book('14:00', 'ORDER-REAP-6');
+
+    // ORDER-REAP-4 was checked by the previous run; one page holds a single payment
+    const summary = await reapExpiredPayments({ now: afterExpiry(), limit: 1 });
+    expect(summary).toMatchObject({ checked: 1, still_pending: 1 });
+
+    expect(await reapExpiredPayments({ now: afterExpiry(), limit: 1 })).toMatchObject({ checked: 1, expired: 1 });
+    expect(await getBooking(bookingId)).toMatchObject({ status: 'cancelled', paymentStatus: 'expired' });
+    expect(await reapExpiredPayments({ now: afterExpiry(), limit: 1 })).toEqual({ checked: 0, errors: [] });
+
+    // Asked about again once the recheck interval has passed
+    const later = new Date(afterExpiry().getTime() + 2 * 60 * 60 * 1000);
+    expect(await reapExpiredPayments({ now: later })).toMatchObject({ checked: 2, still_pending: 2 });
+  });
+});
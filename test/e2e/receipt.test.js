@@ -0,0 +1,125 @@
+/**
+ * PDF receipts and monthly invoice numbering, paying through the Midtrans simulator
+ */
+
+const { setupE2E, startServer, seedClinic } = require('../helpers/api');
+
+const { signToken } = setupE2E();
+
+const { midtransConfig } = require('../../config/midtrans');
+const repositories = require('../../repositories');
+const { db } = require('../../repositories/database');
+const { addDays, clinicNow } = require('../../utils/time');
+const app = require('../../server');
+
+const tokens = {
+  admin: signToken({ uid: 'admin-1', roles: ['admin'] }),
+  patient: signToken({ uid: 'patient-1', roles: ['patient'] }),
+  otherPatient: signToken({ uid: 'patient-2', roles: ['patient'] })
+};
+
+const appointmentDate = addDays(clinicNow().date, 3);
+const month = clinicNow().date.slice(0, 7);
+let api;
+
+const book = async (appointmentTime, orderId) => {
+  const booking = await api.request('POST', '/api/bookings', {
+    token: tokens.patient,
+    body: { doctorId: 'doctor-1', appointmentDate, appointmentTime, serviceType: 'SCALING' }
+  });
+  await api.request('POST', '/api/create-transaction', {
+    token: tokens.patient,
+    body: {
+      bookingId: booking.body.data.bookingId,
+      orderId,
+      customer_details: { name: 'Budi', email: 'pasien@example.com', phone: '081234567890' }
+    }
+  });
+};
+
+const pay = (orderId, status = 'settlement') => api.request('POST', `/simulator/transactions/${orderId}/${status}`);
+
+const getReceipt = (orderId, token) => {
+  return fetch(`${api.baseUrl}/api/tagihan/${orderId}/receipt.pdf`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+};
+
+beforeAll(async () => {
+  api = await startServer(app);
+  midtransConfig.simulator.baseUrl = `${api.baseUrl}/simulator`;
+  midtransConfig.simulator.webhookUrl = `${api.baseUrl}/api/notification`;
+  await seedClinic(api.request, tokens.admin);
+});
+
+afterAll(async () => {
+  await api.stop();
+  jest.restoreAllMocks();
+});
+
+describe('invoice numbers', () => {
+  it('numbers paid tagihan sequentially within the month', async () => {
+    await book('09:00', 'ORDER-RCPT-1');
+    await book('10:00', 'ORDER-RCPT-2');
+    await book('11:00', 'ORDER-RCPT-3');
+
+    await pay('ORDER-RCPT-2');
+    await pay('ORDER-RCPT-3', 'expire');
+    await pay('ORDER-RCPT-1');
+
+    const prefix = `INV/${month.replace('-', '')}`;
+    expect(await repositories.tagihan.get('ORDER-RCPT-2')).toMatchObject({ invoiceNumber: `${prefix}/0001`, invoiceMonth: month });
+    expect(await repositories.tagihan.get('ORDER-RCPT-1')).toMatchObject({ invoiceNumber: `${prefix}/0002` });
+    expect((await repositories.tagihan.get('ORDER-RCPT-3')).invoiceNumber).toBeUndefined();
+    expect(db.dump('invoice_counters')[month].lastNumber).toBe(2);
+  });
+
+  it('keeps the number when the payment is notified again', async () => {
+    await pay('ORDER-RCPT-1', 'capture');
+
+    expect((await repositories.tagihan.get('ORDER-RCPT-1')).invoiceNumber).toMatch(/\/0002$/);
+    expect(db.dump('invoice_counters')[month].lastNumber).toBe(2);
+  });
+
+  it('numbers tagihan paid before numbering existed when their receipt is requested', async () => {
+    await book('12:00', 'ORDER-RCPT-4');
+    await pay('ORDER-RCPT-4');
+    // As if paid before numbering: no number, counter untouched
+    await repositories.tagihan.update('ORDER-RCPT-4', { invoiceNumber: null });
+    await db.collection('invoice_counters').doc(month).update({ lastNumber: 2 });
+
+    expect((await getReceipt('ORDER-RCPT-4', tokens.patient)).status).toBe(200);
+    expect((await repositories.tagihan.get('ORDER-RCPT-4')).invoiceNumber).toMatch(/\/0003$/);
+  });
+});
+
+describe('GET /api/tagihan/:orderId/receipt.pdf', () => {
+  it('returns the receipt as a PDF', async () => {
+    const response = await getReceipt('ORDER-RCPT-1', tokens.patient);
+    const body = Buffer.from(await response.arrayBuffer());
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('application/pdf');
+    expect(response.headers.get('content-disposition')).toBe('inline; filename="receipt-ORDER-RCPT-1.pdf"');
+    expect(body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('is available to admins', async () => {
+    expect((await getReceipt('ORDER-RCPT-1', tokens.admin)).status).toBe(200);
+  });
+
+  it('is not available to other patients', async () => {
+    expect((await getReceipt('ORDER-RCPT-1', tokens.otherPatient)).status).toBe(403);
+  });
+
+  it('requires the tagihan to be paid', async () => {
+    const response = await getReceipt('ORDER-RCPT-3', tokens.patient);
+
+    expect(response.status).toBe(409);
+    expect((await response.json()).error).toBe('A receipt is only available once the tagihan is paid');
+  });
+
+  it('returns 404 for unknown tagihan', async () => {
+    expect((await getReceipt('ORDER-MISSING', tokens.patient)).status).toBe(404);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Reconciliation against the Midtrans simulator: notifications our webhook
+ * never received are applied, other mismatches are reported.
+ */
+
+const { setupE2E, startServer, seedClinic } = require('../helpers/api');
+
+const { signToken } = setupE2E();
+
+const { midtransConfig } = require('../../config/midtrans');
+const repositories = require('../../repositories');
+const { addDays, clinicNow } = require('../../utils/time');
+const app = require('../../server');
+
+const tokens = {
+  admin: signToken({ uid: 'admin-1', roles: ['admin'] }),
+  patient: signToken({ uid: 'patient-1', roles: ['patient'] })
+};
+
+const today = clinicNow().date;
+const appointmentDate = addDays(today, 3);
+let api;
+
+const book = async (appointmentTime, orderId) => {
+  const booking = await api.request('POST', '/api/bookings', {
+    token: tokens.patient,
+    body: { doctorId: 'doctor-1', appointmentDate, appointmentTime, serviceType: 'SCALING' }
+  });
+  await api.request('POST', '/api/create-transaction', {
+    token: tokens.patient,
+    body: {
+      bookingId: booking.body.data.bookingId,
+      orderId,
+      customer_details: { name: 'Budi', email: 'pasien@example.com', phone: '081234567890' }
+    }
+  });
+  return booking.body.data.bookingId;
+};
+
+// Change the payment at Midtrans without our webhook hearing about it
+const fireMissedNotification = async (orderId, status) => {
+  midtransConfig.simulator.webhookUrl = `${api.baseUrl}/unreachable`;
+  await api.request('POST', `/simulator/transactions/${orderId}/${status}`);
+  midtransConfig.simulator.webhookUrl = `${api.baseUrl}/api/notification`;
+};
+
+const reconcile = (body = {}, token = tokens.admin) => {
+  return api.request('POST', '/api/admin/reconciliation', { token, body: { from: today, to: today, ...body } });
+};
+
+const getBooking = async (bookingId) => {
+  return (await api.request('GET', `/api/bookings/${bookingId}`, { token: tokens.patient })).body.data;
+};
+
+beforeAll(async () => {
+  api = await startServer(app);
+  midtransConfig.simulator.baseUrl = `${api.baseUrl}/simulator`;
+  midtransConfig.simulator.webhookUrl = `${api.baseUrl}/api/notification`;
+  await seedClinic(api.request, tokens.admin);
+});
+
+afterAll(async () => {
+  await api.stop();
+  jest.restoreAllMocks();
+});
+
+describe('payment reconciliation', () => {
+  let settledBookingId;
+
+  beforeAll(async () => {
+    settledBookingId = await book('09:00', 'ORDER-REC-1');
+    await fireMissedNotification('ORDER-REC-1', 'settlement');
+
+    // Unopened Snap payment: nothing to reconcile
+    await book('10:00', 'ORDER-REC-2');
+
+    await book('11:00', 'ORDER-REC-3');
+    await fireMissedNotification('ORDER-REC-3', 'settlement');
+    await repositories.transactions.update('ORDER-REC-3', { amount: 1000 });
+  });
+
+  it('is restricted to admins', async () => {
+    expect((await reconcile({}, tokens.patient)).status).toBe(403);
+  });
+
+  it('validates the date range', async () => {
+    const response = await reconcile({ from: today, to: addDays(today, -1) });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('from must not be after to');
+  });
+
+  it('reports without changing anything on a dry run', async () => {
+    const response = await reconcile({ dryRun: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ dryRun: true, checked: 3, matched: 1, fixed: 0, truncated: false });
+    expect(response.body.data.discrepancies).toEqual([
+      expect.objectContaining({
+        orderId: 'ORDER-REC-1',
+        localPaymentStatus: 'unpaid',
+        midtransStatus: 'settlement',
+        discrepancy: 'status_mismatch',
+        action: 'would_fix'
+      }),
+      expect.objectContaining({ orderId: 'ORDER-REC-3', discrepancy: 'amount_mismatch', action: 'manual' })
+    ]);
+    expect(await getBooking(settledBookingId)).toMatchObject({ status: 'pending', paymentStatus: 'unpaid' });
+  });
+
+  it('applies missed settlements through the notification path', async () => {
+    const response = await reconcile();
+
+    expect(response.body.data).toMatchObject({ dryRun: false, checked: 3, fixed: 1 });
+    expect(response.body.data.discrepancies.map(row => [row.orderId, row.action])).toEqual([
+      ['ORDER-REC-1', 'fixed'],
+      ['ORDER-REC-3', 'manual']
+    ]);
+    expect(await getBooking(settledBookingId)).toMatchObject({ status: 'confirmed', paymentStatus: 'Berhasil' });
+    expect(await repositories.tagihan.get('ORDER-REC-1')).toMatchObject({ status: 'Berhasil' });
+
+    // Settled payments stay under watch for refunds, and now match
+    const again = await reconcile();
+    expect(again.body.data).toMatchObject({ checked: 3, matched: 2, fixed: 0 });
+  });
+
+  it('downloads the discrepancies as CSV', async () => {
+    const response = await fetch(`${api.baseUrl}/api/admin/reconciliation?format=csv`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokens.admin}` },
+      body: JSON.stringify({ from: today, to: today, dryRun: true })
+    });
+    const lines = (await response.text()).trim().split('\r\n');
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toContain('text/csv');
+    expect(response.headers.get('content-disposition')).toContain(`reconciliation-${today}-${today}.csv`);
+    expect(lines[0]).toBe('orderId,bookingId,createdAt,amount,localStatus,localPaymentStatus,midtransStatus,' +
+      'midtransAmount,discrepancy,action,error');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toMatch(/^ORDER-REC-3,.*,amount_mismatch,manual,$/);
+  });
+
+  it('only covers transactions created in the range', async () => {
+    const response = await reconcile({ from: addDays(today, -7), to: addDays(today, -1) });
+
+    expect(response.body.data).toMatchObject({ checked: 0, discrepancies: [] });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Paying for a booking schedules reminders, which follow reschedules and
+ * cancellations and go out by email and push (console provider)
+ */
+
+const { setupE2E, startServer, seedClinic } = require('../helpers/api');
+
+const { signToken } = setupE2E();
+
+const { midtransConfig } = require('../../config/midtrans');
+const { processDueReminders } = require('../../services/reminders');
+const { addDays, clinicNow, toClinicDate } = require('../../utils/time');
+const app = require('../../server');
+
+const tokens = {
+  admin: signToken({ uid: 'admin-1', roles: ['admin'] }),
+  patient: signToken({ uid: 'patient-1', email: 'budi@example.com', name: 'Budi', roles: ['patient'] }),
+  other: signToken({ uid: 'patient-2', roles: ['patient'] })
+};
+
+const appointmentDate = addDays(clinicNow().date, 3);
+let api;
+
+const bookAndPay = async (appointmentTime, orderId) => {
+  const booking = await api.request('POST', '/api/bookings', {
+    token: tokens.patient,
+    body: { doctorId: 'doctor-1', appointmentDate, appointmentTime, serviceType: 'SCALING' }
+  });
+  const bookingId = booking.body.data.bookingId;
+  await api.request('POST', '/api/create-transaction', {
+    token: tokens.patient,
+    body: { bookingId, orderId, customer_details: { name: 'Budi', email: 'budi@example.com' } }
+  });
+  await api.request('POST', `/simulator/transactions/${orderId}/settlement`);
+  return bookingId;
+};
+
+const remindersOf = async (bookingId) => {
+  const response = await api.request('GET', `/api/bookings/${bookingId}/reminders`, { token: tokens.patient });
+  return response.body.data;
+};
+
+const summarize = (reminders) => reminders.map(reminder => [reminder.offset, reminder.appointmentTime, reminder.status]);
+
+beforeAll(async () => {
+  api = await startServer(app);
+  midtransConfig.simulator.baseUrl = `${api.baseUrl}/simulator`;
+  midtransConfig.simulator.webhookUrl = `${api.baseUrl}/api/notification`;
+  await seedClinic(api.request, tokens.admin);
+});
+
+afterAll(async () => {
+  await api.stop();
+  jest.restoreAllMocks();
+});
+
+describe('appointment reminders', () => {
+  it('registers and unregisters devices', async () => {
+    const registered = await api.request('POST', '/api/devices', {
+      token: tokens.patient,
+      body: { token: 'fcm-token-1', platform: 'android' }
+    });
+    const invalid = await api.request('POST', '/api/devices', {
+      token: tokens.patient,
+      body: { token: 'fcm-token-2', platform: 'symbian' }
+    });
+    const notOwner = await api.request('DELETE', '/api/devices/fcm-token-1', { token: tokens.other });
+
+    expect(registered.status).toBe(201);
+    expect(invalid.status).toBe(400);
+    expect(notOwner.status).toBe(404);
+  });
+
+  it('schedules reminders once the booking is paid and sends them when due', async () => {
+    const bookingId = await bookAndPay('09:00', 'ORDER-REMIND-1');
+
+    expect(summarize(await remindersOf(bookingId))).toEqual([
+      ['24h', '09:00', 'scheduled'],
+      ['2h', '09:00', 'scheduled']
+    ]);
+
+    const dayBefore = new Date(toClinicDate(appointmentDate, '09:00').getTime() - 23 * 60 * 60 * 1000);
+    const summary = await processDueReminders({ now: dayBefore });
+
+    expect(summary).toEqual({ sent: 1, failed: 0, skipped: 0, cancelled: 0 });
+    const [dayReminder] = await remindersOf(bookingId);
+    expect(dayReminder.channels).toMatchObject({ email: { status: 'queued' }, push: { status: 'sent', devices: 1 } });
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('📱 Push to 1 device(s): Pengingat janji temu'));
+
+    const forbidden = await api.request('GET', `/api/bookings/${bookingId}/reminders`, { token: tokens.other });
+    expect(forbidden.status).toBe(403);
+  });
+
+  it('replaces reminders on reschedule and cancels them with the booking', async () => {
+    const bookingId = await bookAndPay('11:00', 'ORDER-REMIND-2');
+
+    await api.request('POST', `/api/bookings/${bookingId}/reschedule`, {
+      token: tokens.patient,
+      body: { appointmentDate, appointmentTime: '15:00', reason: 'Ada rapat' }
+    });
+    expect(summarize(await remindersOf(bookingId))).toEqual([
+      ['24h', '11:00', 'cancelled'],
+      ['24h', '15:00', 'scheduled'],
+      ['2h', '11:00', 'cancelled'],
+      ['2h', '15:00', 'scheduled']
+    ]);
+
+    await api.request('POST', `/api/bookings/${bookingId}/cancel`, { token: tokens.patient, body: { reason: 'Sakit' } });
+    const reminders = await remindersOf(bookingId);
+    expect(reminders.every(reminder => reminder.status === 'cancelled')).toBe(true);
+    expect(reminders[1].statusReason).toBe('Booking cancelled');
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Billing history: GET /api/tagihan filters, pagination, totals and the joined view
+ */
+
+const { setupE2E, startServer, seedClinic } = require('../helpers/api');
+
+const { signToken } = setupE2E();
+
+const { midtransConfig } = require('../../config/midtrans');
+const { addDays, clinicNow } = require('../../utils/time');
+const app = require('../../server');
+
+const tokens = {
+  admin: signToken({ uid: 'admin-1', roles: ['admin'] }),
+  patient: signToken({ uid: 'patient-1', roles: ['patient'] }),
+  otherPatient: signToken({ uid: 'patient-2', roles: ['patient'] })
+};
+
+const today = clinicNow().date;
+const appointmentDate = addDays(today, 3);
+let api;
+
+const book = async (token, appointmentTime, orderId) => {
+  const booking = await api.request('POST', '/api/bookings', {
+    token,
+    body: { doctorId: 'doctor-1', appointmentDate, appointmentTime, serviceType: 'SCALING' }
+  });
+  await api.request('POST', '/api/create-transaction', {
+    token,
+    body: {
+      bookingId: booking.body.data.bookingId,
+      orderId,
+      customer_details: { name: 'Budi', email: 'pasien@example.com', phone: '081234567890' }
+    }
+  });
+  return booking.body.data.bookingId;
+};
+
+const listTagihan = (query = '', token = tokens.patient) => api.request('GET', `/api/tagihan${query}`, { token });
+
+const orderIds = (response) => response.body.data.map(tagihan => tagihan.orderId);
+
+beforeAll(async () => {
+  api = await startServer(app);
+  midtransConfig.simulator.baseUrl = `${api.baseUrl}/simulator`;
+  midtransConfig.simulator.webhookUrl = `${api.baseUrl}/api/notification`;
+  await seedClinic(api.request, tokens.admin);
+
+  await book(tokens.patient, '09:00', 'ORDER-TAG-1');
+  await book(tokens.patient, '10:00', 'ORDER-TAG-2');
+  await book(tokens.patient, '11:00', 'ORDER-TAG-3');
+  await book(tokens.patient, '12:00', 'ORDER-TAG-4');
+  await book(tokens.otherPatient, '13:00', 'ORDER-TAG-5');
+
+  await api.request('POST', '/simulator/transactions/ORDER-TAG-1/settlement');
+  await api.request('POST', '/simulator/transactions/ORDER-TAG-2/expire');
+  await api.request('POST', '/simulator/transactions/ORDER-TAG-5/settlement');
+});
+
+afterAll(async () => {
+  await api.stop();
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/tagihan', () => {
+  it('lists the patient\'s own tagihan, newest first, with totals on request', async () => {
+    expect((await listTagihan()).body.totals).toBeNull();
+
+    const response = await listTagihan('?totals=true');
+
+    expect(response.status).toBe(200);
+    expect(orderIds(response)).toEqual(['ORDER-TAG-4', 'ORDER-TAG-3', 'ORDER-TAG-2', 'ORDER-TAG-1']);
+    expect(response.body.totals).toEqual({
+      count: 4,
+      amount: 888000,
+      byStatus: {
+        unpaid: { count: 2, amount: 444000 },
+        expired: { count: 1, amount: 222000 },
+        Berhasil: { count: 1, amount: 222000 }
+      }
+    });
+    expect(response.body.nextCursor).toBeNull();
+  });
+
+  it('filters by status, counting new tagihan as unpaid', async () => {
+    const unpaid = await listTagihan('?status=unpaid&totals=true');
+    const settled = await listTagihan('?status=Berhasil,expired&order=asc');
+
+    expect(orderIds(unpaid)).toEqual(['ORDER-TAG-4', 'ORDER-TAG-3']);
+    expect(unpaid.body.totals).toMatchObject({ count: 2, amount: 444000 });
+    expect(orderIds(settled)).toEqual(['ORDER-TAG-1', 'ORDER-TAG-2']);
+  });
+
+  it('filters by creation date', async () => {
+    expect((await listTagihan(`?from=${today}&to=${today}&totals=true`)).body.totals.count).toBe(4);
+    expect((await listTagihan(`?to=${addDays(today, -1)}&totals=true`)).body).toMatchObject({ data: [], totals: { count: 0 } });
+  });
+
+  it('pages with a cursor, totalling every page on the first', async () => {
+    const first = await listTagihan('?limit=3&totals=true');
+    const second = await listTagihan(`?limit=3&totals=true&cursor=${first.body.nextCursor}`);
+
+    expect(orderIds(first)).toEqual(['ORDER-TAG-4', 'ORDER-TAG-3', 'ORDER-TAG-2']);
+    expect(first.body.nextCursor).toBe('ORDER-TAG-2');
+    expect(first.body.totals.count).toBe(4);
+    expect(orderIds(second)).toEqual(['ORDER-TAG-1']);
+    expect(second.body.nextCursor).toBeNull();
+    expect(second.body.totals).toBeNull();
+  });
+
+  it('joins booking and transaction summaries in the full view', async () => {
+    const response = await listTagihan('?view=full&status=unpaid,Berhasil&order=asc');
+    const [paid, unpaid] = response.body.data;
+
+    expect(paid).toMatchObject({
+      orderId: 'ORDER-TAG-1',
+      status: 'Berhasil',
+      booking: { appointmentDate, appointmentTime: '09:00', serviceType: 'SCALING', status: 'confirmed' },
+      transaction: { status: 'confirmed', paymentStatus: 'Berhasil', payment_url: null }
+    });
+    expect(unpaid.booking).toMatchObject({ appointmentTime: '11:00', status: 'pending' });
+    expect(unpaid.transaction.payment_url).toMatch(/\/simulator\/snap\//);
+  });
+
+  it('lets admins list one patient or everyone', async () => {
+    expect(orderIds(await listTagihan('?userId=patient-2', tokens.admin))).toEqual(['ORDER-TAG-5']);
+    expect((await listTagihan('?totals=true', tokens.admin)).body.totals.count).toBe(5);
+  });
+
+  it('keeps patients to their own tagihan', async () => {
+    expect((await listTagihan('?userId=patient-2')).status).toBe(403);
+    expect((await listTagihan('?cursor=ORDER-TAG-5')).status).toBe(400);
+  });
+
+  it('rejects invalid filters', async () => {
+    const response = await listTagihan('?status=paid');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('status must be one or more of: unpaid, partially_paid, Berhasil, failed, expired, refunded');
+    expect((await listTagihan('?view=everything')).status).toBe(400);
+    expect((await listTagihan(`?from=${today}&to=${addDays(today, -1)}`)).status).toBe(400);
+  });
+
+  it('requires authentication', async () => {
+    expect((await api.request('GET', '/api/tagihan')).status).toBe(401);
+  });
+});
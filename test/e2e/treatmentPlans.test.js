@@ -0,0 +1,194 @@
+/**
+ * Treatment plans: steps booked in order as their own visits, completed with
+ * them, and billed per visit or through one consolidated tagihan.
+ */
+
+const { setupE2E, startServer, seedClinic } = require('../helpers/api');
+
+const { signToken } = setupE2E();
+
+const { midtransConfig } = require('../../config/midtrans');
+const { db } = require('../../repositories/database');
+const repositories = require('../../repositories');
+const { addDays, clinicNow } = require('../../utils/time');
+const app = require('../../server');
+
+const tokens = {
+  admin: signToken({ uid: 'admin-1', roles: ['admin'] }),
+  patient: signToken({ uid: 'patient-1', email: 'budi@example.com', name: 'Budi', roles: ['patient'] }),
+  stranger: signToken({ uid: 'patient-2', roles: ['patient'] })
+};
+
+const customer_details = { name: 'Budi', email: 'budi@example.com', phone: '081234567890' };
+const day = (offset) => addDays(clinicNow().date, offset);
+let api;
+
+const createPlan = async (body) => {
+  const response = await api.request('POST', '/api/treatment-plans', {
+    token: tokens.admin,
+    body: {
+      patientId: 'patient-1',
+      doctorId: 'doctor-1',
+      steps: [{ serviceType: 'SCALING' }, { serviceType: 'SCALING' }, { serviceType: 'SCALING', notes: 'Control' }],
+      ...body
+    }
+  });
+  return response.body.data;
+};
+
+const bookStep = (planId, step, appointmentDate, appointmentTime = '09:00') => {
+  return api.request('POST', `/api/treatment-plans/${planId}/steps/${step}/booking`, {
+    token: tokens.patient,
+    body: { appointmentDate, appointmentTime }
+  });
+};
+
+const getPlan = async (planId) => {
+  return (await api.request('GET', `/api/treatment-plans/${planId}`, { token: tokens.patient })).body.data;
+};
+
+beforeAll(async () => {
+  api = await startServer(app);
+  midtransConfig.simulator.baseUrl = `${api.baseUrl}/simulator`;
+  midtransConfig.simulator.webhookUrl = `${api.baseUrl}/api/notification`;
+  await seedClinic(api.request, tokens.admin);
+});
+
+afterAll(async () => {
+  await api.stop();
+  jest.restoreAllMocks();
+});
+
+describe('treatment plans', () => {
+  it('is created by staff and priced from the catalog', async () => {
+    const forbidden = await api.request('POST', '/api/treatment-plans', {
+      token: tokens.patient,
+      body: { patientId: 'patient-1', doctorId: 'doctor-1', title: 'Root canal', steps: [{ serviceType: 'SCALING' }] }
+    });
+    expect(forbidden.status).toBe(403);
+
+    const plan = await createPlan({ title: 'Root canal' });
+    expect(plan).toMatchObject({ billing: 'per_visit', status: 'active', estimatedTotal: 666000 });
+    expect(plan.steps.map(step => [step.step, step.status, step.estimatedAmount])).toEqual([
+      [1, 'planned', 222000],
+      [2, 'planned', 222000],
+      [3, 'planned', 222000]
+    ]);
+
+    const list = await api.request('GET', '/api/treatment-plans', { token: tokens.patient });
+    expect(list.body.data.map(item => item.planId)).toEqual([plan.planId]);
+
+    const denied = await api.request('GET', `/api/treatment-plans/${plan.planId}`, { token: tokens.stranger });
+    expect(denied.status).toBe(403);
+  });
+
+  it('books steps in order, each visit after the previous one', async () => {
+    const plan = await createPlan({ title: 'Orthodontic adjustment' });
+
+    const outOfOrder = await bookStep(plan.planId, 2, day(3));
+    expect(outOfOrder.status).toBe(409);
+    expect(outOfOrder.body.error).toBe('Step 1 must be booked first');
+
+    const first = await bookStep(plan.planId, 1, day(3));
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({ planId: plan.planId, planStep: 1, planBilling: 'per_visit' });
+
+    const again = await bookStep(plan.planId, 1, day(4));
+    expect(again.status).toBe(409);
+    expect(again.body.error).toBe('Step 1 is already scheduled');
+
+    const tooEarly = await bookStep(plan.planId, 2, day(3), '09:00');
+    expect(tooEarly.status).toBe(400);
+
+    const second = await bookStep(plan.planId, 2, day(4));
+    expect(second.status).toBe(201);
+
+    expect((await getPlan(plan.planId)).steps.map(step => step.status)).toEqual(['scheduled', 'scheduled', 'planned']);
+  });
+
+  it('completes the plan with the visit of its last step', async () => {
+    const plan = await createPlan({ title: 'Whitening', steps: [{ serviceType: 'SCALING' }, { serviceType: 'SCALING' }] });
+
+    for (const [step, offset] of [[1, 5], [2, 6]]) {
+      const booking = (await bookStep(plan.planId, step, day(offset))).body.data;
+
+      // Visits billed per visit are paid like any other booking
+      const payment = await api.request('POST', '/api/create-transaction', {
+        token: tokens.patient,
+        body: { bookingId: booking.bookingId, orderId: `ORDER-PLAN-${step}`, customer_details }
+      });
+      expect(payment.status).toBe(201);
+      await api.request('POST', `/simulator/transactions/ORDER-PLAN-${step}/settlement`);
+
+      const completed = await api.request('POST', `/api/bookings/${booking.bookingId}/complete`, { token: tokens.admin });
+      expect(completed.body.data.status).toBe('completed');
+    }
+
+    const result = await getPlan(plan.planId);
+    expect(result).toMatchObject({ status: 'completed', completedSteps: 2 });
+    expect(result.steps.every(step => step.completedAt)).toBe(true);
+  });
+
+  it('confirms every visit once the consolidated tagihan deposit is paid', async () => {
+    await api.request('PUT', '/api/services/SCALING', { token: tokens.admin, body: { depositPercent: 50 } });
+    const plan = await createPlan({ title: 'Implant', billing: 'consolidated', patientEmail: 'budi@example.com' });
+    expect(plan.depositAmount).toBe(333000);
+
+    const first = (await bookStep(plan.planId, 1, day(7))).body.data;
+    expect(first).toMatchObject({ status: 'pending', paymentStatus: 'unpaid' });
+
+    const single = await api.request('POST', '/api/create-transaction', {
+      token: tokens.patient,
+      body: { bookingId: first.bookingId, orderId: 'ORDER-VISIT-1', customer_details }
+    });
+    expect(single.status).toBe(409);
+
+    const payment = await api.request('POST', `/api/treatment-plans/${plan.planId}/payment`, {
+      token: tokens.patient,
+      body: { customer_details, payment_amount: 333000 }
+    });
+    expect(payment.status).toBe(201);
+    expect(payment.body.data.transaction).toMatchObject({ orderId: plan.planId, amount: 333000 });
+
+    await api.request('POST', `/simulator/transactions/${plan.planId}/settlement`);
+
+    expect(await repositories.bookings.get(first.bookingId)).toMatchObject({
+      status: 'confirmed',
+      paymentStatus: 'partially_paid'
+    });
+    expect(await repositories.tagihan.get(plan.planId)).toMatchObject({
+      planId: plan.planId,
+      status: 'partially_paid',
+      paidAmount: 333000,
+      outstandingAmount: 333000
+    });
+
+    // Visits booked after the deposit was paid are confirmed right away
+    const second = await bookStep(plan.planId, 2, day(8));
+    expect(second.body.data).toMatchObject({
+      status: 'confirmed',
+      statusReason: 'Paid through treatment plan',
+      paymentStatus: 'partially_paid'
+    });
+
+    // Cancelling a visit leaves the plan's payments alone
+    const cancelled = await api.request('POST', `/api/bookings/${first.bookingId}/cancel`, {
+      token: tokens.admin,
+      body: { reason: 'Rescheduling the plan' }
+    });
+    expect(cancelled.body.data.refunds).toBeUndefined();
+    expect(Object.values(db.dump('refunds'))).toEqual([]);
+  });
+
+  it('rejects plan payments for plans billed per visit', async () => {
+    const plan = await createPlan({ title: 'Fillings' });
+
+    const response = await api.request('POST', `/api/treatment-plans/${plan.planId}/payment`, {
+      token: tokens.patient,
+      body: { customer_details }
+    });
+
+    expect(response.status).toBe(409);
+    expect(await repositories.orders.get(plan.planId)).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Helpers for end-to-end tests that drive the Express app over HTTP
+ */
+
+// Offline defaults: in-memory store, local auth, the Midtrans simulator and console/mock senders
+const E2E_ENV = {
+  DATA_STORE: 'memory',
+  AUTH_PROVIDER: 'local',
+  AUTH_LOCAL_JWT_SECRET: 'e2e-secret',
+  MIDTRANS_MODE: 'simulator',
+  NOTIFICATION_FORWARD_URLS: '',
+  EMAIL_TRANSPORT: 'console',
+  PUSH_PROVIDER: 'console',
+  MESSAGING_PROVIDER: 'mock'
+};
+
+/**
+ * Prepare a test file to load the app offline. Call it before requiring the
+ * app or its config: sets E2E_ENV plus `env`, silences console output
+ * (request logs and the warnings printed on require) and stubs the Firebase
+ * Admin SDK. Resolves `signToken` for local auth tokens.
+ */
+const setupE2E = (env = {}) => {
+  Object.assign(process.env, E2E_ENV, env);
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  jest.doMock('../../config/firebase', () => ({}));
+
+  // Required here: the provider reads AUTH_* when it is loaded
+  const { getAuthProvider } = require('../../services/authProvider');
+  const provider = getAuthProvider();
+  return { signToken: claims => provider.signToken(claims) };
+};
+
+// Listen on a free port; resolves with { server, baseUrl, request }
+const startServer = async (app) => {
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const stop = () => new Promise(resolve => server.close(resolve));
+
+  return { server, baseUrl, request, stop };
+};
+
+// Doctor working every day 09:00-17:00 and a SCALING service (IDR 200,000 + 11% PPN)
+const seedClinic = async (request, adminToken) => {
+  const hours = [{ start: '09:00', end: '17:00' }];
+  const weeklyHours = Object.fromEntries(
+    ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].map(day => [day, hours])
+  );
+
+  await request('PUT', '/api/doctors/doctor-1/schedule', { token: adminToken, body: { weeklyHours } });
+  await request('POST', '/api/services', {
+    token: adminToken,
+    body: { code: 'SCALING', name: 'Scaling', price: 200000, duration: 60, taxRate: 11 }
+  });
+};
+
+// Poll until `check` resolves truthy
+const waitFor = async (check, { timeout = 2000, interval = 20 } = {}) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+};
+
+module.exports = {
+  setupE2E,
+  startServer,
+  seedClinic,
+  waitFor
+};
@@ -0,0 +1,18 @@
+/**
+ * firebase-admin stand-in backed by the in-memory Firestore, for unit tests
+ * that mock config/firebase
+ */
+
+const { createMemoryFirestore, FieldValue, Timestamp } = require('../../repositories/memoryFirestore');
+
+const createFakeAdmin = () => {
+  const db = createMemoryFirestore();
+  const firestore = () => db;
+  firestore.FieldValue = FieldValue;
+  firestore.Timestamp = Timestamp;
+  return { firestore };
+};
+
+module.exports = {
+  createFakeAdmin
+};
@@ -0,0 +1,107 @@
+const mockVerifyIdToken = jest.fn();
+const mockGetUser = jest.fn();
+
+jest.mock('../../config/firebase', () => ({
+  auth: () => ({ verifyIdToken: mockVerifyIdToken, getUser: mockGetUser })
+}));
+jest.mock('../../config/auth', () => ({
+  provider: 'firebase',
+  checkRevoked: true,
+  tokenCacheTtlMs: 60000,
+  tokenCacheMaxEntries: 2
+}));
+
+const { verifyToken, verifyRole, clearTokenCache } = require('../../middleware/auth');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const decoded = (uid, claims = {}) => ({ uid, exp: Math.floor(Date.now() / 1000) + 3600, ...claims });
+
+beforeEach(() => {
+  clearTokenCache();
+  mockVerifyIdToken.mockReset();
+  mockGetUser.mockReset();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verifyToken', () => {
+  it('verifies with the revocation check and sets req.user', async () => {
+    mockVerifyIdToken.mockResolvedValue(decoded('u1'));
+    const req = { headers: { authorization: 'Bearer token-1' } };
+    const next = jest.fn();
+
+    await verifyToken(req, mockResponse(), next);
+
+    expect(mockVerifyIdToken).toHaveBeenCalledWith('token-1', true);
+    expect(req.user.uid).toBe('u1');
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('serves repeat requests from the cache', async () => {
+    mockVerifyIdToken.mockResolvedValue(decoded('u1'));
+
+    await verifyToken({ headers: { authorization: 'Bearer token-1' } }, mockResponse(), jest.fn());
+    await verifyToken({ headers: { authorization: 'Bearer token-1' } }, mockResponse(), jest.fn());
+
+    expect(mockVerifyIdToken).toHaveBeenCalledTimes(1);
+  });
+
+  it('verifies again after the user\'s cache entries are cleared', async () => {
+    mockVerifyIdToken.mockResolvedValue(decoded('u1'));
+
+    await verifyToken({ headers: { authorization: 'Bearer token-1' } }, mockResponse(), jest.fn());
+    clearTokenCache('u1');
+    await verifyToken({ headers: { authorization: 'Bearer token-1' } }, mockResponse(), jest.fn());
+
+    expect(mockVerifyIdToken).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects revoked or invalid tokens with 401', async () => {
+    mockVerifyIdToken.mockRejectedValue(Object.assign(new Error('revoked'), { code: 'auth/id-token-revoked' }));
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await verifyToken({ headers: { authorization: 'Bearer token-2' } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('verifyRole', () => {
+  it('allows users whose token carries an allowed role claim', () => {
+    const next = jest.fn();
+
+    verifyRole(['admin', 'doctor'])({ user: decoded('u1', { doctor: true }) }, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(mockGetUser).not.toHaveBeenCalled();
+  });
+
+  it('returns 403 without an allowed role', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    verifyRole(['admin'])({ user: decoded('u1', { patient: true }) }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('returns 401 when no user is set', () => {
+    const res = mockResponse();
+
+    verifyRole(['admin'])({}, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
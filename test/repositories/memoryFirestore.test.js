@@ -0,0 +1,148 @@
+jest.mock('../../config/firebase', () => require('../helpers/fakeFirebase').createFakeAdmin());
+
+const { createMemoryFirestore, FieldValue, Timestamp } = require('../../repositories/memoryFirestore');
+const { createRepositories } = require('../../repositories');
+
+let db;
+
+beforeEach(() => {
+  db = createMemoryFirestore();
+});
+
+describe('documents', () => {
+  it('stores copies, resolves server timestamps and merges on request', async () => {
+    const data = { name: 'Budi', address: { city: 'Bandung' } };
+    await db.collection('patients').doc('p1').set({ ...data, created_at: FieldValue.serverTimestamp() });
+    data.address.city = 'changed';
+
+    await db.collection('patients').doc('p1').set({ address: { zip: '40111' } }, { merge: true });
+    const doc = await db.collection('patients').doc('p1').get();
+
+    expect(doc.data().address).toEqual({ city: 'Bandung', zip: '40111' });
+    expect(doc.data().created_at).toBeInstanceOf(Timestamp);
+  });
+
+  it('applies dotted paths and transforms on update, and fails for missing documents', async () => {
+    const ref = db.collection('counters').doc('c1');
+    await ref.set({ count: 1, tags: ['a'], meta: { source: 'x' } });
+
+    await ref.update({ count: FieldValue.increment(2), tags: FieldValue.arrayUnion('a', 'b'), 'meta.source': 'y' });
+
+    expect((await ref.get()).data()).toEqual({ count: 3, tags: ['a', 'b'], meta: { source: 'y' } });
+    await expect(db.collection('counters').doc('missing').update({ count: 1 })).rejects.toThrow('No document to update');
+  });
+});
+
+describe('queries', () => {
+  beforeEach(async () => {
+    const bookings = db.collection('bookings');
+    await bookings.doc('b1').set({ doctorId: 'd1', appointmentDate: '2025-01-02', status: 'pending' });
+    await bookings.doc('b2').set({ doctorId: 'd1', appointmentDate: '2025-01-01', status: 'confirmed' });
+    await bookings.doc('b3').set({ doctorId: 'd2', appointmentDate: '2025-01-03', status: 'pending' });
+    await bookings.doc('b4').set({ doctorId: 'd1', appointmentDate: '2025-01-04', status: 'pending' });
+  });
+
+  it('filters, orders and limits', async () => {
+    const snapshot = await db.collection('bookings')
+      .where('doctorId', '==', 'd1')
+      .where('appointmentDate', '>=', '2025-01-02')
+      .orderBy('appointmentDate', 'desc')
+      .limit(1)
+      .get();
+
+    expect(snapshot.docs.map(doc => doc.id)).toEqual(['b4']);
+  });
+
+  it('pages with startAfter a document snapshot', async () => {
+    const query = db.collection('bookings').orderBy('appointmentDate');
+    const cursor = await db.collection('bookings').doc('b1').get();
+
+    const snapshot = await query.startAfter(cursor).get();
+
+    expect(snapshot.docs.map(doc => doc.id)).toEqual(['b3', 'b4']);
+  });
+
+  it('supports in and array-contains filters', async () => {
+    await db.collection('bookings').doc('b1').update({ tags: ['vip'] });
+
+    const byStatus = await db.collection('bookings').where('status', 'in', ['confirmed']).get();
+    const byTag = await db.collection('bookings').where('tags', 'array-contains', 'vip').get();
+
+    expect(byStatus.docs.map(doc => doc.id)).toEqual(['b2']);
+    expect(byTag.docs.map(doc => doc.id)).toEqual(['b1']);
+  });
+
+  it('returns only selected fields', async () => {
+    const snapshot = await db.collection('bookings').where('doctorId', '==', 'd2').select('status').get();
+
+    expect(snapshot.docs.map(doc => doc.data())).toEqual([{ status: 'pending' }]);
+  });
+});
+
+describe('transactions', () => {
+  it('commits all writes or none', async () => {
+    const ref = db.collection('slots').doc('s1');
+
+    await expect(db.runTransaction(async (transaction) => {
+      transaction.set(ref, { taken: true });
+      transaction.update(db.collection('slots').doc('missing'), { taken: true });
+    })).rejects.toThrow('No document to update');
+
+    expect((await ref.get()).exists).toBe(false);
+  });
+
+  it('rejects reads after writes', async () => {
+    await expect(db.runTransaction(async (transaction) => {
+      transaction.set(db.collection('slots').doc('s1'), { taken: true });
+      await transaction.get(db.collection('slots').doc('s2'));
+    })).rejects.toThrow('all reads to be executed before all writes');
+  });
+
+  it('runs one at a time so concurrent claims on a document conflict', async () => {
+    const ref = db.collection('slots').doc('s1');
+    const claim = (bookingId) => db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (doc.exists) throw new Error('taken');
+      transaction.set(ref, { bookingId });
+    });
+
+    const results = await Promise.allSettled([claim('b1'), claim('b2')]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect((await ref.get()).data()).toEqual({ bookingId: 'b1' });
+  });
+});
+
+describe('repositories', () => {
+  it('expose the same API over the in-memory store', async () => {
+    const repositories = createRepositories(db);
+
+    await repositories.runTransaction(async (transaction) => {
+      await repositories.orders.create('ORDER-1', { orderId: 'ORDER-1', amount: 1000 }, { transaction });
+    });
+    await repositories.orders.update('ORDER-1', { status: 'pending' });
+    await repositories.transactions.save('ORDER-1', { bookingId: 'BOOK-1', amount: 1000 });
+
+    expect(await repositories.orders.get('ORDER-1')).toEqual({ orderId: 'ORDER-1', amount: 1000, status: 'pending' });
+    expect(await repositories.orders.get('ORDER-2')).toBeNull();
+    expect(await repositories.transactions.findByBookingId('BOOK-1')).toEqual([
+      { id: 'ORDER-1', bookingId: 'BOOK-1', amount: 1000 }
+    ]);
+  });
+
+  it('page bookings with a cursor', async () => {
+    const repositories = createRepositories(db);
+    for (const [id, date] of [['b1', '2025-01-01'], ['b2', '2025-01-02'], ['b3', '2025-01-03']]) {
+      await repositories.bookings.create(id, { doctorId: 'd1', appointmentDate: date, appointmentTime: '09:00' });
+    }
+    const options = { doctorId: 'd1', sortBy: 'appointmentDate', order: 'asc', limit: 2 };
+
+    const first = await repositories.bookings.list(options);
+    const second = await repositories.bookings.list({ ...options, cursor: first.nextCursor });
+
+    expect(first.bookings.map(booking => booking.id)).toEqual(['b1', 'b2']);
+    expect(first.nextCursor).toBe('b2');
+    expect(second.bookings.map(booking => booking.id)).toEqual(['b3']);
+    expect(second.nextCursor).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../config/firebase', () => ({}));
+
+const { createLocalProvider, createAuthProvider } = require('../../services/authProvider');
+
+const options = { secret: 'test-secret', issuer: 'klinik-test', tokenTtl: '1h' };
+
+describe('local auth provider', () => {
+  const provider = createLocalProvider(options);
+
+  it('verifies its own tokens into a Firebase-shaped decoded token', async () => {
+    const token = provider.signToken({ uid: 'u1', email: 'u1@example.com', roles: ['admin', 'doctor'] });
+
+    const decoded = await provider.verifyIdToken(token);
+
+    expect(decoded.uid).toBe('u1');
+    expect(decoded.email).toBe('u1@example.com');
+    expect(decoded.admin).toBe(true);
+    expect(decoded.doctor).toBe(true);
+    expect(decoded.patient).toBeUndefined();
+    expect(decoded.exp).toBeGreaterThan(Date.now() / 1000);
+  });
+
+  it('rejects unknown roles when signing', () => {
+    expect(() => provider.signToken({ uid: 'u1', roles: ['superuser'] })).toThrow('Unknown role');
+  });
+
+  it('rejects tokens signed with another secret', async () => {
+    const token = createLocalProvider({ ...options, secret: 'other' }).signToken({ uid: 'u1' });
+
+    await expect(provider.verifyIdToken(token)).rejects.toThrow('invalid signature');
+  });
+
+  it('rejects expired tokens', async () => {
+    const token = provider.signToken({ uid: 'u1' }, { expiresIn: -10 });
+
+    await expect(provider.verifyIdToken(token)).rejects.toThrow('jwt expired');
+  });
+
+  it('rejects unsigned tokens', async () => {
+    const token = jwt.sign({ admin: true }, null, { algorithm: 'none', subject: 'u1', issuer: options.issuer });
+
+    await expect(provider.verifyIdToken(token)).rejects.toThrow();
+  });
+
+  it('requires a secret', () => {
+    expect(() => createLocalProvider({ ...options, secret: undefined })).toThrow('AUTH_LOCAL_JWT_SECRET is required');
+  });
+});
+
+describe('createAuthProvider', () => {
+  const originalEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+  });
+
+  it('refuses the local provider in production', () => {
+    process.env.NODE_ENV = 'production';
+
+    expect(() => createAuthProvider('local')).toThrow('cannot be used in production');
+  });
+
+  it('rejects unknown providers', () => {
+    expect(() => createAuthProvider('ldap')).toThrow('Unknown AUTH_PROVIDER');
+  });
+});
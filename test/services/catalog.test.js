@@ -0,0 +1,66 @@
+jest.mock('../../config/firebase', () => require('../helpers/fakeFirebase').createFakeAdmin());
+
+const catalogService = require('../../services/catalog');
+
+describe('normalizeService', () => {
+  it('uppercases the code and applies defaults', () => {
+    expect(catalogService.normalizeService({
+      code: 'root_canal',
+      name: ' Perawatan Saluran Akar ',
+      price: 1200000,
+      duration: 90
+    })).toEqual({
+      code: 'ROOT_CANAL',
+      name: 'Perawatan Saluran Akar',
+      price: 1200000,
+      duration: 90,
+      taxRate: 0,
+      active: true
+    });
+  });
+
+  it('rejects non-integer prices', () => {
+    expect(() => catalogService.normalizeService({ code: 'X1', name: 'Xray', price: 10.5, duration: 15 }))
+      .toThrow('price must be a positive whole number');
+  });
+
+  it('accepts partial updates', () => {
+    expect(catalogService.normalizeService({ price: 200000 }, { partial: true })).toEqual({ price: 200000 });
+  });
+});
+
+describe('priceService', () => {
+  it('returns the price as a single item without tax', () => {
+    expect(catalogService.priceService({ code: 'SCALING', name: 'Scaling', price: 150000, taxRate: 0 })).toEqual({
+      amount: 150000,
+      tax: 0,
+      depositAmount: 150000,
+      itemDetails: [{ id: 'SCALING', price: 150000, quantity: 1, name: 'Scaling' }]
+    });
+  });
+
+  it('adds a rounded tax line', () => {
+    const price = catalogService.priceService({ code: 'IMPLANT', name: 'Implant', price: 999999, taxRate: 11 });
+
+    expect(price.tax).toBe(110000);
+    expect(price.amount).toBe(1109999);
+    expect(price.itemDetails[1]).toEqual({ id: 'TAX', price: 110000, quantity: 1, name: 'PPN 11%' });
+  });
+
+  it('takes the deposit as a share of the price including tax', () => {
+    const price = catalogService.priceService({ code: 'IMPLANT', name: 'Implant', price: 10000000, taxRate: 11, depositPercent: 30 });
+
+    expect(price.depositAmount).toBe(3330000);
+    expect(() => catalogService.normalizeService({ depositPercent: 0 }, { partial: true }))
+      .toThrow('depositPercent must be a percentage above 0 and at most 100, or null');
+  });
+});
+
+describe('createService', () => {
+  it('refuses duplicate codes', async () => {
+    const input = { code: 'SCALING', name: 'Scaling', price: 150000, duration: 60 };
+    await catalogService.createService(input);
+
+    await expect(catalogService.createService(input)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('../../config/firebase', () => require('../helpers/fakeFirebase').createFakeAdmin());
+
+const mockSendMail = jest.fn();
+jest.mock('nodemailer', () => ({ createTransport: jest.fn(() => ({ sendMail: mockSendMail })) }));
+
+const admin = require('../../config/firebase');
+const emailConfig = require('../../config/email');
+const emailService = require('../../services/email');
+const { renderEmail, TEMPLATES } = require('../../services/emailTemplates');
+
+const db = admin.firestore();
+
+const booking = {
+  bookingId: 'BOOK-1',
+  patientName: 'Budi',
+  serviceName: 'Scaling',
+  appointmentDate: '2025-01-06',
+  appointmentTime: '09:00'
+};
+
+const outbox = () => Object.values(db.dump('email_outbox'));
+
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+beforeEach(async () => {
+  for (const id of Object.keys(db.dump('email_outbox'))) {
+    await db.collection('email_outbox').doc(id).delete();
+  }
+  mockSendMail.mockReset();
+  mockSendMail.mockResolvedValue({ messageId: '<1@klinik>' });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('renderEmail', () => {
+  it('renders every template in Indonesian and English', () => {
+    const data = {
+      ...booking,
+      orderId: 'ORDER-1',
+      amount: 222000,
+      paidAmount: 222000,
+      outstandingAmount: 111000,
+      invoiceNumber: 'INV/202501/0001',
+      refundAmount: 111000,
+      previousDate: '2025-01-05',
+      previousTime: '10:00',
+      reason: 'Sakit',
+      paymentUrl: 'https://pay.example/1',
+      expiresAt: '2025-01-05 10:00',
+      inviteLink: 'https://auth.example/reset'
+    };
+
+    for (const template of Object.keys(TEMPLATES)) {
+      for (const locale of ['id', 'en']) {
+        const email = renderEmail(template, locale, data);
+        expect(email.subject).toMatch(/^\[Klinik Gigi\] /);
+        expect(email.text).not.toMatch(/undefined|null/);
+      }
+    }
+  });
+
+  it('formats dates and amounts for the locale', () => {
+    const id = renderEmail('payment_succeeded', 'id', { ...booking, amount: 222000 });
+    const en = renderEmail('payment_succeeded', 'en', { ...booking, amount: 222000 });
+
+    expect(id.text).toContain('Halo Budi,');
+    expect(id.text).toContain('Senin, 6 Januari 2025, 09:00');
+    expect(id.text).toContain('Rp 222.000');
+    expect(en.text).toContain('Monday, 6 January 2025, 09:00');
+  });
+
+  it('escapes data in the HTML body', () => {
+    const email = renderEmail('booking_cancelled', 'en', { ...booking, reason: '<b>late</b>' });
+
+    expect(email.html).toContain('Reason: &lt;b&gt;late&lt;/b&gt;');
+  });
+
+  it('falls back to the default locale and rejects unknown templates', () => {
+    expect(renderEmail('booking_created', 'fr', booking).subject).toContain('telah diterima');
+    expect(() => renderEmail('newsletter', 'id', booking)).toThrow('Unknown email template: newsletter');
+  });
+});
+
+describe('email queue', () => {
+  const enqueue = () => emailService.enqueueEmail({
+    template: 'booking_created',
+    to: 'budi@example.com',
+    locale: 'en',
+    data: emailService.bookingEmailData(booking)
+  });
+
+  it('does not queue emails without a recipient', async () => {
+    const id = await emailService.enqueueEmail({ template: 'booking_created', to: null, data: booking });
+
+    expect(id).toBeNull();
+    expect(outbox()).toEqual([]);
+  });
+
+  it('sends queued emails once', async () => {
+    await enqueue();
+
+    expect(await emailService.processEmailQueue()).toEqual({ sent: 1, retrying: 0, failed: 0 });
+    expect(await emailService.processEmailQueue()).toEqual({ sent: 0, retrying: 0, failed: 0 });
+
+    expect(mockSendMail).toHaveBeenCalledTimes(1);
+    expect(mockSendMail.mock.calls[0][0]).toMatchObject({
+      from: emailConfig.from,
+      to: 'budi@example.com',
+      subject: '[Klinik Gigi] Your Scaling booking was received'
+    });
+    expect(outbox()[0]).toMatchObject({ status: 'sent', attempts: 1, messageId: '<1@klinik>' });
+  });
+
+  it('retries failures with backoff, then gives up', async () => {
+    mockSendMail.mockRejectedValue(new Error('Connection refused'));
+    await enqueue();
+    let now = new Date();
+
+    expect(await emailService.processEmailQueue({ now })).toMatchObject({ retrying: 1 });
+    expect(outbox()[0]).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Connection refused' });
+
+    // Not due again until the retry delay has passed
+    expect(await emailService.processEmailQueue({ now: minutesFrom(now, 0.5) })).toMatchObject({ retrying: 0 });
+
+    for (let attempt = 2; attempt <= emailConfig.queue.maxAttempts; attempt++) {
+      now = new Date(outbox()[0].nextAttemptAt.toMillis());
+      await emailService.processEmailQueue({ now });
+    }
+
+    expect(outbox()[0]).toMatchObject({ status: 'failed', attempts: emailConfig.queue.maxAttempts });
+    expect(mockSendMail).toHaveBeenCalledTimes(emailConfig.queue.maxAttempts);
+  });
+
+  it('picks up emails whose sender never finished once the lease runs out', async () => {
+    const id = await enqueue();
+    const now = new Date();
+    // Claimed by a sender that crashed before finishing
+    await db.collection('email_outbox').doc(id).update({
+      status: 'sending',
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(now.getTime() + emailConfig.queue.leaseMs)
+    });
+
+    expect(await emailService.processEmailQueue({ now })).toMatchObject({ sent: 0 });
+
+    expect(await emailService.processEmailQueue({ now: minutesFrom(now, 6) })).toMatchObject({ sent: 1 });
+  });
+});
@@ -0,0 +1,195 @@
+jest.mock('../../config/firebase', () => require('../helpers/fakeFirebase').createFakeAdmin());
+jest.mock('../../config/midtrans', () => ({}));
+
+const crypto = require('crypto');
+const admin = require('../../config/firebase');
+const messagingConfig = require('../../config/messaging');
+const messagingService = require('../../services/messaging');
+const { createWhatsAppAdapter, createSmsAdapter } = require('../../services/messageProviders');
+const { renderMessage, TEMPLATES } = require('../../services/messageTemplates');
+const { normalizePhone } = require('../../utils/validation');
+
+const db = admin.firestore();
+
+const message = {
+  id: 'msg-1',
+  to: '+6281234567890',
+  template: 'appointment_reminder',
+  locale: 'id',
+  params: ['Scaling', 'Senin, 6 Januari 2025, 09:00'],
+  text: 'Klinik Gigi: Pengingat'
+};
+
+const jsonResponse = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('normalizePhone', () => {
+  it('normalizes Indonesian numbers to E.164', () => {
+    expect(normalizePhone('081234567890')).toBe('+6281234567890');
+    expect(normalizePhone('0812-3456-7890')).toBe('+6281234567890');
+    expect(normalizePhone('+62 812 3456 7890')).toBe('+6281234567890');
+    expect(normalizePhone('6281234567890')).toBe('+6281234567890');
+  });
+
+  it('rejects numbers that are not Indonesian mobile numbers', () => {
+    expect(normalizePhone('12345')).toBeNull();
+    expect(normalizePhone('+14155550123')).toBeNull();
+    expect(normalizePhone(undefined)).toBeNull();
+  });
+});
+
+describe('renderMessage', () => {
+  it('renders every template in Indonesian and English', () => {
+    const data = {
+      serviceName: 'Scaling',
+      appointmentDate: '2025-01-06',
+      appointmentTime: '09:00',
+      bookingId: 'BOOK-1',
+      amount: 222000,
+      paymentUrl: 'https://pay.example/1',
+      expiresAt: '2025-01-05 10:00'
+    };
+
+    for (const template of Object.keys(TEMPLATES)) {
+      for (const locale of ['id', 'en']) {
+        const rendered = renderMessage(template, locale, data);
+        expect(rendered.text).toMatch(/^Klinik Gigi: /);
+        expect(rendered.text).not.toMatch(/undefined|null/);
+        expect(rendered.params.every(param => typeof param === 'string')).toBe(true);
+      }
+    }
+    expect(renderMessage('payment_link', 'fr', data)).toMatchObject({
+      locale: 'id',
+      params: ['Scaling', 'Rp 222.000', 'https://pay.example/1', '2025-01-05 10:00']
+    });
+  });
+});
+
+describe('provider adapters', () => {
+  it('sends WhatsApp template messages through the Cloud API', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue(jsonResponse(200, { messages: [{ id: 'wamid.1' }] }));
+    const adapter = createWhatsAppAdapter({ apiUrl: 'https://graph.test/v20.0', phoneNumberId: '123', accessToken: 'secret' });
+
+    const result = await adapter.send(message);
+
+    expect(result).toEqual({ messageId: 'wamid.1' });
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://graph.test/v20.0/123/messages');
+    expect(request.headers.Authorization).toBe('Bearer secret');
+    expect(JSON.parse(request.body)).toEqual({
+      messaging_product: 'whatsapp',
+      to: '6281234567890',
+      type: 'template',
+      template: {
+        name: 'appointment_reminder',
+        language: { code: 'id' },
+        components: [{
+          type: 'body',
+          parameters: [{ type: 'text', text: 'Scaling' }, { type: 'text', text: 'Senin, 6 Januari 2025, 09:00' }]
+        }]
+      }
+    });
+  });
+
+  it('surfaces provider errors', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue(jsonResponse(400, { error: { message: 'Template not approved' } }));
+    const adapter = createWhatsAppAdapter({ apiUrl: 'https://graph.test', phoneNumberId: '123', accessToken: 'secret' });
+
+    await expect(adapter.send(message)).rejects.toThrow('Provider rejected the message: Template not approved');
+  });
+
+  it('sends plain text through the SMS gateway', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue(jsonResponse(200, { id: 'sms-1' }));
+    const adapter = createSmsAdapter({ url: 'https://sms.test/send', apiKey: 'key', sender: 'KLINIK' });
+
+    expect(await adapter.send(message)).toEqual({ messageId: 'sms-1' });
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+      to: '+6281234567890',
+      from: 'KLINIK',
+      text: 'Klinik Gigi: Pengingat'
+    });
+  });
+
+  it('requires credentials', () => {
+    expect(() => createSmsAdapter({})).toThrow('SMS_GATEWAY_URL and SMS_GATEWAY_API_KEY are required');
+  });
+});
+
+describe('opt-outs', () => {
+  const signed = (body) => {
+    const raw = Buffer.from(JSON.stringify(body));
+    const signature = `sha256=${crypto.createHmac('sha256', 'app-secret').update(raw).digest('hex')}`;
+    return { raw, signature };
+  };
+
+  beforeEach(() => {
+    messagingConfig.whatsapp.appSecret = 'app-secret';
+  });
+
+  it('verifies WhatsApp webhook signatures', () => {
+    const { raw, signature } = signed({ entry: [] });
+
+    expect(messagingService.isValidWebhookSignature(raw, signature)).toBe(true);
+    expect(messagingService.isValidWebhookSignature(raw, 'sha256=forged')).toBe(false);
+    expect(messagingService.isValidWebhookSignature(raw, undefined)).toBe(false);
+  });
+
+  it('opts senders out on STOP and back in on START', async () => {
+    const reply = (from, body) => ({ entry: [{ changes: [{ value: { messages: [{ from, type: 'text', text: { body } }] } }] }] });
+
+    expect(await messagingService.handleInboundWhatsApp(reply('6281111111111', ' stop '))).toEqual({
+      optedOut: ['+6281111111111'],
+      optedIn: []
+    });
+    expect(await messagingService.isOptedOut('+6281111111111')).toBe(true);
+
+    await messagingService.handleInboundWhatsApp(reply('6281111111111', 'MULAI'));
+    expect(await messagingService.isOptedOut('+6281111111111')).toBe(false);
+  });
+
+  it('skips queued messages to numbers that opted out', async () => {
+    await messagingService.enqueueMessage({ template: 'appointment_reminder', to: '0812-2222-2222', locale: 'id', data: {} });
+    await messagingService.setOptOut('081222222222', true, 'patient');
+
+    const summary = await messagingService.processMessageQueue();
+
+    expect(summary).toEqual({ sent: 0, retrying: 0, failed: 0, skipped: 1 });
+    expect(Object.values(db.dump('message_outbox'))).toEqual([
+      expect.objectContaining({ to: '+6281222222222', status: 'skipped', lastError: 'Recipient opted out' })
+    ]);
+  });
+
+  it('queues nothing for invalid numbers', async () => {
+    expect(await messagingService.enqueueMessage({ template: 'booking_confirmed', to: '12345', data: {} })).toBeNull();
+    await expect(messagingService.setOptOut('12345', true, 'patient')).rejects.toThrow('valid Indonesian phone number');
+  });
+});
+
+describe('normalizeStoredPhones', () => {
+  it('rewrites stored customer phone numbers in E.164', async () => {
+    await db.collection('orders').doc('ORDER-1').set({ customerDetails: { phone: '081234567890' } });
+    await db.collection('orders').doc('ORDER-2').set({ customerDetails: { phone: '+6281234567890' } });
+    await db.collection('transactions').doc('ORDER-1').set({ customer_details: { phone: 'n/a' } });
+
+    const dryRun = await messagingService.normalizeStoredPhones({ dryRun: true, batchSize: 1 });
+    expect(db.dump('orders')['ORDER-1'].customerDetails.phone).toBe('081234567890');
+
+    const summary = await messagingService.normalizeStoredPhones({ batchSize: 1 });
+
+    expect(dryRun).toEqual(summary);
+    expect(summary).toEqual({
+      orders: { checked: 2, updated: 1, invalid: 0 },
+      transactions: { checked: 1, updated: 0, invalid: 1 }
+    });
+    expect(db.dump('orders')['ORDER-1'].customerDetails.phone).toBe('+6281234567890');
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../../config/firebase', () => require('../helpers/fakeFirebase').createFakeAdmin());
+jest.mock('../../config/midtrans', () => ({ midtransConfig: { serverKey: 'sim-key' } }));
+
+const { createMidtransSimulator } = require('../../services/midtransSimulator');
+const { isValidMidtransSignature } = require('../../utils/validation');
+
+const config = {
+  serverKey: 'sim-key',
+  merchantId: 'SIMULATOR',
+  simulator: { baseUrl: 'http://localhost:3001/simulator', webhookUrl: 'http://localhost:3001/api/notification' }
+};
+
+const payload = (orderId, amount = 150000) => ({
+  transaction_details: { order_id: orderId, gross_amount: amount },
+  enabled_payments: ['bca_va']
+});
+
+let simulator;
+
+beforeEach(() => {
+  simulator = createMidtransSimulator(config);
+  global.fetch = jest.fn(async () => ({ status: 200, text: async () => '{"success":true}' }));
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+const postedNotifications = () => global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body));
+
+describe('snap', () => {
+  it('returns a token and a redirect to the simulator page', async () => {
+    const response = await simulator.snap.createTransaction(payload('ORDER-1'));
+
+    expect(response.token).toEqual(expect.any(String));
+    expect(response.redirect_url).toBe(`http://localhost:3001/simulator/snap/${response.token}`);
+    expect(simulator.findByToken(response.token).order_id).toBe('ORDER-1');
+  });
+
+  it('rejects reused order ids like Midtrans', async () => {
+    await simulator.snap.createTransaction(payload('ORDER-1'));
+
+    await expect(simulator.snap.createTransaction(payload('ORDER-1'))).rejects.toMatchObject({ httpStatusCode: '400' });
+  });
+});
+
+describe('status API', () => {
+  it('answers 404 until a payment method is chosen', async () => {
+    await simulator.snap.createTransaction(payload('ORDER-1'));
+
+    await expect(simulator.core.transaction.status('ORDER-1')).rejects.toMatchObject({ httpStatusCode: '404' });
+    await expect(simulator.core.transaction.status('ORDER-X')).rejects.toMatchObject({ httpStatusCode: '404' });
+  });
+});
+
+describe('fireNotification', () => {
+  it('posts a signed notification to the webhook and updates the status', async () => {
+    await simulator.snap.createTransaction(payload('ORDER-1'));
+
+    const result = await simulator.fireNotification('ORDER-1', 'settlement');
+
+    expect(global.fetch).toHaveBeenCalledWith(config.simulator.webhookUrl, expect.objectContaining({ method: 'POST' }));
+    const [notification] = postedNotifications();
+    expect(notification).toMatchObject({
+      order_id: 'ORDER-1',
+      transaction_status: 'settlement',
+      status_code: '200',
+      gross_amount: '150000.00',
+      payment_type: 'bca_va'
+    });
+    expect(isValidMidtransSignature(notification, 'sim-key')).toBe(true);
+    expect(result.webhook).toEqual({ status: 200, body: { success: true } });
+    expect((await simulator.core.transaction.status('ORDER-1')).transaction_status).toBe('settlement');
+  });
+
+  it('uses Midtrans status codes for expire and deny', async () => {
+    await simulator.snap.createTransaction(payload('ORDER-1'));
+    await simulator.snap.createTransaction(payload('ORDER-2'));
+
+    await simulator.fireNotification('ORDER-1', 'expire');
+    await simulator.fireNotification('ORDER-2', 'deny');
+
+    expect(postedNotifications().map(n => n.status_code)).toEqual(['407', '202']);
+  });
+
+  it('rejects statuses that cannot be fired by hand', async () => {
+    await simulator.snap.createTransaction(payload('ORDER-1'));
+
+    await expect(simulator.fireNotification('ORDER-1', 'refund')).rejects.toMatchObject({ httpStatusCode: '400' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('refunds', () => {
+  it('refunds settled transactions and notifies the webhook', async () => {
+    await simulator.snap.createTransaction(payload('ORDER-1'));
+    await simulator.fireNotification('ORDER-1', 'settlement');
+
+    const partial = await simulator.core.transaction.refund('ORDER-1', { refund_key: 'r1', amount: 50000 });
+    expect(partial).toMatchObject({ transaction_status: 'partial_refund', refund_amount: '50000.00' });
+
+    const rest = await simulator.core.transaction.refund('ORDER-1', { refund_key: 'r2' });
+    expect(rest).toMatchObject({ transaction_status: 'refund', refund_amount: '100000.00' });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(postedNotifications().map(n => n.transaction_status)).toEqual(['settlement', 'partial_refund', 'refund']);
+  });
+
+  it('refuses to refund unpaid transactions', async () => {
+    await simulator.snap.createTransaction(payload('ORDER-1'));
+    await simulator.fireNotification('ORDER-1', 'pending');
+
+    await expect(simulator.core.transaction.refund('ORDER-1', { amount: 1000 })).rejects.toMatchObject({ httpStatusCode: '412' });
+  });
+});
+
+describe('cancel', () => {
+  it('cancels pending transactions and notifies the webhook', async () => {
+    await simulator.snap.createTransaction(payload('ORDER-1'));
+    await expect(simulator.core.transaction.cancel('ORDER-1')).rejects.toMatchObject({ httpStatusCode: '404' });
+
+    await simulator.fireNotification('ORDER-1', 'pending');
+    expect(await simulator.core.transaction.cancel('ORDER-1')).toMatchObject({ transaction_status: 'cancel' });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(postedNotifications().map(n => n.transaction_status)).toEqual(['pending', 'cancel']);
+    await expect(simulator.core.transaction.cancel('ORDER-1')).rejects.toMatchObject({ httpStatusCode: '412' });
+  });
+});
@@ -0,0 +1,410 @@
+jest.mock('../../config/firebase', () => require('../helpers/fakeFirebase').createFakeAdmin());
+jest.mock('../../config/midtrans', () => ({
+  snap: { createTransaction: jest.fn() },
+  core: { transaction: { status: jest.fn(), cancel: jest.fn() } }
+}));
+
+const admin = require('../../config/firebase');
+const { snap, core } = require('../../config/midtrans');
+const { FieldValue, Timestamp } = require('../../repositories/database');
+const paymentService = require('../../services/payment');
+
+const db = admin.firestore();
+
+const baseInput = {
+  orderId: 'ORDER-1',
+  bookingId: 'BOOK-1',
+  customerDetails: { name: 'Budi', email: 'budi@example.com', phone: '081234567890' },
+  userId: 'patient-1'
+};
+
+beforeEach(async () => {
+  for (const name of ['orders', 'tagihan', 'transactions', 'bookings', 'services', 'message_outbox', 'email_outbox']) {
+    for (const id of Object.keys(db.dump(name))) {
+      await db.collection(name).doc(id).delete();
+    }
+  }
+  await db.collection('services').doc('SCALING').set({
+    code: 'SCALING', name: 'Scaling', price: 150000, duration: 60, taxRate: 0, active: true
+  });
+  await db.collection('bookings').doc('BOOK-1').set({
+    bookingId: 'BOOK-1', pasienId: 'patient-1', serviceType: 'SCALING', status: 'pending'
+  });
+  snap.createTransaction.mockReset();
+  snap.createTransaction.mockResolvedValue({
+    token: 'snap-token-1',
+    redirect_url: 'https://app.midtrans.com/snap/v2/vtweb/snap-token-1'
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildSnapPayload', () => {
+  it('builds transaction, item and customer details from the order', () => {
+    const payload = paymentService.buildSnapPayload({ ...baseInput, amount: 150000, paymentType: 'gopay' });
+
+    expect(payload.transaction_details).toEqual({ order_id: 'ORDER-1', gross_amount: 150000 });
+    expect(payload.item_details).toEqual([
+      { id: 'BOOK-1', price: 150000, quantity: 1, name: 'Medical Consultation' }
+    ]);
+    expect(payload.customer_details.first_name).toBe('Budi');
+    expect(payload.enabled_payments).toEqual(['gopay']);
+  });
+
+  it('sets the Snap expiry from the start time in clinic time', () => {
+    const payload = paymentService.buildSnapPayload({
+      ...baseInput,
+      amount: 150000,
+      startTime: new Date('2025-01-06T02:30:00Z')
+    });
+
+    expect(payload.expiry).toEqual({ start_time: '2025-01-06 09:30:00 +0700', unit: 'minute', duration: 60 });
+  });
+
+  it('allows every payment method for unknown or "all" payment types', () => {
+    expect(paymentService.buildSnapPayload({ ...baseInput, paymentType: 'all' }).enabled_payments).toBeUndefined();
+    expect(paymentService.buildSnapPayload({ ...baseInput, paymentType: 'bitcoin' }).enabled_payments).toBeUndefined();
+  });
+});
+
+describe('createPayment', () => {
+  it('prices the order from the booking\'s service, ignoring client amounts', async () => {
+    await paymentService.createPayment({ ...baseInput, amount: 1 });
+
+    const payload = snap.createTransaction.mock.calls[0][0];
+    expect(payload.transaction_details.gross_amount).toBe(150000);
+    expect(payload.item_details).toEqual([{ id: 'SCALING', price: 150000, quantity: 1, name: 'Scaling' }]);
+    expect(db.dump('orders')['ORDER-1']).toMatchObject({ amount: 150000, serviceCode: 'SCALING' });
+  });
+
+  it('adds tax as a separate item so items add up to the gross amount', async () => {
+    await db.collection('services').doc('SCALING').update({ taxRate: 11 });
+
+    await paymentService.createPayment(baseInput);
+
+    const payload = snap.createTransaction.mock.calls[0][0];
+    const itemTotal = payload.item_details.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    expect(payload.transaction_details.gross_amount).toBe(166500);
+    expect(itemTotal).toBe(166500);
+  });
+
+  it('rejects bookings of another patient', async () => {
+    await expect(paymentService.createPayment({ ...baseInput, userId: 'patient-2' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(db.dump('orders')).toEqual({});
+  });
+
+  it('creates order, tagihan and transaction with the Snap token', async () => {
+    const result = await paymentService.createPayment(baseInput);
+
+    expect(result.created).toBe(true);
+    expect(snap.createTransaction).toHaveBeenCalledTimes(1);
+    expect(db.dump('orders')['ORDER-1']).toMatchObject({ bookingId: 'BOOK-1', amount: 150000, userId: 'patient-1' });
+    expect(db.dump('tagihan')['ORDER-1']).toMatchObject({ amount: 150000, status: 'pending' });
+    expect(db.dump('transactions')['ORDER-1'].expires_at.toMillis())
+      .toBe(db.dump('orders')['ORDER-1'].expires_at.toMillis());
+    expect(db.dump('transactions')['ORDER-1']).toMatchObject({
+      snap_token: 'snap-token-1',
+      payment_url: 'https://app.midtrans.com/snap/v2/vtweb/snap-token-1',
+      paymentStatus: 'unpaid'
+    });
+  });
+
+  it('reuses the existing Snap transaction on repeat calls', async () => {
+    await paymentService.createPayment(baseInput);
+    const result = await paymentService.createPayment(baseInput);
+
+    expect(result.created).toBe(false);
+    expect(result.transaction.snap_token).toBe('snap-token-1');
+    expect(snap.createTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects orders that belong to another user', async () => {
+    await paymentService.createPayment(baseInput);
+
+    await expect(paymentService.createPayment({ ...baseInput, userId: 'patient-2' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('removes the order and tagihan it created when Snap fails', async () => {
+    snap.createTransaction.mockRejectedValue(Object.assign(new Error('boom'), {
+      ApiResponse: { status_message: 'Access denied due to unauthorized transaction' }
+    }));
+
+    await expect(paymentService.createPayment(baseInput)).rejects.toMatchObject({
+      statusCode: 502,
+      message: 'Payment error: Access denied due to unauthorized transaction'
+    });
+    expect(db.dump('orders')).toEqual({});
+    expect(db.dump('tagihan')).toEqual({});
+    expect(db.dump('transactions')).toEqual({});
+  });
+
+  it('rejects Snap responses without a token', async () => {
+    snap.createTransaction.mockResolvedValue({});
+
+    await expect(paymentService.createPayment(baseInput)).rejects.toMatchObject({ statusCode: 502 });
+  });
+});
+
+describe('expired payment links', () => {
+  const expire = (orderId) => db.collection('transactions').doc(orderId).update({
+    expires_at: Timestamp.fromDate(new Date(Date.now() - 1000))
+  });
+
+  beforeEach(() => {
+    snap.createTransaction
+      .mockResolvedValueOnce({ token: 'snap-token-1', redirect_url: 'https://pay/1' })
+      .mockResolvedValueOnce({ token: 'snap-token-2', redirect_url: 'https://pay/2' });
+  });
+
+  it('renews an expired link under a suffixed order id linked to the tagihan', async () => {
+    await paymentService.createPayment(baseInput);
+    await expire('ORDER-1');
+
+    const result = await paymentService.createPayment(baseInput);
+
+    expect(result).toMatchObject({ created: true, renewed: true });
+    expect(snap.createTransaction.mock.calls[1][0].transaction_details.order_id).toBe('ORDER-1-2');
+    expect(db.dump('transactions')['ORDER-1-2']).toMatchObject({
+      tagihanId: 'ORDER-1',
+      attempt: 2,
+      snap_token: 'snap-token-2',
+      customer_details: { phone: '+6281234567890' }
+    });
+    expect(db.dump('transactions')['ORDER-1'].supersededBy).toBe('ORDER-1-2');
+    expect(db.dump('tagihan')['ORDER-1']).toMatchObject({ currentOrderId: 'ORDER-1-2', attemptCount: 2 });
+    expect(db.dump('orders')['ORDER-1'].currentOrderId).toBe('ORDER-1-2');
+  });
+
+  it('keeps using the renewed link until it expires too', async () => {
+    await paymentService.createPayment(baseInput);
+    await expire('ORDER-1');
+    await paymentService.createPayment(baseInput);
+
+    const byTagihan = await paymentService.getOrCreatePaymentForOrder('ORDER-1', 'patient-1');
+    const byAttempt = await paymentService.getOrCreatePaymentForOrder('ORDER-1-2', 'patient-1');
+
+    expect(byTagihan).toMatchObject({ created: false, transaction: { orderId: 'ORDER-1-2' } });
+    expect(byAttempt.transaction.orderId).toBe('ORDER-1-2');
+    expect(snap.createTransaction).toHaveBeenCalledTimes(2);
+  });
+
+  it('starts a new attempt after a failed payment, with the payment type asked for', async () => {
+    await paymentService.createPayment(baseInput);
+    await db.collection('transactions').doc('ORDER-1').update({ status: 'cancelled', paymentStatus: 'failed' });
+
+    const result = await paymentService.createPayment({ ...baseInput, paymentType: 'gopay' });
+
+    expect(result.transaction).toMatchObject({ orderId: 'ORDER-1-2', attempt: 2, payment_type: 'gopay' });
+    expect(snap.createTransaction.mock.calls[1][0].enabled_payments).toEqual(['gopay']);
+    expect(result.transaction.statusHistory).toEqual([
+      { status: 'pending', paymentStatus: 'unpaid', source: 'created', at: expect.any(Timestamp) }
+    ]);
+  });
+
+  it('does not renew the payment of a completed booking', async () => {
+    await paymentService.createPayment(baseInput);
+    await expire('ORDER-1');
+    await db.collection('bookings').doc('BOOK-1').update({ status: 'completed' });
+
+    await expect(paymentService.createPayment(baseInput)).rejects.toMatchObject({ statusCode: 409 });
+    expect(snap.createTransaction).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('part payments', () => {
+  beforeEach(async () => {
+    await db.collection('services').doc('SCALING').update({ depositPercent: 20 });
+    snap.createTransaction
+      .mockResolvedValueOnce({ token: 'snap-token-1', redirect_url: 'https://pay/1' })
+      .mockResolvedValueOnce({ token: 'snap-token-2', redirect_url: 'https://pay/2' });
+  });
+
+  it('charges a deposit as a single item and keeps the balance on the tagihan', async () => {
+    const result = await paymentService.createPayment({ ...baseInput, paymentAmount: 30000 });
+
+    const payload = snap.createTransaction.mock.calls[0][0];
+    expect(payload.transaction_details.gross_amount).toBe(30000);
+    expect(payload.item_details).toEqual([{ id: 'DP', price: 30000, quantity: 1, name: 'Uang muka Scaling' }]);
+    expect(result.transaction.amount).toBe(30000);
+    expect(db.dump('tagihan')['ORDER-1']).toMatchObject({
+      amount: 150000,
+      depositAmount: 30000,
+      paidAmount: 0,
+      outstandingAmount: 150000
+    });
+  });
+
+  it('charges the outstanding balance when no amount is asked for', async () => {
+    const result = await paymentService.createPayment(baseInput);
+
+    expect(result.transaction.amount).toBe(150000);
+    expect(snap.createTransaction.mock.calls[0][0].item_details[0].id).toBe('SCALING');
+  });
+
+  it('rejects a first payment below the deposit or any above the balance', async () => {
+    await expect(paymentService.createPayment({ ...baseInput, paymentAmount: 29999 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(paymentService.createPayment({ ...baseInput, paymentAmount: 150001 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(paymentService.createPayment({ ...baseInput, paymentAmount: 'half' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(db.dump('tagihan')).toEqual({});
+    expect(snap.createTransaction).not.toHaveBeenCalled();
+  });
+
+  it('takes the next part payment as a new attempt once the deposit is paid', async () => {
+    await paymentService.createPayment({ ...baseInput, paymentAmount: 30000 });
+    await db.collection('transactions').doc('ORDER-1').update({ status: 'confirmed', paymentStatus: 'Berhasil' });
+    await db.collection('tagihan').doc('ORDER-1').update({
+      status: 'partially_paid', paidAmount: 30000, outstandingAmount: 120000
+    });
+
+    const result = await paymentService.createPayment({ ...baseInput, paymentAmount: 50000 });
+
+    expect(result.transaction).toMatchObject({ orderId: 'ORDER-1-2', attempt: 2, amount: 50000 });
+    expect(snap.createTransaction.mock.calls[1][0].item_details).toEqual([
+      { id: 'CICILAN', price: 50000, quantity: 1, name: 'Cicilan Scaling' }
+    ]);
+    expect(db.dump('transactions')['ORDER-1'].supersededBy).toBeUndefined();
+    expect(db.dump('tagihan')['ORDER-1']).toMatchObject({ status: 'partially_paid', currentOrderId: 'ORDER-1-2' });
+    await expect(paymentService.createPayment({ ...baseInput, paymentAmount: 120001 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('replaces an open link with a new attempt for a different amount', async () => {
+    core.transaction.cancel.mockReset();
+    core.transaction.cancel.mockResolvedValue({ transaction_status: 'cancel' });
+    await paymentService.createPayment({ ...baseInput, paymentAmount: 30000 });
+
+    const same = await paymentService.createPayment({ ...baseInput, paymentAmount: 30000 });
+    expect(same).toMatchObject({ created: false, transaction: { orderId: 'ORDER-1' } });
+    expect(core.transaction.cancel).not.toHaveBeenCalled();
+
+    const result = await paymentService.createPayment({ ...baseInput, paymentAmount: 40000 });
+
+    expect(result).toMatchObject({ renewed: true, transaction: { orderId: 'ORDER-1-2', amount: 40000 } });
+    expect(core.transaction.cancel).toHaveBeenCalledWith('ORDER-1');
+    expect(db.dump('transactions')['ORDER-1'].supersededBy).toBe('ORDER-1-2');
+    await expect(paymentService.createPayment({ ...baseInput, paymentAmount: 150001 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('replaces a link Midtrans has no payment for, even one without expires_at', async () => {
+    core.transaction.cancel.mockReset();
+    core.transaction.cancel.mockRejectedValue(Object.assign(new Error('Transaction doesn\'t exist.'), { httpStatusCode: '404' }));
+    await paymentService.createPayment({ ...baseInput, paymentAmount: 30000 });
+    await db.collection('transactions').doc('ORDER-1').update({ expires_at: FieldValue.delete() });
+
+    const result = await paymentService.createPayment({ ...baseInput, paymentAmount: 40000 });
+
+    expect(result).toMatchObject({ renewed: true, transaction: { orderId: 'ORDER-1-2', amount: 40000 } });
+    expect(core.transaction.cancel).toHaveBeenCalledWith('ORDER-1');
+    expect(db.dump('tagihan')['ORDER-1']).toMatchObject({ currentOrderId: 'ORDER-1-2', attemptCount: 2 });
+  });
+
+  it('only allows paying in full when the service has no deposit', async () => {
+    await db.collection('services').doc('SCALING').update({ depositPercent: null });
+
+    await expect(paymentService.createPayment({ ...baseInput, paymentAmount: 30000 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect((await paymentService.createPayment({ ...baseInput, paymentAmount: 150000 })).transaction.amount)
+      .toBe(150000);
+  });
+});
+
+describe('resendPaymentLink', () => {
+  const adminUser = { uid: 'admin-1', admin: true };
+
+  // A transaction stored before expires_at was, created `createdAgoMs` ago
+  const makeLegacy = (createdAgoMs) => db.collection('transactions').doc('ORDER-1').update({
+    expires_at: FieldValue.delete(),
+    created_at: Timestamp.fromDate(new Date(Date.now() - createdAgoMs))
+  });
+
+  it('sends the link by email and WhatsApp/SMS at most once per cooldown', async () => {
+    await db.collection('bookings').doc('BOOK-1').update({ patientEmail: 'budi@example.com', serviceName: 'Scaling' });
+    await paymentService.createPayment(baseInput);
+
+    const result = await paymentService.resendPaymentLink('ORDER-1', adminUser);
+
+    expect(result).toMatchObject({
+      tagihanId: 'ORDER-1',
+      orderId: 'ORDER-1',
+      payment_url: 'https://app.midtrans.com/snap/v2/vtweb/snap-token-1',
+      regenerated: false,
+      delivered: { email: true, message: true }
+    });
+    expect(Object.values(db.dump('email_outbox')).map(email => email.template)).toEqual(['payment_link']);
+    await expect(paymentService.resendPaymentLink('ORDER-1', adminUser)).rejects.toMatchObject({ statusCode: 429 });
+  });
+
+  it('only lets the patient who owns the tagihan ask', async () => {
+    await paymentService.createPayment(baseInput);
+
+    await expect(paymentService.resendPaymentLink('ORDER-1', { uid: 'patient-2' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('resends a link without expires_at while within Midtrans\' default lifetime', async () => {
+    await paymentService.createPayment(baseInput);
+    await makeLegacy(60 * 60 * 1000);
+
+    const result = await paymentService.resendPaymentLink('ORDER-1', adminUser);
+
+    expect(result).toMatchObject({ orderId: 'ORDER-1', regenerated: false, delivered: { message: true } });
+    expect(result.expires_at.toMillis()).toBe(db.dump('transactions')['ORDER-1'].created_at.toMillis() + 24 * 60 * 60 * 1000);
+    expect(snap.createTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('starts a new attempt for a link without expires_at once that lifetime has passed', async () => {
+    snap.createTransaction
+      .mockResolvedValueOnce({ token: 'snap-token-1', redirect_url: 'https://pay/1' })
+      .mockResolvedValueOnce({ token: 'snap-token-2', redirect_url: 'https://pay/2' });
+    await paymentService.createPayment(baseInput);
+    await makeLegacy(25 * 60 * 60 * 1000);
+
+    const result = await paymentService.resendPaymentLink('ORDER-1', adminUser);
+
+    expect(result).toMatchObject({ orderId: 'ORDER-1-2', payment_url: 'https://pay/2', regenerated: true });
+  });
+});
+
+describe('getOrCreatePaymentForOrder', () => {
+  it('returns 404 for unknown orders', async () => {
+    await expect(paymentService.getOrCreatePaymentForOrder('MISSING', 'patient-1'))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('creates the Snap transaction for an order that has none', async () => {
+    await db.collection('orders').doc('ORDER-1').set({
+      orderId: 'ORDER-1',
+      bookingId: 'BOOK-1',
+      amount: 150000,
+      userId: 'patient-1'
+    });
+
+    const result = await paymentService.getOrCreatePaymentForOrder('ORDER-1', 'patient-1');
+
+    expect(result.created).toBe(true);
+    expect(snap.createTransaction.mock.calls[0][0].transaction_details.gross_amount).toBe(150000);
+  });
+});
+
+describe('formatPaymentResponse', () => {
+  it('exposes token and payment_url on the transaction', () => {
+    const response = paymentService.formatPaymentResponse({
+      order: {},
+      tagihan: {},
+      transaction: { orderId: 'ORDER-1', snap_token: 'abc', redirect_url: 'https://pay' }
+    });
+
+    expect(response.transaction).toMatchObject({ orderId: 'ORDER-1', token: 'abc', payment_url: 'https://pay' });
+  });
+});
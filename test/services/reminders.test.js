@@ -0,0 +1,185 @@
+const mockSendMulticast = jest.fn();
+jest.mock('../../config/firebase', () => ({
+  ...require('../helpers/fakeFirebase').createFakeAdmin(),
+  messaging: () => ({ sendEachForMulticast: mockSendMulticast })
+}));
+jest.mock('../../config/midtrans', () => ({}));
+
+const admin = require('../../config/firebase');
+const reminderService = require('../../services/reminders');
+const deviceService = require('../../services/devices');
+const { toClinicDate } = require('../../utils/time');
+
+const db = admin.firestore();
+
+const booking = {
+  bookingId: 'BOOK-1',
+  pasienId: 'patient-1',
+  patientEmail: 'budi@example.com',
+  patientName: 'Budi',
+  serviceName: 'Scaling',
+  appointmentDate: '2030-01-10',
+  appointmentTime: '09:00',
+  status: 'confirmed',
+  locale: 'en'
+};
+
+const appointmentAt = toClinicDate(booking.appointmentDate, booking.appointmentTime);
+const hoursBefore = (hours) => new Date(appointmentAt.getTime() - hours * 60 * 60 * 1000);
+
+const reminders = () => db.dump('reminders');
+
+const clear = async (collection) => {
+  for (const id of Object.keys(db.dump(collection))) {
+    await db.collection(collection).doc(id).delete();
+  }
+};
+
+const schedule = (data = booking, now = hoursBefore(48)) => {
+  return db.runTransaction(async (transaction) => {
+    reminderService.scheduleReminders(transaction, data, { now });
+  });
+};
+
+beforeEach(async () => {
+  for (const collection of ['reminders', 'bookings', 'device_tokens', 'email_outbox']) {
+    await clear(collection);
+  }
+  await db.collection('bookings').doc(booking.bookingId).set(booking);
+  mockSendMulticast.mockReset();
+  mockSendMulticast.mockImplementation(async ({ tokens }) => ({
+    successCount: tokens.length,
+    failureCount: 0,
+    responses: tokens.map(() => ({ success: true }))
+  }));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('scheduleReminders', () => {
+  it('schedules a reminder per offset before the appointment', async () => {
+    await schedule();
+
+    expect(reminders()['BOOK-1_24h_0']).toMatchObject({ status: 'scheduled', offsetMinutes: 1440, version: 0 });
+    expect(reminders()['BOOK-1_24h_0'].sendAt.toMillis()).toBe(hoursBefore(24).getTime());
+    expect(reminders()['BOOK-1_2h_0'].sendAt.toMillis()).toBe(hoursBefore(2).getTime());
+  });
+
+  it('records offsets that have already passed as skipped', async () => {
+    await schedule(booking, hoursBefore(5));
+
+    expect(reminders()['BOOK-1_24h_0']).toMatchObject({ status: 'skipped', statusReason: 'Booked after the reminder time' });
+    expect(reminders()['BOOK-1_2h_0'].status).toBe('scheduled');
+  });
+});
+
+describe('processDueReminders', () => {
+  it('sends due reminders by email and push', async () => {
+    await deviceService.registerDevice('patient-1', { token: 'token-a', platform: 'android' });
+    await schedule();
+
+    const summary = await reminderService.processDueReminders({ now: hoursBefore(23) });
+
+    expect(summary).toEqual({ sent: 1, failed: 0, skipped: 0, cancelled: 0 });
+    expect(reminders()['BOOK-1_24h_0']).toMatchObject({
+      status: 'sent',
+      channels: {
+        email: { status: 'queued', emailId: expect.any(String) },
+        push: { status: 'sent', devices: 1, failedDevices: 0 }
+      }
+    });
+    expect(reminders()['BOOK-1_2h_0'].status).toBe('scheduled');
+    expect(mockSendMulticast).toHaveBeenCalledWith(expect.objectContaining({
+      tokens: ['token-a'],
+      notification: { title: 'Appointment reminder', body: 'Scaling on 2030-01-10 at 09:00' },
+      data: { type: 'appointment_reminder', bookingId: 'BOOK-1', offset: '24h' }
+    }));
+    expect(Object.values(db.dump('email_outbox'))).toEqual([
+      expect.objectContaining({ template: 'appointment_reminder', to: 'budi@example.com', locale: 'en' })
+    ]);
+  });
+
+  it('removes device tokens FCM no longer accepts', async () => {
+    await deviceService.registerDevice('patient-1', { token: 'token-a' });
+    await deviceService.registerDevice('patient-1', { token: 'token-b' });
+    mockSendMulticast.mockResolvedValue({
+      successCount: 1,
+      failureCount: 1,
+      responses: [
+        { success: false, error: { code: 'messaging/registration-token-not-registered', message: 'Not registered' } },
+        { success: true }
+      ]
+    });
+    await schedule();
+
+    await reminderService.processDueReminders({ now: hoursBefore(23) });
+
+    expect(reminders()['BOOK-1_24h_0'].channels.push).toMatchObject({ status: 'sent', devices: 1, failedDevices: 1 });
+    expect(await deviceService.listTokens('patient-1')).toEqual(['token-b']);
+  });
+
+  it('fails a reminder when no channel delivers it', async () => {
+    await db.collection('bookings').doc('BOOK-1').update({ patientEmail: null });
+    await deviceService.registerDevice('patient-1', { token: 'token-a' });
+    mockSendMulticast.mockRejectedValue(new Error('FCM unavailable'));
+    await schedule();
+
+    const summary = await reminderService.processDueReminders({ now: hoursBefore(23) });
+
+    expect(summary.failed).toBe(1);
+    expect(reminders()['BOOK-1_24h_0'].channels).toMatchObject({
+      email: { status: 'skipped', reason: 'No email address' },
+      push: { status: 'failed', error: 'FCM unavailable' }
+    });
+  });
+
+  it('skips a reminder nobody can receive', async () => {
+    await db.collection('bookings').doc('BOOK-1').update({ patientEmail: null });
+    await schedule();
+
+    await reminderService.processDueReminders({ now: hoursBefore(23) });
+
+    expect(reminders()['BOOK-1_24h_0']).toMatchObject({ status: 'skipped', statusReason: 'No channel could reach the patient' });
+  });
+
+  it('does not send reminders for cancelled or rescheduled bookings', async () => {
+    await schedule();
+    await schedule({ ...booking, bookingId: 'BOOK-2' });
+    await db.collection('bookings').doc('BOOK-1').update({ status: 'cancelled' });
+    await db.collection('bookings').doc('BOOK-2').set({ ...booking, bookingId: 'BOOK-2', rescheduleCount: 1 });
+
+    const summary = await reminderService.processDueReminders({ now: hoursBefore(23) });
+
+    expect(summary).toEqual({ sent: 0, failed: 0, skipped: 0, cancelled: 2 });
+    expect(reminders()['BOOK-1_24h_0']).toMatchObject({ status: 'cancelled', statusReason: 'Booking is cancelled' });
+    expect(reminders()['BOOK-2_24h_0']).toMatchObject({ status: 'cancelled', statusReason: 'Booking was rescheduled' });
+    expect(mockSendMulticast).not.toHaveBeenCalled();
+  });
+
+  it('skips reminders found too late', async () => {
+    await schedule();
+
+    const summary = await reminderService.processDueReminders({ now: hoursBefore(3) });
+
+    expect(summary).toEqual({ sent: 0, failed: 0, skipped: 1, cancelled: 0 });
+    expect(reminders()['BOOK-1_24h_0']).toMatchObject({ status: 'skipped', statusReason: 'More than 60 minutes late' });
+  });
+
+  it('cancels the reminders still to be sent', async () => {
+    await schedule();
+    await db.collection('reminders').doc('BOOK-1_24h_0').update({ status: 'sent' });
+
+    await db.runTransaction(async (transaction) => {
+      const loaded = await reminderService.loadReminders(transaction, 'BOOK-1');
+      reminderService.cancelReminders(transaction, loaded, 'Booking cancelled');
+    });
+
+    expect(reminders()['BOOK-1_24h_0'].status).toBe('sent');
+    expect(reminders()['BOOK-1_2h_0']).toMatchObject({ status: 'cancelled', statusReason: 'Booking cancelled' });
+  });
+});
@@ -0,0 +1,51 @@
+const mockAuth = {
+  getUserByEmail: jest.fn(),
+  createUser: jest.fn(),
+  getUser: jest.fn(),
+  setCustomUserClaims: jest.fn(),
+  revokeRefreshTokens: jest.fn(),
+  generatePasswordResetLink: jest.fn()
+};
+jest.mock('../../config/firebase', () => ({
+  ...require('../helpers/fakeFirebase').createFakeAdmin(),
+  auth: () => mockAuth
+}));
+
+const admin = require('../../config/firebase');
+const roleService = require('../../services/roles');
+
+const db = admin.firestore();
+
+beforeEach(() => {
+  Object.values(mockAuth).forEach(mock => mock.mockReset());
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('inviteDoctor', () => {
+  it('emails the password setup link instead of returning it', async () => {
+    const error = Object.assign(new Error('not found'), { code: 'auth/user-not-found' });
+    mockAuth.getUserByEmail.mockRejectedValue(error);
+    mockAuth.createUser.mockResolvedValue({ uid: 'doctor-9', email: 'drg.sari@example.com' });
+    mockAuth.getUser.mockResolvedValue({ uid: 'doctor-9', email: 'drg.sari@example.com', customClaims: {} });
+    mockAuth.generatePasswordResetLink.mockResolvedValue('https://auth.example/reset?oob=secret');
+
+    const result = await roleService.inviteDoctor(
+      { email: 'drg.sari@example.com', displayName: 'drg. Sari' },
+      { actor: { uid: 'admin-1' } }
+    );
+
+    expect(result).toEqual({ uid: 'doctor-9', created: true, invited: true });
+    expect(JSON.stringify(result)).not.toContain('oob=secret');
+    expect(Object.values(db.dump('email_outbox'))).toEqual([
+      expect.objectContaining({
+        template: 'doctor_invite',
+        to: 'drg.sari@example.com',
+        data: { patientName: 'drg. Sari', inviteLink: 'https://auth.example/reset?oob=secret' }
+      })
+    ]);
+  });
+});
@@ -0,0 +1,24 @@
+const { escapeCsvValue, toCsv } = require('../../utils/csv');
+
+describe('escapeCsvValue', () => {
+  it('quotes separators, quotes and line breaks', () => {
+    expect(escapeCsvValue('Budi, Jakarta')).toBe('"Budi, Jakarta"');
+    expect(escapeCsvValue('drg. "Sari"')).toBe('"drg. ""Sari"""');
+    expect(escapeCsvValue(null)).toBe('');
+  });
+
+  it('prefixes text that a spreadsheet would run as a formula', () => {
+    expect(escapeCsvValue('=HYPERLINK("http://evil.example","Klik")')).toBe('"\'=HYPERLINK(""http://evil.example"",""Klik"")"');
+    expect(escapeCsvValue('+62812')).toBe("'+62812");
+    expect(escapeCsvValue('-1+1')).toBe("'-1+1");
+    expect(escapeCsvValue('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(escapeCsvValue('\tcmd')).toBe("'\tcmd");
+    expect(escapeCsvValue('\r=1')).toBe('"\'\r=1"');
+  });
+
+  it('leaves numbers alone', () => {
+    expect(escapeCsvValue(-150000)).toBe('-150000');
+    expect(toCsv([{ orderId: 'ORDER-1', amount: -150000 }], ['orderId', 'amount']))
+      .toBe('orderId,amount\r\nORDER-1,-150000\r\n');
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * CSV helpers for downloadable reports (RFC 4180, comma separated)
+ */
+
+// Text a spreadsheet would run as a formula (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value when it contains a separator, quote or line break. Text that
+// starts like a formula is prefixed with ' so it opens as plain text; numbers
+// (e.g. a negative amount) are left alone.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of objects -> CSV text with a header line of `columns`
+const toCsv = (rows, columns) => {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsv
+};
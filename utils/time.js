@@ -0,0 +1,89 @@
+/**
+ * Date and time helpers for appointments
+ * Dates are 'YYYY-MM-DD' and times are 'HH:mm', both in clinic local time
+ */
+
+const clinicConfig = require('../config/clinic');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Validate a 'YYYY-MM-DD' calendar date
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// Validate a 24-hour 'HH:mm' time
+const isValidTime = (value) => {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+};
+
+// 'HH:mm' -> minutes since midnight
+const parseTime = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since midnight -> 'HH:mm'
+const formatTime = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${hours}:${mins}`;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+// Number of days from one date to another (to - from)
+const diffDays = (from, to) => {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+};
+
+// Lowercase English day name, e.g. 'monday'
+const dayName = (date) => DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+// Clinic UTC offset in minutes, e.g. '+07:00' -> 420
+const offsetMinutes = () => {
+  const match = /^([+-])(\d{2}):(\d{2})$/.exec(clinicConfig.timezoneOffset);
+  if (!match) return 0;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+// Absolute instant of a clinic local date and time
+const toClinicDate = (date, time = '00:00') => {
+  return new Date(`${date}T${time}:00${clinicConfig.timezoneOffset}`);
+};
+
+// Current date and time on the clinic's wall clock
+const clinicNow = (now = new Date()) => {
+  const local = new Date(now.getTime() + offsetMinutes() * 60000);
+  return {
+    date: local.toISOString().slice(0, 10),
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+  };
+};
+
+// Timestamp in the clinic's zone as Midtrans expects it, e.g. '2025-01-06 09:30:00 +0700'
+const formatClinicTimestamp = (date = new Date()) => {
+  const local = new Date(date.getTime() + offsetMinutes() * 60000);
+  return `${local.toISOString().slice(0, 19).replace('T', ' ')} ${clinicConfig.timezoneOffset.replace(':', '')}`;
+};
+
+module.exports = {
+  DAY_NAMES,
+  isValidDate,
+  isValidTime,
+  parseTime,
+  formatTime,
+  addDays,
+  diffDays,
+  dayName,
+  toClinicDate,
+  clinicNow,
+  formatClinicTimestamp
+};
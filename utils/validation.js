@@ -217,6 +217,14 @@ const isValidPhone = (phone) => {
   return indonesianPhoneRegex.test(cleanPhone) && cleanPhone.length >= 10 && cleanPhone.length <= 15;
 };
 
+// Indonesian phone number in E.164 ('0812-3456-7890' -> '+6281234567890'), or null if invalid
+const normalizePhone = (phone) => {
+  if (!isValidPhone(phone)) return null;
+
+  const digits = phone.replace(/\D/g, '');
+  return `+62${digits.startsWith('0') ? digits.slice(1) : digits.slice(2)}`;
+};
+
 // Payment type validation
 const isValidPaymentType = (paymentType) => {
   const validTypes = [
@@ -226,70 +234,30 @@ const isValidPaymentType = (paymentType) => {
   return validTypes.includes(paymentType);
 };
 
-// Enhanced Midtrans notification signature validation
-const validateMidtransSignature = (req, res, next) => {
-  try {
-    const { signature_key, order_id, status_code, gross_amount } = req.body;
-    
-    if (!signature_key) {
-      return res.status(400).json({
-        success: false,
-        message: 'signature_key is required for notification verification'
-      });
-    }
-
-    if (!order_id) {
-      return res.status(400).json({
-        success: false,
-        message: 'order_id is required for notification verification'
-      });
-    }
-
-    // Validate status_code
-    if (status_code && !isValidStatusCode(status_code)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid status_code in notification'
-      });
-    }
-
-    // Validate gross_amount if provided
-    if (gross_amount && (typeof gross_amount !== 'string' || !/^\d+$/.test(gross_amount))) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid gross_amount in notification'
-      });
-    }
-
-    // In production, you should implement proper signature verification
-    // For now, we'll do basic validation
-    if (process.env.NODE_ENV === 'production') {
-      // TODO: Implement proper Midtrans signature verification
-      console.warn('⚠️  Production signature verification not implemented');
-    }
-
-    // Sanitize the notification data
-    req.sanitizedNotification = {
-      signature_key: sanitizeInput(signature_key),
-      order_id: sanitizeInput(order_id),
-      status_code: status_code ? sanitizeInput(status_code) : undefined,
-      gross_amount: gross_amount ? sanitizeInput(gross_amount) : undefined,
-      ...req.body
-    };
+// Compute the signature Midtrans attaches to notifications:
+// SHA512(order_id + status_code + gross_amount + serverKey)
+const computeMidtransSignature = (orderId, statusCode, grossAmount, serverKey) => {
+  return crypto
+    .createHash('sha512')
+    .update(`${orderId}${statusCode}${grossAmount}${serverKey}`)
+    .digest('hex');
+};
 
-    next();
-  } catch (error) {
-    console.error('Signature validation error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal validation error'
-    });
+// Constant-time check of a notification's signature_key
+const isValidMidtransSignature = (notification, serverKey) => {
+  const { signature_key, order_id, status_code, gross_amount } = notification;
+  if (!signature_key || !order_id || !status_code || !gross_amount || !serverKey) {
+    return false;
   }
+
+  const expected = Buffer.from(computeMidtransSignature(order_id, status_code, gross_amount, serverKey));
+  const received = Buffer.from(String(signature_key));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
 };
 
 // Status code validation
 const isValidStatusCode = (statusCode) => {
-  const validCodes = ['200', '201', '202', '400', '401', '402', '403', '404', '500'];
+  const validCodes = ['200', '201', '202', '400', '401', '402', '403', '404', '407', '500'];
   return validCodes.includes(statusCode);
 };
 
@@ -347,9 +315,11 @@ function validateTransaction(data) {
 module.exports = {
   validateCreateTransaction,
   validateOrderId,
-  validateMidtransSignature,
+  computeMidtransSignature,
+  isValidMidtransSignature,
   isValidEmail,
   isValidPhone,
+  normalizePhone,
   isValidPaymentType,
   isValidStatusCode,
   sanitizeInput,